@@ -0,0 +1,71 @@
+// =====================
+// BLENDS
+// Requests for a point between two or more references:
+//   "somewhere between Nico and Burial", "a cross between X, Y and Z"  → equal parts
+//   "Nico meets Burial", "Portishead crossed with Otis Redding"        → equal parts
+//   "a mix of X and Y"                                                 → equal parts
+//   "70% Portishead 30% Otis Redding"                                  → as weighted
+// parseBlend(message) → [{ name, weight }] (weights add up to 1) or null. Only the
+// names — whether each one is an artist, a song or a trait is the server's call.
+// Band names have "and", "&" and commas in them too ("Belle and Sebastian"), so
+// the list is split on every connector and neighbours are joined back together
+// wherever knownName() recognises the joined name.
+// =====================
+
+const PERCENT = /(\d{1,3})\s*%\s*(?:of\s+)?/g;
+const BETWEEN = /\b(?:somewhere\s+|halfway\s+|right\s+)?(?:a\s+)?(?:cross\s+)?between\s+(.+)$/i;
+const MIX_OF = /\b(?:a\s+)?(?:mix|blend|cross|combination)\s+of\s+(.+)$/i;
+const MEETS = /\s+(?:meets|crossed\s+with|mixed\s+with)\s+/i;
+// What people put in front of "X meets Y" — "play me something like Nico meets Burial"
+const LEAD_IN = /^(?:(?:play|give|find)\s+me\s+)?(?:something|anything|a\s+song|a\s+track|music)?\s*(?:that\s+sounds\s+|that'?s\s+|kind\s+of\s+|sort\s+of\s+)?(?:like\s+)?/i;
+const CONNECTOR = /(\s*,\s*(?:and\s+)?|\s+and\s+|\s*&\s*|\s+\+\s+)/i;
+
+function cleanName(name) {
+  return name.replace(/^(?:the\s+sound\s+of\s+)/i, '').replace(/[,\s]+$/, '').trim();
+}
+
+// "Belle and Sebastian and Burial" → ["Belle and Sebastian", "Burial"], longest known name first
+function splitNames(list, knownName) {
+  const pieces = list.split(CONNECTOR); // names at even indexes, connectors at odd
+  const names = [];
+  for (let i = 0; i < pieces.length; i += 2) {
+    let end = i;
+    for (let j = pieces.length - 1; j > i; j -= 2) {
+      if (knownName(pieces.slice(i, j + 1).join(''))) { end = j; break; }
+    }
+    names.push(pieces.slice(i, end + 1).join(''));
+    i = end;
+  }
+  return names.map(cleanName).filter(Boolean);
+}
+
+function percentBlend(text) {
+  const marks = [...text.matchAll(PERCENT)];
+  if (marks.length < 2) return null;
+  return marks.map((m, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].index : text.length;
+    const name = text.slice(m.index + m[0].length, end).replace(/\s*(?:,|\band\b|&|\+|\bwith\b)\s*$/i, '');
+    return { name: cleanName(name), weight: parseInt(m[1]) };
+  });
+}
+
+function parseBlend(message, { knownName = () => false } = {}) {
+  const text = message.trim().replace(/[.!?]+$/, '');
+  let refs = percentBlend(text);
+
+  if (!refs) {
+    const m = text.match(BETWEEN) || text.match(MIX_OF);
+    let names = null;
+    if (m) names = splitNames(m[1], knownName);
+    else if (MEETS.test(text)) names = text.replace(LEAD_IN, '').split(MEETS).map(cleanName);
+    if (names) refs = names.map(name => ({ name, weight: 1 }));
+  }
+
+  if (!refs || refs.length < 2) return null;
+  // "between 1988 and 1994" is a year range (lib/years), not a blend
+  if (refs.some(r => !r.name || /^\d/.test(r.name) || !(r.weight > 0))) return null;
+  const total = refs.reduce((sum, r) => sum + r.weight, 0);
+  return refs.map(r => ({ name: r.name, weight: r.weight / total }));
+}
+
+module.exports = { parseBlend };
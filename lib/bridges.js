@@ -0,0 +1,39 @@
+// =====================
+// CURATED BRIDGES
+// Hand-written song-to-song connections, stored in data/songs.json under "bridges".
+// Each entry: { "from": "<song id>", "to": "<song id>", "line": "<spoken connection>" }
+// The line is said right before the destination song plays, after the visitor
+// accepts the "This reminds me of another song" interrupt.
+// A song can have several bridges — the first one whose destination hasn't been
+// played yet wins.
+// =====================
+
+// Builds a lookup of song id → [{ to, line }] and collects problems with bad entries.
+// Bad entries are skipped, not fatal — one typo shouldn't take the whole site down.
+function loadBridges(songsData) {
+  const songIds = new Set(songsData.songs.map(s => s.id));
+  const bridges = new Map();
+  const problems = [];
+  const seen = new Set();
+
+  (songsData.bridges || []).forEach((b, i) => {
+    const where = `bridges[${i}]`;
+    if (!b || typeof b !== 'object') { problems.push(`${where}: not an object`); return; }
+    const from = String(b.from || '');
+    const to = String(b.to || '');
+    const line = typeof b.line === 'string' ? b.line.trim() : '';
+    if (!songIds.has(from)) { problems.push(`${where}: unknown "from" id "${from}"`); return; }
+    if (!songIds.has(to)) { problems.push(`${where}: unknown "to" id "${to}"`); return; }
+    if (from === to) { problems.push(`${where}: bridges song ${from} to itself`); return; }
+    if (!line) { problems.push(`${where}: missing "line"`); return; }
+    if (seen.has(`${from}>${to}`)) { problems.push(`${where}: duplicate bridge ${from} → ${to}`); return; }
+    seen.add(`${from}>${to}`);
+
+    if (!bridges.has(from)) bridges.set(from, []);
+    bridges.get(from).push({ to, line });
+  });
+
+  return { bridges, problems };
+}
+
+module.exports = { loadBridges };
@@ -0,0 +1,51 @@
+// =====================
+// DIVERSITY
+// Keeps a long session from turning into the same artist, decade, country or
+// groove zone over and over. MMR-style: the candidates have already been judged
+// relevant (the search's top band), so the pick is weighted against how much each
+// one resembles the songs served most recently.
+//
+// similarity(a, b) adds up the features two songs share (FEATURE_WEIGHTS, max 1).
+// A candidate's penalty is its highest similarity to any of the last DIVERSITY_WINDOW
+// songs, each one further back counting POSITION_DECAY times less; its weight is
+// 1 − penalty, never below MIN_WEIGHT — a candidate pool that is all one artist
+// still gets served.
+// =====================
+
+const FEATURE_WEIGHTS = { artist: 0.6, cluster: 0.2, era: 0.1, origin: 0.1 };
+const DIVERSITY_WINDOW = 5;
+const POSITION_DECAY = 0.6;
+const MIN_WEIGHT = 0.05;
+
+function features(song) {
+  const traits = song.traits || {};
+  const year = parseInt(song.year);
+  return {
+    artist: (song.artist || '').toLowerCase(),
+    cluster: song.cluster || null,
+    era: isNaN(year) ? null : Math.floor(year / 10) * 10,
+    origin: Object.keys(traits).filter(t => t.startsWith('origin:') && traits[t] >= 0.5),
+  };
+}
+
+function similarity(a, b) {
+  const fa = features(a);
+  const fb = features(b);
+  let sim = 0;
+  if (fa.artist && fa.artist === fb.artist) sim += FEATURE_WEIGHTS.artist;
+  if (fa.cluster && fa.cluster === fb.cluster) sim += FEATURE_WEIGHTS.cluster;
+  if (fa.era !== null && fa.era === fb.era) sim += FEATURE_WEIGHTS.era;
+  if (fa.origin.some(o => fb.origin.includes(o))) sim += FEATURE_WEIGHTS.origin;
+  return sim;
+}
+
+// recent: the last songs served, most recent first
+function diversityWeight(song, recent) {
+  let penalty = 0;
+  recent.slice(0, DIVERSITY_WINDOW).forEach((prev, i) => {
+    penalty = Math.max(penalty, similarity(song, prev) * POSITION_DECAY ** i);
+  });
+  return Math.max(MIN_WEIGHT, 1 - penalty);
+}
+
+module.exports = { diversityWeight, similarity, DIVERSITY_WINDOW };
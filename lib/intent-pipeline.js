@@ -0,0 +1,69 @@
+// =====================
+// INTENT PIPELINE
+// An ordered registry of chat intents. Each intent is
+//   { name, priority, match(ctx), handle(ctx, matched) }
+// run(ctx) tries them lowest priority first:
+//   match()  — does this intent apply? Anything truthy it returns is passed on to
+//              handle(), so a matcher that already found the song doesn't search twice.
+//              Omit it for an intent that always applies.
+//   handle() — returns a response payload, or null to pass the message on to the
+//              next intent ("more like this" with nothing similar left falls
+//              through to the search intents, as the old if-chain did).
+// Both may be async. run() records every intent it tried, so debug output can
+// show which one answered and which were skipped on the way.
+// =====================
+
+function createIntentPipeline() {
+  const intents = [];
+
+  function register(intent) {
+    const { name, priority, match, handle } = intent || {};
+    if (typeof name !== 'string' || !name) throw new Error('Intent needs a name');
+    if (intents.some(i => i.name === name)) throw new Error(`Intent "${name}" is already registered`);
+    if (!Number.isFinite(priority)) throw new Error(`Intent "${name}" needs a numeric priority`);
+    if (match !== undefined && typeof match !== 'function') throw new Error(`Intent "${name}": match must be a function`);
+    if (typeof handle !== 'function') throw new Error(`Intent "${name}" needs a handle function`);
+    intents.push({ name, priority, match, handle });
+    // Array sort is stable — intents with equal priority keep registration order
+    intents.sort((a, b) => a.priority - b.priority);
+    return pipeline;
+  }
+
+  function unregister(name) {
+    const i = intents.findIndex(intent => intent.name === name);
+    if (i !== -1) intents.splice(i, 1);
+    return i !== -1;
+  }
+
+  function get(name) {
+    return intents.find(intent => intent.name === name) || null;
+  }
+
+  function list() {
+    return intents.map(({ name, priority }) => ({ name, priority }));
+  }
+
+  // Returns { intent, payload, trace } — intent is the name of the one that answered,
+  // or null if every intent passed. Each trace entry is
+  //   { intent, matched, handled, ms }
+  async function run(ctx) {
+    const trace = [];
+    for (const intent of intents) {
+      const start = Date.now();
+      const matched = intent.match ? await intent.match(ctx) : true;
+      if (!matched) {
+        trace.push({ intent: intent.name, matched: false, handled: false, ms: Date.now() - start });
+        continue;
+      }
+      const payload = await intent.handle(ctx, matched);
+      trace.push({ intent: intent.name, matched: true, handled: !!payload, ms: Date.now() - start });
+      if (payload) return { intent: intent.name, payload, trace };
+    }
+    return { intent: null, payload: null, trace };
+  }
+
+  const pipeline = { register, unregister, get, list, run };
+  return pipeline;
+}
+
+module.exports = { createIntentPipeline };
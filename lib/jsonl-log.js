@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// =====================
+// JSONL LOG
+// Append-only file of JSON objects, one per line. Appending a line never rewrites
+// what's already there, so a crash mid-write can at worst leave one truncated
+// last line — read() skips lines that don't parse and counts them.
+// Used by the unlock log and the listening event log.
+// =====================
+
+function createJsonlLog({ file }) {
+  function append(entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  // → { entries, skipped } — skipped counts lines that weren't valid JSON
+  function read() {
+    if (!fs.existsSync(file)) return { entries: [], skipped: 0 };
+    const entries = [];
+    let skipped = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch (e) { skipped++; }
+    }
+    return { entries, skipped };
+  }
+
+  return { append, read, file };
+}
+
+module.exports = { createJsonlLog };
@@ -0,0 +1,90 @@
+// =====================
+// LISTENING EVENTS
+// What visitors did with the songs they were served, one event per line in a
+// ./jsonl-log file:
+//   { at, sessionId, type, songId, intent?, value? }
+//
+//   served          a song went out — intent is the chat intent that served it (or 'invoke-cluster')
+//   reaction        value 'positive' | 'negative', about the song last served
+//   more-like-this  asked for more of the song last served
+//   interrupt       value 'accepted' | 'declined' — songId is the related song offered
+//
+// There's no skip button, so skips are inferred: a song counts as skipped when the
+// same session was served another one within skipWindowMs and did nothing in between
+// (no reaction, no "more like this", no interrupt answer).
+// =====================
+
+const SKIP_WINDOW_MS = 20 * 1000;
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return isNaN(t) ? null : t;
+}
+
+// from/to: anything Date.parse understands, compared against `at` (to is inclusive)
+function filterEvents(events, { from, to } = {}) {
+  const fromT = toTime(from);
+  const toT = toTime(to);
+  return events.filter(e => {
+    const t = toTime(e.at);
+    if (fromT !== null && (t === null || t < fromT)) return false;
+    if (toT !== null && (t === null || t > toT)) return false;
+    return true;
+  });
+}
+
+// songs: the full collection, for titles and the never-served list.
+// → { events, sessions, mostLoved, mostSkipped, neverServed: { count, songs } }
+// Each ranked song is { id, title, artist, plays, skips, positive, negative, moreLikeThis,
+// interruptsAccepted, interruptsDeclined }.
+function listeningReport(events, songs, { limit = 20, skipWindowMs = SKIP_WINDOW_MS } = {}) {
+  const stats = new Map();
+  const statsFor = id => {
+    if (!stats.has(id)) {
+      stats.set(id, { plays: 0, skips: 0, positive: 0, negative: 0, moreLikeThis: 0, interruptsAccepted: 0, interruptsDeclined: 0 });
+    }
+    return stats.get(id);
+  };
+
+  const bySession = new Map();
+  for (const e of events) {
+    if (!e.songId) continue;
+    const s = statsFor(e.songId);
+    if (e.type === 'served') s.plays++;
+    else if (e.type === 'reaction') s[e.value === 'positive' ? 'positive' : 'negative']++;
+    else if (e.type === 'more-like-this') s.moreLikeThis++;
+    else if (e.type === 'interrupt') s[e.value === 'accepted' ? 'interruptsAccepted' : 'interruptsDeclined']++;
+    if (!bySession.has(e.sessionId)) bySession.set(e.sessionId, []);
+    bySession.get(e.sessionId).push(e);
+  }
+
+  for (const sessionEvents of bySession.values()) {
+    sessionEvents.sort((a, b) => toTime(a.at) - toTime(b.at));
+    for (let i = 0; i < sessionEvents.length - 1; i++) {
+      const [cur, next] = [sessionEvents[i], sessionEvents[i + 1]];
+      if (cur.type === 'served' && next.type === 'served' && toTime(next.at) - toTime(cur.at) < skipWindowMs) {
+        statsFor(cur.songId).skips++;
+      }
+    }
+  }
+
+  const songById = new Map(songs.map(s => [s.id, s]));
+  const rows = [...stats.entries()]
+    .filter(([id]) => songById.has(id))
+    .map(([id, s]) => ({ id, title: songById.get(id).title, artist: songById.get(id).artist, ...s }));
+  const ranked = (score) => rows
+    .filter(r => score(r) > 0)
+    .sort((a, b) => score(b) - score(a) || b.plays - a.plays)
+    .slice(0, limit);
+  const never = songs.filter(s => !(stats.get(s.id)?.plays));
+
+  return {
+    events: events.length,
+    sessions: bySession.size,
+    mostLoved: ranked(r => r.positive + r.moreLikeThis - r.negative),
+    mostSkipped: ranked(r => r.skips + r.negative),
+    neverServed: { count: never.length, songs: never.map(s => ({ id: s.id, title: s.title, artist: s.artist })) },
+  };
+}
+
+module.exports = { filterEvents, listeningReport, SKIP_WINDOW_MS };
@@ -0,0 +1,199 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { traitPromptList } = require('../traits');
+
+// =====================
+// ANTHROPIC PROVIDER
+// The production LLM provider — every call goes to Haiku.
+// Prompts live here so server.js only deals with what comes back.
+// =====================
+const MODEL = 'claude-haiku-4-5-20251001';
+
+// =====================
+// PROMPTS
+// =====================
+const KEYWORD_SYSTEM_PROMPT = `You are a music search assistant. Convert any request — including moods, situations, metaphors, and feelings — into music trait keywords. Return ONLY a JSON array, no explanation.
+
+MAP TO THESE TRAIT VOCABULARY TERMS WHERE POSSIBLE:
+${traitPromptList()}
+
+SITUATIONAL MAPPINGS:
+- "late night", "2am", "driving at night" → ["char:late-night", "mood:dreamlike", "energy:low"]
+- "feel good", "happy" → ["mood:joyful", "char:danceable"]
+- "sad", "heartbreak", "breakup" → ["mood:melancholic", "char:intimate"]
+- "weird", "strange", "outsider" → ["char:outsider", "mood:playful", "texture:lo-fi"]
+- "political", "protest" → ["char:political", "mood:defiant"]
+- "dance", "club" → ["char:danceable", "genre:dance", "energy:high"]
+- "chill", "relax" → ["energy:low", "texture:warm", "mood:dreamlike"]
+- "aggressive", "angry", "loud" → ["mood:defiant", "energy:high", "texture:noisy"]
+- "nostalgic", "old feeling", "retro" → ["char:nostalgic"]
+- "beautiful", "gorgeous", "stunning" → ["char:beautiful"]
+- "intimate", "personal", "quiet" → ["char:intimate", "texture:sparse"]
+- "cosmic", "space", "otherworldly" → ["genre:experimental", "mood:dreamlike", "char:weird"]
+- "dream pop", "hazy", "gauzy", "floaty" → ["genre:dream-pop", "char:hazy", "char:ethereal"]
+- "literate", "literary", "cerebral", "wordy", "intellectual" → ["char:literate"]
+- "storytelling", "narrative" → ["char:narrative", "char:literate"]
+- "driving", "motorik", "propulsive" → ["char:driving", "energy:high"]
+- "yacht rock", "soft rock", "smooth" → ["genre:yacht-rock"]
+- "wes anderson", "wes anderson-y" → ["char:wes-anderson", "char:nostalgic"]
+- "harmonies", "vocal harmony" → ["char:vocal-harmony"]
+- "french", "french pop", "ye-ye" → ["genre:ye-ye", "origin:france"]
+- "bittersweet" → ["mood:bittersweet", "char:bittersweet"]
+- "k-pop", "kpop", "korean pop" → ["genre:k-pop", "origin:korea"]
+
+EXCLUSIONS — things the user does NOT want ("not sad", "nothing electronic", "anything except punk", "but not too loud"):
+- Return the trait prefixed with "not:" — never the plain trait
+- "folk but not sad" → ["genre:folk", "not:mood:melancholic"]
+- "anything except electronic" → ["not:genre:electronic"]
+- "jazz that isn't too fast" → ["genre:jazz", "not:energy:high"]
+- "without vocals", "no singing" is a positive request → ["char:instrumental"]
+
+RULES:
+- Prefer trait vocabulary terms over raw words whenever possible
+- For artist names or song titles, return them as plain strings
+- Return 3–8 items
+- Return ONLY the JSON array, no preamble or explanation
+- If the input is gibberish, a random string of characters, or clearly not a word in any language, return []. Do NOT return [] for real words, genre names, mood words, artist names, or any legitimate request — even if it is very short or vague`;
+
+const ARTIST_TRAITS_PROMPT = `You are a music search assistant. Describe the sonic characteristics of a given artist using ONLY trait vocabulary terms from this list. Return ONLY a JSON array of 4–7 traits, no explanation.
+
+${traitPromptList()}
+
+Examples:
+- "Nico" → ["texture:sparse", "mood:melancholic", "mood:dark", "genre:art-rock", "era:60s", "char:intimate"]
+- "Portishead" → ["genre:electronic", "mood:melancholic", "mood:tense", "texture:cold", "char:late-night", "energy:low"]
+- "Chet Baker" → ["genre:jazz", "mood:tender", "texture:sparse", "energy:low", "char:intimate", "char:late-night"]
+- "Fela Kuti" → ["genre:afrobeat", "energy:high", "char:political", "mood:defiant", "texture:lush"]
+- "Elliott Smith" → ["genre:indie-folk", "texture:sparse", "mood:melancholic", "char:intimate", "char:confessional", "char:sweet"]
+- "Joanna Newsom" → ["genre:indie-folk", "char:literate", "char:eccentric", "texture:lush", "char:intimate", "era:modern"]
+
+If you don't recognize the artist, return an empty array [].
+Return ONLY the JSON array.`;
+
+const SONG_TRAITS_PROMPT = `You are a music search assistant. Describe the sonic characteristics of one specific song — the track itself, not the artist's usual sound — using ONLY trait vocabulary terms from this list. Return ONLY a JSON array of 4–8 traits, no explanation.
+
+${traitPromptList()}
+
+Examples:
+- "Teardrop" by Massive Attack → ["genre:electronic", "mood:melancholic", "energy:low", "texture:lush", "char:late-night", "era:90s"]
+- "Heroes" by David Bowie → ["genre:art-rock", "mood:joyful", "energy:high", "char:driving", "era:70s", "texture:lush"]
+- "Pink Moon" by Nick Drake → ["genre:folk", "char:acoustic", "texture:sparse", "mood:melancholic", "char:intimate", "era:70s"]
+
+If you don't recognize the song, return an empty array [].
+Return ONLY the JSON array.`;
+
+const EFRAIN_CHARACTER = `You are Efrain — a product designer and music obsessive based in New Jersey. You built efrain.fm because you love sharing music and the stories behind it. It's a creative project that lets you do that with anyone who finds the site.
+
+Background: You made music in your teens and 20s. You've spent years in health tech and design. You love talking about music, sharing cool discoveries, and recommending songs to people. Your design work is at www.efrain.design if anyone's curious.
+
+About the site: There's a player toggle in the top bar — Spotify on the left, Apple Music on the right. Spotify is the default and only plays 30-second previews unless you're logged in. Apple Music plays full songs if you're signed in. Some songs aren't on either platform, or you specifically wanted to share a live performance or music video — in those cases you share a YouTube link instead. If someone asks about hearing full songs, switching players, or mentions Spotify or Apple Music, let them know about the toggle and explain the difference briefly.
+
+Personality: Warm, direct, a little dry. Deep music knowledge — outsider, lo-fi, experimental, jazz, proto-punk, international. Never pretentious. You share because you genuinely love it, not to impress anyone.
+
+Important: Don't mention this being a portfolio piece, case study, or that you're looking for work. It's just a project you made because you wanted to. Keep responses SHORT — 2-3 sentences max. Steer music-adjacent questions back toward asking what they want to hear. Plain text only, no markdown. NEVER invent or describe features that don't exist — if something doesn't work a certain way, just redirect to what you can do (play songs from your collection). NEVER say things like "that search isn't set up yet" or "that feature isn't available."`;
+
+const CLASSIFIER_PROMPT = `You classify short music chat messages. Given a message and the last song played, decide if the message is a reaction to the last song or a new search request.
+
+REACTION_POSITIVE: clear positive feedback about the last song ("love this", "this is incredible", "obsessed", "what a tune", "this one's special")
+REACTION_NEGATIVE: clear negative feedback about the last song ("not for me", "not feeling it", "this isn't working", "too slow for me")
+SEARCH: anything requesting a different song, genre, mood, artist, or vibe — including vague ones
+
+When in doubt, return SEARCH. Only return a reaction classification when the message is clearly about the last song and not asking for anything new.
+
+Reply with exactly one of: REACTION_POSITIVE, REACTION_NEGATIVE, SEARCH`;
+
+// Pulls the first JSON array of strings out of a reply — Haiku sometimes adds a preamble.
+// A reply without one throws like a failed request, so the extraction cache never
+// keeps it; only a real [] means "nothing".
+function parseTraitArray(text, label) {
+  const match = text.trim().match(/\[[\s\S]*\]/);
+  let items;
+  try { items = match && JSON.parse(match[0]); } catch (e) { items = null; }
+  if (!Array.isArray(items) || !items.every(k => typeof k === 'string')) {
+    throw new Error(`${label} reply is not a JSON array of strings: ${JSON.stringify(text.slice(0, 80))}`);
+  }
+  return items.map(k => k.toLowerCase().trim()).filter(k => k.length >= 2);
+}
+
+function createAnthropicProvider({ apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+  const anthropic = new Anthropic({ apiKey });
+
+  async function extractKeywords(userMessage) {
+    const response = await anthropic.messages.create({
+      model: MODEL, max_tokens: 200,
+      system: KEYWORD_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: userMessage }]
+    });
+    return parseTraitArray(response.content[0].text, 'Keyword');
+  }
+
+  async function extractArtistTraits(artistName) {
+    const response = await anthropic.messages.create({
+      model: MODEL, max_tokens: 200,
+      system: ARTIST_TRAITS_PROMPT,
+      messages: [{ role: 'user', content: `Artist: "${artistName}"` }]
+    });
+    return parseTraitArray(response.content[0].text, 'Artist trait');
+  }
+
+  async function extractSongTraits(title, artist) {
+    const response = await anthropic.messages.create({
+      model: MODEL, max_tokens: 200,
+      system: SONG_TRAITS_PROMPT,
+      messages: [{ role: 'user', content: artist ? `Song: "${title}" by ${artist}` : `Song: "${title}"` }]
+    });
+    return parseTraitArray(response.content[0].text, 'Song trait');
+  }
+
+  // Returns: 'REACTION_POSITIVE' | 'REACTION_NEGATIVE' | 'SEARCH'
+  async function classifyShortMessage(message, lastSong) {
+    const songContext = lastSong ? `The last song played was "${lastSong.title}" by ${lastSong.artist}.` : '';
+    const response = await anthropic.messages.create({
+      model: MODEL, max_tokens: 10,
+      system: CLASSIFIER_PROMPT,
+      messages: [{ role: 'user', content: `${songContext}\nMessage: "${message}"` }]
+    });
+    const result = response.content[0].text.trim().toUpperCase();
+    if (result.includes('REACTION_POSITIVE')) return 'REACTION_POSITIVE';
+    if (result.includes('REACTION_NEGATIVE')) return 'REACTION_NEGATIVE';
+    return 'SEARCH';
+  }
+
+  async function generateConversationalResponse(userMessage, lastSong) {
+    const songContext = lastSong ? `The last song you shared was "${lastSong.title}" by ${lastSong.artist}.` : '';
+    const r = await anthropic.messages.create({
+      model: MODEL, max_tokens: 120,
+      system: EFRAIN_CHARACTER,
+      messages: [{ role: 'user', content: `${userMessage}${songContext ? '\n\n' + songContext : ''}` }]
+    });
+    return r.content[0].text;
+  }
+
+  async function generateFavoriteResponse(userInput, collectionMatch) {
+    let matchContext;
+    if (collectionMatch && collectionMatch.alreadyPlayed) {
+      matchContext = `You already shared "${collectionMatch.match.title}" by ${collectionMatch.match.artist} with them earlier. Respond warmly — like "oh yeah, I already threw that on for you!" Do NOT offer to play it again.`;
+    } else if (collectionMatch) {
+      matchContext = `You have "${collectionMatch.match.title}" by ${collectionMatch.match.artist} in your collection and it's playing now. Acknowledge their taste warmly. Do NOT say you'll play it — it is already playing.`;
+    } else {
+      matchContext = `You don't have that. Say "I'll check that out" or similar — warm, brief, one sentence.`;
+    }
+    const r = await anthropic.messages.create({
+      model: MODEL, max_tokens: 100,
+      system: EFRAIN_CHARACTER,
+      messages: [{ role: 'user', content: `Visitor's favorite: "${userInput}"\n${matchContext}\n\n1-2 sentences MAX. React like a person, not a critic.` }]
+    });
+    return r.content[0].text;
+  }
+
+  return {
+    name: 'anthropic',
+    extractKeywords,
+    extractArtistTraits,
+    extractSongTraits,
+    classifyShortMessage,
+    generateConversationalResponse,
+    generateFavoriteResponse,
+  };
+}
+
+module.exports = { createAnthropicProvider, parseTraitArray };
@@ -0,0 +1,82 @@
+// =====================
+// EXTRACTION CACHE
+// As far as the app is concerned, extractKeywords and extractArtistTraits depend
+// only on their input. "like Portishead" means the same thing every time. So
+// their answers are kept and the model is asked once per phrase.
+//   withExtractionCache(provider, { store, ttlMs }) → the provider, with both calls
+//                                                     answered from the store first
+//   seedArtistTraits(provider, songs, { force })    → asks for every artist in the
+//                                                     catalog that isn't cached yet
+// Keys are the call plus its input, normalized: case, accents, spacing and
+// trailing punctuation don't matter. The store is a lib/ttl-store: its maxEntries
+// bound drops the least recently used entries, and the file version snapshots
+// them to disk. An entry older than ttlMs is asked again even if it's in
+// constant use, so a prompt change reaches old phrases eventually.
+// Failed calls throw before anything is stored — that includes a reply the
+// provider couldn't read as a list. An empty answer (an artist the model doesn't
+// know) is cached like any other.
+// =====================
+
+function normalizeInput(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.!?]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const cacheKey = (kind, input) => `${kind}:${normalizeInput(input)}`;
+
+function withExtractionCache(provider, { store, ttlMs = 30 * 24 * 60 * 60 * 1000, now = Date.now } = {}) {
+  let hits = 0;
+  let misses = 0;
+
+  function lookup(kind, input) {
+    const entry = store.get(cacheKey(kind, input));
+    return entry && now() - entry.cachedAt < ttlMs ? entry : null;
+  }
+
+  async function cached(kind, input, call) {
+    const entry = lookup(kind, input);
+    // Copies both ways — callers extend the keyword list they get back
+    if (entry) { hits++; return structuredClone(entry.value); }
+    misses++;
+    const value = await call(input);
+    store.set(cacheKey(kind, input), { value: structuredClone(value), cachedAt: now() });
+    return value;
+  }
+
+  return {
+    ...provider,
+    extractKeywords: message => cached('keywords', message, provider.extractKeywords),
+    extractArtistTraits: artistName => cached('artist', artistName, provider.extractArtistTraits),
+    cache: {
+      has: (kind, input) => lookup(kind, input) !== null,
+      forget: (kind, input) => store.delete(cacheKey(kind, input)),
+      stats: () => ({ entries: store.size, hits, misses }),
+      flush: () => { if (store.flush) store.flush(); },
+    },
+  };
+}
+
+// One artist at a time — the seed runs before a deploy, not under a rate limit.
+// onProgress(artist, traits) after each one the model was asked about.
+async function seedArtistTraits(provider, songs, { force = false, onProgress = () => {} } = {}) {
+  const artists = [...new Set(songs.map(s => s.artist).filter(Boolean))];
+  let asked = 0;
+  try {
+    for (const artist of artists) {
+      if (!force && provider.cache.has('artist', artist)) continue;
+      if (force) provider.cache.forget('artist', artist);
+      const traits = await provider.extractArtistTraits(artist);
+      asked++;
+      onProgress(artist, traits);
+    }
+  } finally {
+    provider.cache.flush(); // a failure halfway keeps what was asked so far
+  }
+  return { artists: artists.length, asked };
+}
+
+module.exports = { withExtractionCache, seedArtistTraits, normalizeInput };
@@ -0,0 +1,55 @@
+const path = require('path');
+const { createAnthropicProvider } = require('./anthropic');
+const { createLocalProvider } = require('./local');
+const { withExtractionCache } = require('./cache');
+const { createTtlStore, createFileTtlStore } = require('../ttl-store');
+
+// =====================
+// LLM PROVIDER
+// Every model call in the app goes through one of these. Both providers expose:
+//   extractKeywords(message)                       → trait ids / plain strings
+//   extractArtistTraits(artistName)                → trait ids, [] if unknown
+//   extractSongTraits(title, artist)               → trait ids for one track, [] if unknown
+//   classifyShortMessage(message, lastSong)        → 'REACTION_POSITIVE' | 'REACTION_NEGATIVE' | 'SEARCH'
+//   generateConversationalResponse(message, lastSong) → reply text
+//   generateFavoriteResponse(input, collectionMatch)  → reply text
+//
+// LLM_PROVIDER=anthropic | local picks one. Unset, it's anthropic when
+// ANTHROPIC_API_KEY is present and local otherwise.
+//
+// createCachedLLM() is the same provider with extractKeywords and
+// extractArtistTraits answered from a cache first (lib/llm/cache):
+//   LLM_CACHE=file | memory | off — file keeps answers in LLM_CACHE_FILE across
+//     restarts. The default is file for anthropic and off for local, whose
+//     answers come from the catalog and have to follow its reloads.
+//   LLM_CACHE_TTL_DAYS (default 30), LLM_CACHE_MAX entries (default 20000)
+// =====================
+function createLLM({ provider = process.env.LLM_PROVIDER, getSongs } = {}) {
+  const choice = (provider || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'local')).toLowerCase();
+  if (choice === 'local') return createLocalProvider({ getSongs });
+  if (choice === 'anthropic') return createAnthropicProvider();
+  throw new Error(`Unknown LLM_PROVIDER "${provider}" — expected "anthropic" or "local"`);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', '..', 'data', 'llm-cache.json');
+
+function createCachedLLM({
+  provider, getSongs,
+  mode = process.env.LLM_CACHE,
+  file = process.env.LLM_CACHE_FILE || DEFAULT_CACHE_FILE,
+  ttlDays = parseFloat(process.env.LLM_CACHE_TTL_DAYS) || 30,
+  maxEntries = parseInt(process.env.LLM_CACHE_MAX) || 20000,
+} = {}) {
+  const llm = createLLM({ provider, getSongs });
+  const choice = (mode || (llm.name === 'local' ? 'off' : 'file')).toLowerCase();
+  if (choice === 'off') return llm;
+  const ttlMs = ttlDays * DAY_MS;
+  let store;
+  if (choice === 'memory') store = createTtlStore({ ttlMs, maxEntries });
+  else if (choice === 'file') store = createFileTtlStore({ file, ttlMs, maxEntries, label: 'LLM CACHE' });
+  else throw new Error(`Unknown LLM_CACHE "${mode}" — expected "file", "memory" or "off"`);
+  return withExtractionCache(llm, { store, ttlMs });
+}
+
+module.exports = { createLLM, createCachedLLM };
@@ -0,0 +1,137 @@
+const { TRAIT_ALIASES, KNOWN_TRAITS, EXCLUDE_PREFIX } = require('../traits');
+
+// =====================
+// LOCAL PROVIDER
+// Deterministic, offline stand-in for the Anthropic provider — same methods,
+// same return shapes, no network. Used for tests and for running the site on a
+// machine without an API key (LLM_PROVIDER=local).
+//   extractKeywords     — alias lookup against data/traits.json, plus any leftover
+//                         words that appear in a title or artist name. An alias right
+//                         after a negation ("not sad", "except electronic") comes back
+//                         as an exclusion, "not:<trait id>".
+//   extractArtistTraits — the strongest traits across that artist's songs in the
+//                         catalog; unknown artists get [] (like Haiku does)
+//   extractSongTraits   — the song's own traits when it's in the catalog, else the
+//                         artist's
+//   everything else     — simple rules and canned replies in Efrain's voice
+// =====================
+
+// Longest aliases first so "dream pop" wins over "pop"
+const ALIASES_BY_LENGTH = Object.keys(TRAIT_ALIASES).sort((a, b) => b.length - a.length);
+
+// Aliases that are also everyday words — only count them when written in capitals ("US", not "play us")
+const CAPITALS_ONLY = new Set(['us']);
+
+const FILLER_WORDS = new Set([
+  'something', 'anything', 'some', 'music', 'song', 'songs', 'track', 'play', 'give',
+  'want', 'need', 'like', 'with', 'that', 'this', 'from', 'more', 'very', 'really',
+  'kind', 'sort', 'please', 'just', 'have', 'what', 'about', 'feel', 'feeling',
+]);
+
+function normalize(str) {
+  return (str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Words that turn the alias after them into an exclusion — "not too sad", "anything but punk"
+const NEGATION = "(?:not|no|without|except(?:\\s+for)?|nothing|never|minus|anything\\s+but|isn'?t|aren'?t)\\s+(?:too\\s+|very\\s+|so\\s+|any\\s+)?";
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// getSongs: () => current catalog — a function so hot reloads are picked up
+function createLocalProvider({ getSongs = () => [] } = {}) {
+
+  async function extractKeywords(userMessage) {
+    let text = normalize(userMessage);
+    const keywords = [];
+
+    // Fully-formed trait ids pass straight through, as they would from Haiku
+    for (const m of text.matchAll(/\b[a-z]+:[a-z0-9&-]+/g)) {
+      if (KNOWN_TRAITS.has(m[0])) keywords.push(m[0]);
+    }
+
+    for (const alias of ALIASES_BY_LENGTH) {
+      if (CAPITALS_ONLY.has(alias) && !new RegExp(`\\b${alias.toUpperCase()}\\b`).test(userMessage)) continue;
+      const negated = new RegExp(`(^|[^a-z0-9])${NEGATION}${escapeRegex(alias)}(?=$|[^a-z0-9])`);
+      if (negated.test(text)) {
+        keywords.push(EXCLUDE_PREFIX + TRAIT_ALIASES[alias]);
+        text = text.replace(negated, '$1 ');
+        continue;
+      }
+      const re = new RegExp(`(^|[^a-z0-9])${escapeRegex(alias)}(?=$|[^a-z0-9])`);
+      if (re.test(text)) {
+        keywords.push(TRAIT_ALIASES[alias]);
+        text = text.replace(re, '$1 ');
+      }
+    }
+
+    // Leftover words survive only if they name something in the catalog —
+    // that's how proper names reach the title/artist matching, and how gibberish gets []
+    const catalogText = getSongs().map(s => `${normalize(s.title)} ${normalize(s.artist)}`).join(' ');
+    for (const word of text.split(/[^a-z0-9'&-]+/)) {
+      if (word.length < 4 || FILLER_WORDS.has(word)) continue;
+      if (new RegExp(`\\b${escapeRegex(word)}\\b`).test(catalogText)) keywords.push(word);
+    }
+
+    return [...new Set(keywords)].slice(0, 8);
+  }
+
+  async function extractArtistTraits(artistName) {
+    const target = normalize(artistName).trim();
+    const songs = getSongs().filter(s => normalize(s.artist) === target);
+    if (!songs.length) return [];
+    const totals = new Map();
+    for (const s of songs) {
+      for (const [traitId, weight] of Object.entries(s.traits || {})) {
+        if (!KNOWN_TRAITS.has(traitId)) continue;
+        totals.set(traitId, (totals.get(traitId) || 0) + weight);
+      }
+    }
+    return [...totals.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 6)
+      .map(([traitId]) => traitId);
+  }
+
+  async function extractSongTraits(title, artist) {
+    const song = getSongs().find(s =>
+      normalize(s.title) === normalize(title).trim() && (!artist || normalize(s.artist) === normalize(artist).trim()));
+    if (!song) return artist ? extractArtistTraits(artist) : [];
+    return Object.entries(song.traits || {})
+      .filter(([traitId]) => KNOWN_TRAITS.has(traitId))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 8)
+      .map(([traitId]) => traitId);
+  }
+
+  async function classifyShortMessage(message) {
+    const t = normalize(message);
+    if (/\b(not for me|not feeling|isn'?t working|too (slow|fast|loud|much)|boring|hate|can'?t stand)\b/.test(t)) return 'REACTION_NEGATIVE';
+    if (/\b(love|obsessed|what a tune|special|incredible|gorgeous|beautiful|amazing|so good)\b/.test(t)) return 'REACTION_POSITIVE';
+    return 'SEARCH';
+  }
+
+  async function generateConversationalResponse(userMessage, lastSong) {
+    if (lastSong) return `Glad you're here. Want more in the vein of ${lastSong.title}, or somewhere new?`;
+    return "I'm Efrain — I made this to share songs I love and the stories behind them. Give me a mood, a genre or an artist and I'll play you something.";
+  }
+
+  async function generateFavoriteResponse(userInput, collectionMatch) {
+    if (collectionMatch && collectionMatch.alreadyPlayed) return `Oh yeah, I already threw ${collectionMatch.match.title} on for you!`;
+    if (collectionMatch) return `Good taste — ${collectionMatch.match.artist} is one of mine too.`;
+    return "I'll check that out.";
+  }
+
+  return {
+    name: 'local',
+    extractKeywords,
+    extractArtistTraits,
+    extractSongTraits,
+    classifyShortMessage,
+    generateConversationalResponse,
+    generateFavoriteResponse,
+  };
+}
+
+module.exports = { createLocalProvider };
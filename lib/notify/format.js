@@ -0,0 +1,62 @@
+// =====================
+// NOTIFICATION FORMAT
+// Turns unlock log entries (see lib/unlock-log) into the message every channel sends:
+//   { kind: 'unlock' | 'digest', subject, text, html, unlocks: [entry] }
+// Email channels use subject/html/text, the webhook posts the whole thing as JSON.
+// inputThatTriggered comes from the browser, and so do visitorIds logged before the
+// server issued them — always escaped in html.
+// =====================
+
+const TIME_ZONE = 'America/New_York';
+const TOTAL_CLUSTERS = 9;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function easternTime(iso) {
+  return iso ? `${new Date(iso).toLocaleString('en-US', { timeZone: TIME_ZONE })} ET` : 'unknown';
+}
+
+// [label, value] rows shared by the text and html versions of a single unlock
+function unlockRows(entry) {
+  return [
+    ['Visitor', entry.visitorId],
+    ['Cluster unlocked', `${entry.label} (${entry.cluster})`],
+    ['Triggered by', `"${entry.inputThatTriggered}"`],
+    ['Unlocked at', easternTime(entry.unlockedAt)],
+    ['First session start', easternTime(entry.firstSessionStart)],
+    ['Total unlocked so far', `${entry.totalUnlocks} / ${TOTAL_CLUSTERS}`],
+    ['All unlocked', (entry.allUnlocks || []).join(', ') || entry.label],
+  ];
+}
+
+function formatUnlock(entry) {
+  const rows = unlockRows(entry);
+  return {
+    kind: 'unlock',
+    subject: `// ${entry.label} unlocked — efrain.fm`,
+    text: rows.map(([k, v]) => `${k}: ${v}`).join('\n'),
+    html: rows.map(([k, v]) => `<p><strong>${k}:</strong> ${escapeHtml(v)}</p>`).join('\n'),
+    unlocks: [entry],
+  };
+}
+
+// period: 'hourly' | 'daily' — only used in the subject line
+// dropped: older unlocks the notifier couldn't hold on to (see ./index)
+function formatDigest(entries, period, { dropped = 0 } = {}) {
+  const visitors = new Set(entries.map(e => e.visitorId)).size;
+  const summary = `${entries.length} unlock${entries.length === 1 ? '' : 's'} from ${visitors} visitor${visitors === 1 ? '' : 's'}`;
+  const line = e => `${easternTime(e.unlockedAt)} — ${e.label} (${e.cluster}) by ${e.visitorId}, ${e.totalUnlocks} / ${TOTAL_CLUSTERS}, "${e.inputThatTriggered}"`;
+  const note = dropped ? `${dropped} older unlock${dropped === 1 ? '' : 's'} not listed — see the unlock log` : null;
+  return {
+    kind: 'digest',
+    subject: `// ${summary} — efrain.fm ${period} digest`,
+    text: [summary, ...(note ? [note] : []), '', ...entries.map(line)].join('\n'),
+    html: `<p><strong>${summary}</strong></p>\n${note ? `<p>${note}</p>\n` : ''}<ul>\n${entries.map(e => `<li>${escapeHtml(line(e))}</li>`).join('\n')}\n</ul>`,
+    unlocks: entries,
+    dropped,
+  };
+}
+
+module.exports = { formatUnlock, formatDigest, escapeHtml };
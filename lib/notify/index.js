@@ -0,0 +1,150 @@
+const path = require('path');
+const { formatUnlock, formatDigest } = require('./format');
+const { createResendChannel } = require('./resend');
+const { createSmtpChannel } = require('./smtp');
+const { createWebhookChannel } = require('./webhook');
+const { createOutboxChannel } = require('./outbox');
+
+// =====================
+// UNLOCK NOTIFIER
+// Tells the owner about groove unlocks over any number of channels. A channel is
+//   { name, send(message) }  — message from ./format, send() rejects on failure
+//
+// Channels: resend | smtp | webhook | outbox, picked with NOTIFY_CHANNELS (comma
+// separated). Unset, every channel whose settings are present is used — which is
+// just Resend on a deploy that only has RESEND_API_KEY + NOTIFY_EMAIL, as before.
+//
+// Each send is retried with exponential backoff (NOTIFY_RETRIES, default 3) unless
+// the channel marks the error permanent. Channels fail independently.
+//
+// NOTIFY_DIGEST=hourly | daily holds unlocks in memory and sends one summary per
+// period instead of one message per unlock. A digest no channel could deliver is
+// kept for the next one; flush() sends whatever is pending (called on shutdown).
+// At most NOTIFY_DIGEST_MAX (default 500) unlocks are held — past that the oldest
+// are dropped and the next digest says how many. They're all in the unlock log.
+// =====================
+
+const DIGEST_PERIODS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function sendWithRetry(channel, message, { retries, retryDelayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await channel.send(message);
+      return { channel: channel.name, ok: true, attempts: attempt };
+    } catch (e) {
+      if (e.permanent || attempt > retries) return { channel: channel.name, ok: false, attempts: attempt, error: e.message };
+      await sleep(retryDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+function createNotifier({ channels = [], digest = 'off', retries = 3, retryDelayMs = 1000, maxPending = 500 } = {}) {
+  if (digest !== 'off' && !DIGEST_PERIODS[digest]) {
+    throw new Error(`Unknown NOTIFY_DIGEST "${digest}" — expected "off", "hourly" or "daily"`);
+  }
+  let pending = [];
+  let dropped = 0;
+  let timer = null;
+
+  // Keeps the newest maxPending, counting the rest
+  function hold(entries) {
+    pending = entries;
+    if (pending.length > maxPending) {
+      dropped += pending.length - maxPending;
+      pending = pending.slice(-maxPending);
+    }
+  }
+
+  // → [{ channel, ok, attempts, error? }]
+  async function deliver(message) {
+    const results = await Promise.all(channels.map(ch => sendWithRetry(ch, message, { retries, retryDelayMs })));
+    for (const r of results) {
+      if (r.ok) console.log(`[NOTIFY] ${r.channel}: sent ${message.kind} (${message.unlocks.length} unlock${message.unlocks.length === 1 ? '' : 's'})`);
+      else console.error(`[NOTIFY] ${r.channel}: gave up after ${r.attempts} attempt${r.attempts === 1 ? '' : 's'} — ${r.error}`);
+    }
+    return results;
+  }
+
+  // Immediate mode sends now; digest mode queues and resolves with []
+  async function notify(entry) {
+    if (!channels.length) return [];
+    if (digest !== 'off') {
+      hold(pending.concat(entry));
+      return [];
+    }
+    return deliver(formatUnlock(entry));
+  }
+
+  async function flush() {
+    if (!pending.length || !channels.length) return [];
+    const entries = pending;
+    const skipped = dropped;
+    pending = [];
+    dropped = 0;
+    const results = await deliver(formatDigest(entries, digest, { dropped: skipped }));
+    if (!results.some(r => r.ok)) {
+      dropped += skipped;
+      hold(entries.concat(pending));
+    }
+    return results;
+  }
+
+  if (digest !== 'off' && channels.length) {
+    timer = setInterval(flush, DIGEST_PERIODS[digest]);
+    timer.unref();
+  }
+
+  return {
+    notify,
+    flush,
+    stop: () => clearInterval(timer),
+    get pending() { return pending.length; },
+    get dropped() { return dropped; },
+    channels: channels.map(ch => ch.name),
+    digest,
+  };
+}
+
+// Builds the channels NOTIFY_CHANNELS asks for (or every configured one when
+// unset). A channel that was asked for by name but is missing settings throws.
+function channelsFromEnv(env = process.env, { dataDir = path.join(__dirname, '..', '..', 'data') } = {}) {
+  const factories = {
+    resend:  () => createResendChannel({ apiKey: env.RESEND_API_KEY, to: env.NOTIFY_EMAIL, from: env.NOTIFY_FROM }),
+    smtp:    () => createSmtpChannel({
+      host: env.SMTP_HOST, port: env.SMTP_PORT, user: env.SMTP_USER, pass: env.SMTP_PASS,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === '1' : undefined,
+      to: env.NOTIFY_EMAIL, from: env.NOTIFY_FROM,
+    }),
+    webhook: () => createWebhookChannel({ url: env.NOTIFY_WEBHOOK_URL }),
+    outbox:  () => createOutboxChannel({ file: env.NOTIFY_OUTBOX || path.join(dataDir, 'outbox.jsonl') }),
+  };
+
+  let names;
+  if (env.NOTIFY_CHANNELS !== undefined) {
+    names = env.NOTIFY_CHANNELS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  } else {
+    names = [];
+    if (env.RESEND_API_KEY && env.NOTIFY_EMAIL) names.push('resend');
+    if (env.SMTP_HOST && env.NOTIFY_EMAIL) names.push('smtp');
+    if (env.NOTIFY_WEBHOOK_URL) names.push('webhook');
+    if (env.NOTIFY_OUTBOX) names.push('outbox');
+  }
+
+  return [...new Set(names)].map(name => {
+    if (!factories[name]) throw new Error(`Unknown notification channel "${name}" — expected ${Object.keys(factories).join(', ')}`);
+    return factories[name]();
+  });
+}
+
+function createNotifierFromEnv(env = process.env) {
+  return createNotifier({
+    channels: channelsFromEnv(env),
+    digest: (env.NOTIFY_DIGEST || 'off').toLowerCase(),
+    retries: env.NOTIFY_RETRIES !== undefined ? Math.max(parseInt(env.NOTIFY_RETRIES) || 0, 0) : 3,
+    maxPending: Math.max(parseInt(env.NOTIFY_DIGEST_MAX) || 500, 1),
+  });
+}
+
+module.exports = { createNotifier, createNotifierFromEnv, channelsFromEnv, sendWithRetry };
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// =====================
+// OUTBOX CHANNEL
+// Writes every message to a local JSONL file instead of sending it, with the
+// time it was "sent". For development and tests — `tail -f data/outbox.jsonl`
+// shows exactly what the email or webhook would have carried.
+// =====================
+
+function createOutboxChannel({ file }) {
+  if (!file) throw new Error('Outbox channel needs a file');
+
+  async function send(message) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ sentAt: new Date().toISOString(), ...message }) + '\n');
+  }
+
+  return { name: 'outbox', send };
+}
+
+module.exports = { createOutboxChannel };
@@ -0,0 +1,30 @@
+// =====================
+// RESEND CHANNEL
+// Email through Resend's HTTP API. send() throws on a failed request so the
+// notifier can retry — 4xx responses other than 429 are marked permanent,
+// since sending the same request again won't fix them.
+// =====================
+
+function createResendChannel({ apiKey, to, from = 'efrain.fm <onboarding@resend.dev>' }) {
+  if (!apiKey || !to) throw new Error('Resend channel needs RESEND_API_KEY and NOTIFY_EMAIL');
+
+  async function send(message) {
+    const res = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from, to: [to], subject: message.subject, html: message.html, text: message.text }),
+    });
+    if (!res.ok) {
+      const err = new Error(`Resend ${res.status}: ${await res.text()}`);
+      err.permanent = res.status >= 400 && res.status < 500 && res.status !== 429;
+      throw err;
+    }
+  }
+
+  return { name: 'resend', send };
+}
+
+module.exports = { createResendChannel };
@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// =====================
+// SMTP CHANNEL
+// Email through any SMTP server via nodemailer. Port 465 means implicit TLS,
+// anything else upgrades with STARTTLS when the server offers it.
+// `transport` replaces the SMTP connection — tests pass nodemailer's jsonTransport.
+// =====================
+
+function createSmtpChannel({ host, port = 587, user, pass, secure, to, from, transport } = {}) {
+  if (!to || (!host && !transport)) throw new Error('SMTP channel needs SMTP_HOST and NOTIFY_EMAIL');
+  port = Number(port) || 587;
+
+  const transporter = nodemailer.createTransport(transport || {
+    host,
+    port,
+    secure: secure ?? port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  async function send(message) {
+    return transporter.sendMail({
+      from: from || user || `efrain.fm <notify@${host || 'localhost'}>`,
+      to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    });
+  }
+
+  return { name: 'smtp', send };
+}
+
+module.exports = { createSmtpChannel };
@@ -0,0 +1,30 @@
+// =====================
+// WEBHOOK CHANNEL
+// POSTs the message as JSON to any URL — Slack/Discord relays, Zapier, a
+// home-grown endpoint. Body:
+//   { kind, subject, text, unlocks: [entry] }
+// html is left out; anything rendering it can build its own from `unlocks`.
+// Same failure rules as the Resend channel: 4xx other than 429 is permanent.
+// =====================
+
+function createWebhookChannel({ url, timeoutMs = 10000 }) {
+  if (!url) throw new Error('Webhook channel needs NOTIFY_WEBHOOK_URL');
+
+  async function send({ kind, subject, text, unlocks }) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ kind, subject, text, unlocks }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const err = new Error(`Webhook ${res.status}: ${(await res.text()).slice(0, 200)}`);
+      err.permanent = res.status >= 400 && res.status < 500 && res.status !== 429;
+      throw err;
+    }
+  }
+
+  return { name: 'webhook', send };
+}
+
+module.exports = { createWebhookChannel };
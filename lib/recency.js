@@ -0,0 +1,40 @@
+// =====================
+// RECENCY
+// How much a song from an earlier visit should be held back, given when the
+// visitor last heard it. Inside the window the weight climbs in a straight line
+// from RECENCY_FLOOR (heard just now) to 1 (heard a full window ago); outside it,
+// or never heard, it's 1.
+//
+// Used two ways: as a multiplier on search scores, and as the weight for every
+// random pick (weightedPick), so a returning visitor can still get last week's
+// song — it's just a lot less likely while anything fresh fits.
+// =====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_FLOOR = 0.1;
+
+// playedAt: ISO time or undefined. windowMs: how long until a song counts as fresh again.
+function recencyWeight(playedAt, { windowMs = 30 * DAY_MS, now = Date.now(), floor = RECENCY_FLOOR } = {}) {
+  const t = playedAt ? Date.parse(playedAt) : NaN;
+  if (isNaN(t)) return 1;
+  const age = Math.max(0, now - t);
+  if (age >= windowMs) return 1;
+  return floor + (1 - floor) * (age / windowMs);
+}
+
+// Random pick where each item's chance is proportional to weight(item).
+// Falls back to a plain random pick if every weight is 0.
+function weightedPick(items, weight, random = Math.random) {
+  if (!items.length) return null;
+  const weights = items.map(weight);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) return items[Math.floor(random() * items.length)];
+  let r = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+module.exports = { recencyWeight, weightedPick, DAY_MS, RECENCY_FLOOR };
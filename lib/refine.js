@@ -0,0 +1,111 @@
+const { TRAIT_ALIASES, isGateTrait, excludedTrait } = require('./traits');
+const { parseShift, leadsWithShift } = require('./shift');
+const { eraOfYear } = require('./years');
+
+// =====================
+// REFINEMENTS
+// Follow-ups that only make sense against the previous request — "darker",
+// "older", "same but Brazilian", "slower than that", "and less polished".
+// "and" / "but" / "now" / "make it" only make a refinement when a shift or an
+// era step follows — "now play some jazz" and "go wild" are fresh requests.
+// The session keeps its last few searches as { keywords, shift, years }; a refinement
+// takes the newest one as its anchor and moves it:
+//   refinementClause(message) — the part that says how, or null for a fresh request
+//   eraStep(clause)           — "older" / "newer" as a step through ERA_ORDER
+//   refineQuery(previous, change) — the new { keywords, shift, years }
+// Shifts pile up, so "darker", then "and faster", keeps both. A genre or origin
+// in the refinement replaces the anchor's ("same but Brazilian" after "Korean
+// hip-hop" is Brazilian hip-hop); any other trait is a shift toward it. A year
+// range replaces the anchor's, and "older" on a range moves it back ten years.
+// =====================
+
+const ERA_ORDER = ['era:30s', 'era:40s', 'era:50s', 'era:60s', 'era:70s', 'era:80s', 'era:90s', 'era:00s', 'era:10s', 'era:20s', 'era:modern'];
+
+const SAME_BUT = /^(?:(?:the\s+)?same(?:\s+thing|\s+vibe|\s+again)?|(?:something\s+)?like\s+(?:that|this)|that|this|similar)\s*,?\s+but\s+(.+)$/;
+const LEADING = /^(?:but|and|only|now|make\s+it|go)\s+(.+)$/;
+const THAN_THAT = /^(.+?)\s+than\s+(?:that|this|before|the\s+last\s+(?:one|song))$/;
+const ERA_WORDS = { older: -1, earlier: -1, newer: 1, later: 1, 'more recent': 1, 'more modern': 1 };
+const LEADING_ERA = new RegExp(`^(?:a\\s+bit\\s+|a\\s+little\\s+|slightly\\s+|much\\s+)?(?:${Object.keys(ERA_WORDS).join('|')})\\b`);
+
+// Everything a clause can be made of for a bare follow-up ("darker", "a bit older")
+function isAllShift(clause) {
+  const { step, rest } = eraStep(clause);
+  const parsed = parseShift(rest);
+  return !parsed.rest && (step !== 0 || Object.keys(parsed.shift).length > 0);
+}
+
+function refinementClause(message) {
+  const text = message.toLowerCase().trim().replace(/[.!?]+$/, '').replace(/\s+please$/, '');
+  if (!text) return null;
+  const match = text.match(SAME_BUT) || text.match(THAN_THAT);
+  if (match) return match[1].trim();
+  const leading = text.match(LEADING);
+  if (leading && (leadsWithShift(leading[1]) || LEADING_ERA.test(leading[1]))) return leading[1].trim();
+  return isAllShift(text) ? text : null;
+}
+
+// → { step: -1 | 0 | 1, rest }
+function eraStep(clause) {
+  let step = 0;
+  let rest = clause;
+  for (const [word, direction] of Object.entries(ERA_WORDS)) {
+    const re = new RegExp(`\\b(?:a\\s+bit\\s+|a\\s+little\\s+|slightly\\s+|much\\s+)?${word}\\b`);
+    if (re.test(rest)) {
+      step = direction;
+      rest = rest.replace(re, ' ');
+    }
+  }
+  return { step, rest: step ? rest.replace(/\s+/g, ' ').trim() : clause };
+}
+
+function traitIdOf(keyword) {
+  const kw = keyword.toLowerCase().trim();
+  return kw.includes(':') ? kw : TRAIT_ALIASES[kw] || null;
+}
+
+const categoryOf = traitId => traitId.split(':')[0];
+
+// previous: { keywords, shift } — the query being refined
+// change: { shift, keywords (extracted from the clause), step (eraStep), years (lib/years) }
+// year: the last song's year, for "older" when the anchor has no era of its own
+function refineQuery(previous, { shift = {}, keywords = [], step = 0, years = null }, { year } = {}) {
+  let anchor = [...previous.keywords];
+  const merged = { ...(previous.shift || {}) };
+
+  for (const kw of keywords) {
+    const excluded = excludedTrait(kw.toLowerCase().trim());
+    const traitId = excluded === null && traitIdOf(kw);
+    if (excluded !== null) {
+      delete merged[traitIdOf(excluded)];
+      anchor.push(kw);
+    } else if (traitId && isGateTrait(traitId)) {
+      anchor = anchor.filter(k => {
+        const id = traitIdOf(k);
+        return !id || categoryOf(id) !== categoryOf(traitId);
+      });
+      anchor.push(traitId);
+    } else if (traitId) {
+      merged[traitId] = 1;
+    } else {
+      anchor.push(kw);
+    }
+  }
+  Object.assign(merged, shift);
+
+  let range = years || previous.years || null;
+  if (step && range && !years) {
+    const move = bound => (bound === null ? null : bound + 10 * step);
+    range = { from: move(range.from), to: move(range.to) };
+  } else if (step) {
+    const from = anchor.map(traitIdOf).find(id => ERA_ORDER.includes(id)) || eraOfYear(year);
+    const next = from && ERA_ORDER[ERA_ORDER.indexOf(from) + step];
+    if (next) {
+      anchor = anchor.filter(k => !ERA_ORDER.includes(traitIdOf(k)));
+      anchor.push(next);
+    }
+  }
+
+  return { keywords: anchor, shift: Object.keys(merged).length ? merged : null, years: range };
+}
+
+module.exports = { refinementClause, eraStep, refineQuery, ERA_ORDER };
@@ -0,0 +1,37 @@
+const { createTtlStore, createFileTtlStore } = require('./ttl-store');
+
+// =====================
+// SESSION STORE
+// Holds per-visitor chat state (playedSongs, lastSong, pending interrupts).
+// Sessions expire after ttlMs without a visit, and the store never holds more
+// than maxSessions — the least recently seen session goes first. The expiry and
+// LRU bookkeeping is lib/ttl-store's.
+//
+// createMemoryStore() — plain in-memory store, lost on restart
+// createFileStore()   — same, but snapshotted to a JSON file so a visitor whose
+//                       tab is still open across a deploy keeps their history
+//
+// Sessions are mutated in place by the chat handlers, so the file store doesn't
+// know exactly when one changed — it flushes on an interval whenever any session
+// was read since the last flush, and once more on shutdown.
+// =====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createMemoryStore({ ttlMs = DAY_MS, maxSessions = 5000 } = {}) {
+  return createTtlStore({ ttlMs, maxEntries: maxSessions });
+}
+
+// Snapshots from before lib/ttl-store: { sessions: [{ id, session, lastSeen }] }
+function fromSnapshot(snapshot) {
+  if (snapshot.entries) return snapshot.entries;
+  return (snapshot.sessions || []).map(({ id, session, lastSeen }) => ({ key: id, value: session, lastSeen }));
+}
+
+// file: where to snapshot. migrate(session) runs on every session loaded from disk,
+// so older snapshots can be brought up to the current shape.
+function createFileStore({ file, ttlMs = DAY_MS, maxSessions = 5000, flushMs, migrate, label = 'SESSIONS' } = {}) {
+  return createFileTtlStore({ file, ttlMs, maxEntries: maxSessions, flushMs, revive: migrate, label, fromSnapshot });
+}
+
+module.exports = { createMemoryStore, createFileStore };
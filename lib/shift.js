@@ -0,0 +1,61 @@
+const { TRAIT_ALIASES, TRAIT_COMPARATIVES } = require('./traits');
+
+// =====================
+// "BUT" SHIFT
+// The clause after "but" in "soul but weirder" or "jazz but less polished" isn't a
+// second request — it's a direction to move the first one in. parseShift() turns it
+// into { shift: { traitId: +1 | -1 }, rest }:
+//   "darker", "faster"          → comparatives in data/traits.json, +1
+//   "more upbeat", "extra lush" → the alias's trait, +1
+//   "less polished", "not as loud" → the alias's (or comparative's) trait, -1
+// Whatever it doesn't recognise comes back as `rest`, for keyword extraction —
+// "punk but melodic" still needs the LLM to know what melodic is.
+// =====================
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest first, so "high energy" is consumed before "energy" could be
+const byLength = words => words.sort((a, b) => b.length - a.length);
+const ALIASES = byLength(Object.keys(TRAIT_ALIASES));
+const COMPARATIVES = byLength(Object.keys(TRAIT_COMPARATIVES));
+
+const LESS = '(?:less|not\\s+as|not\\s+so|a\\s+bit\\s+less)\\s+';
+const MORE = '(?:more|extra|even\\s+more|a\\s+bit\\s+more)\\s+';
+const EVEN = '(?:(?:a\\s+(?:bit|little)|slightly|way|much|even)\\s+)?';
+
+function parseShift(clause) {
+  let text = ` ${clause.toLowerCase()} `;
+  const shift = {};
+  const take = (pattern, traitId, direction) => {
+    const re = new RegExp(`(^|[^a-z0-9])${pattern}(?=$|[^a-z0-9])`);
+    if (!re.test(text)) return;
+    if (!(traitId in shift)) shift[traitId] = direction;
+    text = text.replace(re, '$1 ');
+  };
+
+  for (const word of COMPARATIVES) {
+    take(LESS + escapeRegex(word), TRAIT_COMPARATIVES[word], -1);
+  }
+  for (const alias of ALIASES) {
+    take(LESS + escapeRegex(alias), TRAIT_ALIASES[alias], -1);
+    take(MORE + escapeRegex(alias), TRAIT_ALIASES[alias], 1);
+  }
+  for (const word of COMPARATIVES) {
+    take(EVEN + escapeRegex(word), TRAIT_COMPARATIVES[word], 1);
+  }
+
+  const rest = text.replace(/\b(and|but|with|a\s+bit|a\s+little|slightly|more|less)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  return { shift, rest };
+}
+
+// Whether a clause opens with a shift — "darker", "a bit faster", "less polished",
+// "more upbeat" — rather than a request of its own ("play some jazz", "the best")
+const LEADING_SHIFT = new RegExp(`^(?:${LESS}|${MORE}|${EVEN}(?:${COMPARATIVES.map(escapeRegex).join('|')})(?=$|[^a-z0-9]))`);
+
+function leadsWithShift(clause) {
+  return LEADING_SHIFT.test(clause.toLowerCase().trim());
+}
+
+module.exports = { parseShift, leadsWithShift };
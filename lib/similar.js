@@ -0,0 +1,53 @@
+// =====================
+// SONG SIMILARITY
+// "something like Untrue" — how close a song is to a reference song, by their
+// weighted trait vectors ({ traitId: weight }, as in songs.json). Cosine
+// similarity: 1 for the same shape of traits, 0 for nothing in common, and a
+// song with many strong traits doesn't win just for having more of them.
+// A model's answer for a song outside the collection is a plain list of trait
+// ids; toVector() weighs each one 1.
+// =====================
+
+function traitSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [traitId, weight] of Object.entries(a)) {
+    normA += weight * weight;
+    if (b[traitId]) dot += weight * b[traitId];
+  }
+  for (const weight of Object.values(b)) normB += weight * weight;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toVector(traitIds) {
+  return Object.fromEntries(traitIds.map(traitId => [traitId, 1]));
+}
+
+// The mean of several songs' vectors — "that Kills track" when it could be any of four
+function averageVector(songs) {
+  const sum = {};
+  for (const song of songs) {
+    for (const [traitId, weight] of Object.entries(song.traits || {})) {
+      sum[traitId] = (sum[traitId] || 0) + weight / songs.length;
+    }
+  }
+  return sum;
+}
+
+// The weighted midpoint of several vectors — "70% Portishead 30% Otis Redding".
+// Each is scaled to unit length first, so a reference the model gave eight traits
+// doesn't outweigh one it gave three. parts: [{ traits, weight }]
+function blendVectors(parts) {
+  const sum = {};
+  for (const { traits, weight } of parts) {
+    const norm = Math.sqrt(Object.values(traits).reduce((n, w) => n + w * w, 0));
+    if (!norm) continue;
+    for (const [traitId, w] of Object.entries(traits)) {
+      sum[traitId] = (sum[traitId] || 0) + (weight * w) / norm;
+    }
+  }
+  return sum;
+}
+
+module.exports = { traitSimilarity, toVector, averageVector, blendVectors };
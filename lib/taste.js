@@ -0,0 +1,57 @@
+// =====================
+// SESSION TASTE
+// What this visitor has said about the songs so far, kept on the session as
+//   { traits: { traitId: -1..1 }, dislikedArtists: [artist] }
+// A positive reaction moves every trait of the song toward +1 by TASTE_STEP × the
+// song's weight for it, a negative one toward -1 — and remembers the artist.
+//
+// tasteMultiplier() turns that into a factor on a song's search score:
+//   1 + TASTE_STRENGTH × (weighted mean of the taste values for the song's traits)
+// so between 0.5 and 1.5, then × DISLIKED_ARTIST_FACTOR for an artist they turned
+// down. It only reorders — whether a song matches at all is still the search's call.
+// =====================
+
+const TASTE_STEP = 0.5;
+const TASTE_STRENGTH = 0.5;
+const DISLIKED_ARTIST_FACTOR = 0.5;
+
+const clamp = v => Math.max(-1, Math.min(1, v));
+
+function newTaste() {
+  return { traits: {}, dislikedArtists: [] };
+}
+
+// positive: true for a liked song, false for a disliked one
+function applyReaction(taste, song, positive) {
+  if (!taste || !song) return taste;
+  const direction = positive ? 1 : -1;
+  for (const [traitId, weight] of Object.entries(song.traits || {})) {
+    const next = clamp((taste.traits[traitId] || 0) + direction * TASTE_STEP * weight);
+    if (Math.abs(next) < 0.01) delete taste.traits[traitId];
+    else taste.traits[traitId] = Math.round(next * 100) / 100;
+  }
+  const artists = new Set(taste.dislikedArtists);
+  if (positive) artists.delete(song.artist);
+  else artists.add(song.artist);
+  taste.dislikedArtists = [...artists];
+  return taste;
+}
+
+function isNeutral(taste) {
+  return !taste || (!Object.keys(taste.traits).length && !taste.dislikedArtists.length);
+}
+
+function tasteMultiplier(song, taste) {
+  if (isNeutral(taste)) return 1;
+  let sum = 0;
+  let weights = 0;
+  for (const [traitId, weight] of Object.entries(song.traits || {})) {
+    sum += (taste.traits[traitId] || 0) * weight;
+    weights += weight;
+  }
+  let m = 1 + TASTE_STRENGTH * (weights ? sum / weights : 0);
+  if (taste.dislikedArtists.includes(song.artist)) m *= DISLIKED_ARTIST_FACTOR;
+  return m;
+}
+
+module.exports = { newTaste, applyReaction, tasteMultiplier, isNeutral };
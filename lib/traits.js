@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// =====================
+// TRAIT VOCABULARY
+// data/traits.json is the single source of truth for the controlled vocabulary.
+// Everything that used to be hand-maintained in server.js is generated from it:
+//   TRAIT_ALIASES            — user-facing word → trait id
+//   TRAIT_COMPARATIVES       — "darker", "faster" → trait id, for the "but" modifier
+//   traitPromptList()        — the "Energy: ... Mood: ..." block in the Haiku prompts
+//   genreLabel()             — human label for "I don't have X" messages
+//   COLLECTION_TRAIT_OPTIONS — option buttons for vibe checks / genre suggestions
+//   isGateTrait()            — genre/origin hard gate in scoreSongs
+// Adding a trait is a one-line change in traits.json.
+// =====================
+const vocab = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'traits.json'), 'utf8'));
+
+const CATEGORIES = vocab.categories;
+const TRAITS = vocab.traits;
+const TRAIT_BY_ID = new Map(TRAITS.map(t => [t.id, t]));
+const KNOWN_TRAITS = new Set(TRAIT_BY_ID.keys());
+
+// An alias can only point at one trait — the old object literal silently let the
+// last duplicate key win, which is how 'k-pop' ended up meaning origin:korea.
+const TRAIT_ALIASES = {};
+for (const t of TRAITS) {
+  for (const alias of t.aliases || []) {
+    const key = alias.toLowerCase();
+    if (TRAIT_ALIASES[key] && TRAIT_ALIASES[key] !== t.id) {
+      throw new Error(`data/traits.json: alias "${alias}" is claimed by both ${TRAIT_ALIASES[key]} and ${t.id}`);
+    }
+    TRAIT_ALIASES[key] = t.id;
+  }
+}
+
+// Comparatives only ever mean "more of": "slower" is energy:low's, not energy:high's opposite
+const TRAIT_COMPARATIVES = {};
+for (const t of TRAITS) {
+  for (const word of t.comparatives || []) {
+    const key = word.toLowerCase();
+    if ((TRAIT_COMPARATIVES[key] && TRAIT_COMPARATIVES[key] !== t.id) || TRAIT_ALIASES[key]) {
+      throw new Error(`data/traits.json: comparative "${word}" on ${t.id} is already taken by ${TRAIT_COMPARATIVES[key] || TRAIT_ALIASES[key]}`);
+    }
+    TRAIT_COMPARATIVES[key] = t.id;
+  }
+}
+
+function categoryOf(traitId) {
+  return traitId.split(':')[0];
+}
+
+// Hard-gate traits: if the user asks for one, every result must have it.
+// Per-trait "gate" overrides the category default, so unknown genre:/origin:
+// ids Haiku invents still gate the way they always have.
+function isGateTrait(traitId) {
+  const t = TRAIT_BY_ID.get(traitId);
+  if (t && t.gate !== undefined) return !!t.gate;
+  const cat = CATEGORIES[categoryOf(traitId)];
+  return !!(cat && cat.gate);
+}
+
+// Does a song's trait object satisfy a required gate trait?
+// "satisfiedBy" lists equivalents — genre:dance is satisfied by char:danceable.
+function gateSatisfied(traits, traitId) {
+  if (traits[traitId] !== undefined && traits[traitId] >= 0.5) return true;
+  const t = TRAIT_BY_ID.get(traitId);
+  return !!(t && t.satisfiedBy && t.satisfiedBy.some(alt => traits[alt] >= 0.5));
+}
+
+// Exclusions travel through keyword extraction as "not:<trait id>" —
+// "folk but not sad" → ["genre:folk", "not:mood:melancholic"]. Returns the trait id, or null.
+const EXCLUDE_PREFIX = 'not:';
+function excludedTrait(keyword) {
+  return keyword.startsWith(EXCLUDE_PREFIX) ? keyword.slice(EXCLUDE_PREFIX.length) : null;
+}
+
+function genreLabel(traitId) {
+  const t = TRAIT_BY_ID.get(traitId);
+  return t ? t.label : traitId.replace(/^(genre|origin):/, '');
+}
+
+const COLLECTION_TRAIT_OPTIONS = TRAITS
+  .filter(t => t.option)
+  .map(t => ({ label: t.option, trait: t.id }));
+
+// Renders the vocabulary block shared by the extractKeywords and extractArtistTraits prompts:
+//   Energy: "energy:high", "energy:low", ...
+function traitPromptList() {
+  return Object.entries(CATEGORIES).map(([cat, c]) => {
+    const ids = TRAITS.filter(t => categoryOf(t.id) === cat).map(t => `"${t.id}"`);
+    return `${c.label}${c.hint ? ` (${c.hint})` : ''}: ${ids.join(', ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  TRAIT_ALIASES,
+  TRAIT_COMPARATIVES,
+  KNOWN_TRAITS,
+  COLLECTION_TRAIT_OPTIONS,
+  isGateTrait,
+  gateSatisfied,
+  genreLabel,
+  traitPromptList,
+  EXCLUDE_PREFIX,
+  excludedTrait,
+};
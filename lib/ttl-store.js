@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// =====================
+// TTL STORE
+// A key → value map whose entries expire ttlMs after they were last read or
+// written, and which never holds more than maxEntries — the least recently used
+// entry goes first. The session store and the LLM extraction cache are both this.
+//
+// createTtlStore()     — in memory, lost on restart
+// createFileTtlStore() — same, but snapshotted to a JSON file:
+//                        { savedAt, entries: [{ key, value, lastSeen }] }
+//
+// Values may be mutated in place by whoever holds them, so the file store doesn't
+// know exactly when one changed — it flushes on an interval whenever anything was
+// read or written since the last flush, and once more when flush() is called.
+// =====================
+
+function createTtlStore({ ttlMs = Infinity, maxEntries = Infinity } = {}) {
+  // Map iteration order doubles as LRU order — get() re-inserts at the end
+  const values = new Map();
+  const lastSeen = new Map();
+
+  function isExpired(key, now = Date.now()) {
+    return now - (lastSeen.get(key) || 0) > ttlMs;
+  }
+
+  function remove(key) {
+    values.delete(key);
+    lastSeen.delete(key);
+  }
+
+  function prune(now = Date.now()) {
+    let removed = 0;
+    for (const key of values.keys()) {
+      if (isExpired(key, now)) { remove(key); removed++; }
+    }
+    while (values.size > maxEntries) {
+      remove(values.keys().next().value);
+      removed++;
+    }
+    return removed;
+  }
+
+  const store = {
+    has(key) {
+      return values.has(key) && !isExpired(key);
+    },
+    get(key) {
+      if (!values.has(key)) return null;
+      if (isExpired(key)) { remove(key); return null; }
+      const value = values.get(key);
+      values.delete(key);
+      values.set(key, value);
+      lastSeen.set(key, Date.now());
+      store.dirty = true;
+      return value;
+    },
+    set(key, value, seenAt = Date.now()) {
+      values.delete(key);
+      values.set(key, value);
+      lastSeen.set(key, seenAt);
+      store.dirty = true;
+      if (values.size > maxEntries) prune();
+    },
+    delete(key) {
+      remove(key);
+      store.dirty = true;
+    },
+    values() {
+      return values.values();
+    },
+    entries() {
+      return [...values.entries()].map(([key, value]) => ({ key, value, lastSeen: lastSeen.get(key) }));
+    },
+    get size() {
+      return values.size;
+    },
+    prune,
+    dirty: false,
+  };
+  return store;
+}
+
+// file: where to snapshot. label: the log tag.
+// revive(value) runs on every value loaded from disk, so older snapshots can be
+// brought up to the current shape; fromSnapshot(json) → [{ key, value, lastSeen }]
+// reads snapshot files of another layout.
+function createFileTtlStore({
+  file, ttlMs, maxEntries, flushMs = 5000, label = 'STORE',
+  revive = value => value, fromSnapshot = snapshot => snapshot.entries || [],
+} = {}) {
+  const store = createTtlStore({ ttlMs, maxEntries });
+
+  try {
+    if (fs.existsSync(file)) {
+      for (const { key, value, lastSeen } of fromSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')))) {
+        if (key && value) store.set(key, revive(value), lastSeen);
+      }
+      store.prune();
+      console.log(`[${label}] Restored ${store.size} entr${store.size === 1 ? 'y' : 'ies'} from ${path.basename(file)}`);
+    }
+  } catch (e) {
+    console.error(`[${label}] Could not restore ${path.basename(file)}:`, e.message);
+  }
+  store.dirty = false;
+
+  store.flush = () => {
+    if (!store.dirty) return;
+    store.prune();
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), entries: store.entries() }));
+      fs.renameSync(tmp, file); // rename is atomic — a crash mid-write never leaves a truncated file
+      store.dirty = false;
+    } catch (e) {
+      console.error(`[${label}] Could not save ${path.basename(file)}:`, e.message);
+    }
+  };
+
+  setInterval(store.flush, flushMs).unref();
+  return store;
+}
+
+module.exports = { createTtlStore, createFileTtlStore };
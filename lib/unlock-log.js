@@ -0,0 +1,74 @@
+// =====================
+// UNLOCK LOG
+// Append-only record of groove unlocks, one JSON object per line in a ./jsonl-log
+// file. This module filters and summarises what's been read back.
+//
+// Entry shape (same fields as the old hand-exported api/groove-log.json, plus `verified`):
+//   { visitorId, cluster, label, inputThatTriggered, unlockedAt, firstSessionStart,
+//     totalUnlocks, allUnlocks, verified }
+// =====================
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return isNaN(t) ? null : t;
+}
+
+// filters: { visitor, cluster, from, to } — all optional. from/to are anything
+// Date.parse understands and compare against unlockedAt (to is inclusive).
+function filterUnlocks(entries, { visitor, cluster, from, to } = {}) {
+  const fromT = toTime(from);
+  const toT = toTime(to);
+  return entries.filter(e => {
+    if (visitor && e.visitorId !== visitor) return false;
+    if (cluster && String(e.cluster).toUpperCase() !== String(cluster).toUpperCase()) return false;
+    const t = toTime(e.unlockedAt);
+    if (fromT !== null && (t === null || t < fromT)) return false;
+    if (toT !== null && (t === null || t > toT)) return false;
+    return true;
+  });
+}
+
+// clusters: every cluster that can be unlocked — a visitor who has all of them is complete
+function unlockStats(entries, clusters = []) {
+  const perCluster = {};
+  const byVisitor = new Map(); // visitorId → { clusters: Set, firstStart, firstUnlock }
+
+  for (const e of entries) {
+    const pc = perCluster[e.cluster] || (perCluster[e.cluster] = { unlocks: 0, visitors: new Set() });
+    pc.unlocks++;
+    pc.visitors.add(e.visitorId);
+
+    const v = byVisitor.get(e.visitorId) || { clusters: new Set(), firstStart: null, firstUnlock: null };
+    v.clusters.add(e.cluster);
+    const start = toTime(e.firstSessionStart);
+    const unlocked = toTime(e.unlockedAt);
+    if (start !== null && (v.firstStart === null || start < v.firstStart)) v.firstStart = start;
+    if (unlocked !== null && (v.firstUnlock === null || unlocked < v.firstUnlock)) v.firstUnlock = unlocked;
+    byVisitor.set(e.visitorId, v);
+  }
+
+  const minutesToFirst = [...byVisitor.values()]
+    .filter(v => v.firstStart !== null && v.firstUnlock !== null && v.firstUnlock >= v.firstStart)
+    .map(v => (v.firstUnlock - v.firstStart) / 60000);
+  const medianMinutes = median(minutesToFirst);
+
+  return {
+    unlocks: entries.length,
+    visitors: byVisitor.size,
+    perCluster: Object.fromEntries(Object.keys(perCluster).sort().map(cl =>
+      [cl, { unlocks: perCluster[cl].unlocks, visitors: perCluster[cl].visitors.size }])),
+    medianMinutesToFirstUnlock: medianMinutes === null ? null : Math.round(medianMinutes * 10) / 10,
+    visitorsComplete: clusters.length
+      ? [...byVisitor.values()].filter(v => clusters.every(cl => v.clusters.has(cl))).length
+      : 0,
+  };
+}
+
+module.exports = { filterUnlocks, unlockStats };
@@ -0,0 +1,199 @@
+const { loadBridges } = require('./bridges');
+
+// =====================
+// SONGS.JSON VALIDATION
+// Checks the catalog before the server trusts it. Two severities:
+//   errors   — things that break scoring or unlocks (bad weights, duplicate ids,
+//              missing keystones, malformed URLs). Strict mode refuses to boot on these.
+//   warnings — things that are probably mistakes but don't break anything
+//              (trait ids outside the vocabulary, odd hosts in streaming fields).
+// =====================
+const TRAIT_CATEGORIES = new Set(['energy', 'mood', 'texture', 'genre', 'era', 'char', 'origin']);
+const CLUSTER_RE = /^C\d+$/;
+
+// Expected hosts per streaming field. Anything else is a warning, not an error —
+// a YouTube link in the spotify field still plays, it's just in the wrong slot.
+const STREAMING_HOSTS = {
+  spotify:     ['open.spotify.com'],
+  apple_music: ['embed.music.apple.com', 'music.apple.com'],
+  youtube:     ['www.youtube.com', 'youtube.com', 'youtu.be', 'm.youtube.com'],
+};
+
+// Same normalization server.js uses for title/artist matching
+function normalize(str) {
+  return (typeof str === 'string' ? str : '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// The known trait an unknown id most likely means. First by name — an id whose
+// label is already an alias ("mood:angry", "char:british") means that alias's
+// trait, in whatever category. Then the closest spelling in the same category —
+// "mood:melancholy" → "mood:melancholic".
+function suggestTrait(traitId, knownTraits, aliases = {}) {
+  const [cat, label] = traitId.split(':');
+  const byName = aliases[label] || aliases[label.replace(/-/g, ' ')];
+  if (byName && knownTraits.has(byName)) return byName;
+  // Eras and countries are short, distinct names — "10s"/"50s", "ireland"/"iceland" aren't typos
+  if (cat === 'era' || cat === 'origin') return null;
+  let best = null, bestDist = Infinity;
+  for (const known of knownTraits) {
+    const [kCat, kLabel] = known.split(':');
+    if (kCat !== cat) continue;
+    const dist = levenshtein(label, kLabel);
+    if (dist < bestDist) { bestDist = dist; best = known; }
+  }
+  return best && bestDist <= Math.min(2, Math.floor(label.length / 4)) ? best : null;
+}
+
+function listIds(songIds) {
+  const shown = songIds.slice(0, 5).join(', ') + (songIds.length > 5 ? `, +${songIds.length - 5} more` : '');
+  return `${songIds.length} song${songIds.length === 1 ? '' : 's'}: ${shown}`;
+}
+
+function songRef(song, i) {
+  return song && song.id ? `${song.id} "${song.title || '?'}"` : `songs[${i}]`;
+}
+
+// songsData: parsed songs.json
+// options.knownTraits: Set of trait ids in the controlled vocabulary
+// options.traitAliases: TRAIT_ALIASES — names an unknown trait may be an alias of
+// options.keystones:   GROOVE_KEYSTONES — each must resolve to a song in the catalog
+// options.offMapClusters: clusters that are deliberately without a keystone
+function validateSongs(songsData, { knownTraits = new Set(), traitAliases = {}, keystones = [], offMapClusters = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!songsData || !Array.isArray(songsData.songs)) {
+    errors.push('top level: expected { "songs": [...] }');
+    return { errors, warnings, songCount: 0 };
+  }
+
+  const ids = new Map();          // id → first song ref
+  const titleArtist = new Map();  // "title|||artist" → first song ref
+  const unknownTraits = new Map(); // traitId → [song ids]
+  const orphanClusters = new Map(); // cluster without a keystone → [song ids]
+  const keystoneClusters = new Set([...keystones.map(k => k.cluster), ...offMapClusters]);
+
+  songsData.songs.forEach((song, i) => {
+    const ref = songRef(song, i);
+    if (!song || typeof song !== 'object') { errors.push(`songs[${i}]: not an object`); return; }
+
+    // Identity
+    if (typeof song.id !== 'string' || !song.id.trim()) errors.push(`${ref}: missing or non-string "id"`);
+    else if (ids.has(song.id)) errors.push(`${ref}: duplicate id (also ${ids.get(song.id)})`);
+    else ids.set(song.id, ref);
+
+    if (typeof song.title !== 'string' || !song.title.trim()) errors.push(`${ref}: missing "title"`);
+    if (typeof song.artist !== 'string' || !song.artist.trim()) errors.push(`${ref}: missing "artist"`);
+    if (song.title && song.artist) {
+      const key = `${normalize(song.title)}|||${normalize(song.artist)}`;
+      if (titleArtist.has(key)) {
+        errors.push(`${ref}: duplicate title + artist (also ${titleArtist.get(key)})`);
+      } else {
+        titleArtist.set(key, ref);
+      }
+    }
+
+    if (song.year !== undefined && song.year !== '' && isNaN(parseInt(song.year))) {
+      warnings.push(`${ref}: year "${song.year}" is not a number`);
+    }
+
+    // Clusters
+    for (const field of ['cluster', 'cluster_secondary']) {
+      const cl = song[field];
+      if (!cl) {
+        if (field === 'cluster') warnings.push(`${ref}: no cluster`);
+        continue;
+      }
+      if (!CLUSTER_RE.test(cl)) errors.push(`${ref}: ${field} "${cl}" is not a cluster id (C1, C2, …)`);
+      else if (keystoneClusters.size && !keystoneClusters.has(cl)) {
+        if (!orphanClusters.has(cl)) orphanClusters.set(cl, []);
+        orphanClusters.get(cl).push(song.id || `#${i}`);
+      }
+    }
+
+    // Traits
+    if (!song.traits || typeof song.traits !== 'object' || Array.isArray(song.traits)) {
+      errors.push(`${ref}: "traits" must be an object of traitId → weight`);
+    } else {
+      for (const [traitId, weight] of Object.entries(song.traits)) {
+        const [cat, label] = traitId.split(':');
+        if (!label || !TRAIT_CATEGORIES.has(cat)) {
+          errors.push(`${ref}: trait "${traitId}" is not in a known category (${[...TRAIT_CATEGORIES].join(', ')})`);
+          continue;
+        }
+        if (typeof weight !== 'number' || isNaN(weight) || weight < 0 || weight > 1) {
+          errors.push(`${ref}: trait "${traitId}" weight ${JSON.stringify(weight)} is outside 0–1`);
+        }
+        if (knownTraits.size && !knownTraits.has(traitId)) {
+          if (!unknownTraits.has(traitId)) unknownTraits.set(traitId, []);
+          unknownTraits.get(traitId).push(song.id || `#${i}`);
+        }
+      }
+    }
+
+    // Streaming URLs — empty is fine, malformed is not
+    const streaming = song.streaming || {};
+    if (song.streaming !== undefined && (typeof streaming !== 'object' || Array.isArray(streaming))) {
+      errors.push(`${ref}: "streaming" must be an object`);
+    } else {
+      for (const [field, hosts] of Object.entries(STREAMING_HOSTS)) {
+        const url = streaming[field];
+        if (!url) continue;
+        let parsed;
+        try { parsed = new URL(url); } catch (e) { parsed = null; }
+        if (!parsed || parsed.protocol !== 'https:') {
+          errors.push(`${ref}: streaming.${field} "${url}" is not an https URL`);
+        } else if (!hosts.includes(parsed.hostname)) {
+          warnings.push(`${ref}: streaming.${field} points at ${parsed.hostname}`);
+        }
+      }
+    }
+  });
+
+  for (const [cl, songIds] of orphanClusters) {
+    warnings.push(`cluster "${cl}" has no keystone — it can never unlock (${listIds(songIds)})`);
+  }
+
+  for (const [traitId, songIds] of unknownTraits) {
+    const hint = suggestTrait(traitId, knownTraits, traitAliases);
+    warnings.push(`unknown trait "${traitId}" (${listIds(songIds)})${hint ? ` — did you mean "${hint}"?` : ''}`);
+  }
+
+  // Every keystone must exist, or that cluster can never unlock
+  for (const k of keystones) {
+    const found = songsData.songs.some(s => s &&
+      normalize(s.title) === normalize(k.title) &&
+      normalize(s.artist) === normalize(k.artist));
+    if (!found) errors.push(`keystone ${k.cluster}: "${k.title}" by ${k.artist} is not in songs.json`);
+  }
+
+  for (const p of loadBridges({ ...songsData, songs: songsData.songs.filter(s => s && typeof s === 'object') }).problems) {
+    warnings.push(p);
+  }
+
+  return { errors, warnings, songCount: songsData.songs.length };
+}
+
+function formatReport(result, source = 'data/songs.json') {
+  const { errors, warnings, songCount } = result;
+  const lines = [`[SONGS] ${source} — ${songCount} songs, ${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`];
+  for (const e of errors) lines.push(`  ERROR  ${e}`);
+  for (const w of warnings) lines.push(`  WARN   ${w}`);
+  return lines.join('\n');
+}
+
+module.exports = { validateSongs, formatReport, suggestTrait };
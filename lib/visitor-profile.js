@@ -0,0 +1,67 @@
+const { newTaste } = require('./taste');
+const { genreLabel } = require('./traits');
+
+// =====================
+// VISITOR PROFILES
+// What the server remembers about a visitor across sessions, keyed by the
+// visitorId the server issues with a session's first response (the browser
+// keeps it in localStorage and sends it back with later sessions):
+//   { firstSeen, lastSeen, visits, played: { songId: lastPlayedAt },
+//     taste (lib/taste), unlockedClusters }
+//
+// startVisit() seeds a new session from the profile — earlier plays go into
+// session.heardBefore (scored down, not excluded), taste and unlocks carry over.
+// syncProfile() writes the session back after every request.
+// The id is only as private as the visitor's localStorage; nothing in here is
+// worth more than a song history.
+// =====================
+
+function newProfile(now = new Date().toISOString()) {
+  return { firstSeen: now, lastSeen: now, visits: 0, played: {}, taste: newTaste(), unlockedClusters: [] };
+}
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+function startVisit(profile, session, now = new Date().toISOString()) {
+  profile.visits++;
+  profile.lastSeen = now;
+  session.heardBefore = { ...profile.played };
+  session.taste = clone(profile.taste);
+  session.unlockedClusters = [...new Set([...session.unlockedClusters, ...profile.unlockedClusters])];
+  return session;
+}
+
+function syncProfile(profile, session, now = new Date().toISOString()) {
+  profile.lastSeen = now;
+  // Stamp songs first played in this session; earlier visits keep their dates
+  for (const id of session.playedIds) {
+    if (!profile.played[id] || profile.played[id] < session.startedAt) profile.played[id] = now;
+  }
+  profile.taste = clone(session.taste);
+  profile.unlockedClusters = [...new Set([...profile.unlockedClusters, ...session.unlockedClusters])];
+  return profile;
+}
+
+// The persona's hello for a returning visitor, or null when there's nothing to go on
+function greeting(profile) {
+  const heard = Object.keys(profile.played).length;
+  if (!heard) return null;
+
+  const favourite = Object.entries(profile.taste.traits)
+    .filter(([traitId, value]) => value >= 0.3 && !traitId.startsWith('era:'))
+    .sort((a, b) => b[1] - a[1])[0];
+  const unlocked = profile.unlockedClusters.length;
+  const map = unlocked ? ` The map's at ${unlocked}/9.` : '';
+
+  if (favourite) {
+    const label = genreLabel(favourite[0]);
+    const lines = [
+      `Back for more ${label} stuff?${map}`,
+      `You again. Still in a ${label} mood, or something else tonight?${map}`,
+    ];
+    return lines[Math.floor(Math.random() * lines.length)];
+  }
+  return `Welcome back — ${heard} song${heard === 1 ? '' : 's'} in, and plenty you haven't heard.${map} What are you looking for?`;
+}
+
+module.exports = { newProfile, startVisit, syncProfile, greeting };
@@ -0,0 +1,94 @@
+// =====================
+// YEAR RANGES
+// Requests that pin down when a song is from, beyond what the era:* traits can say:
+//   "before 1975", "after 1990", "since 2015"      → open-ended
+//   "1988–1994", "between 1988 and 1994"           → closed
+//   "late 70s", "early 1980s", "mid-90s"           → part of a decade
+//   "from the last five years", "the past decade"  → counted back from this year
+//   "in 1994"                                      → one year
+// parseYears(text) → { from, to, rest } or null. Either bound may be null; `rest`
+// is the text with the phrase taken out, for keyword extraction — "before 1975"
+// must not go looking for a song called 1975. scoreSongs treats the range as a
+// hard filter on songs.json's `year`, like the genre/origin gate.
+// Plain decades ("70s jazz") stay era:* traits, and eraOfYear(year) gives a
+// song's era:* id by the same reading of two-digit decades.
+// =====================
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  fifteen: 15, twenty: 20, thirty: 30, fifty: 50, couple: 2, few: 3,
+};
+const PART_OF_DECADE = { early: [0, 3], mid: [4, 6], late: [7, 9] };
+
+const YEAR = '((?:19|20)\\d\\d)';
+const RANGE = '\\s*(?:-|–|—|to|and|through|until|till)\\s*';
+// "70s", "'70s", "1970s", "2010s"
+const DECADE = "(?:'?(\\d0)s|((?:19|20)\\d0)s)";
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+function decadeStart(short, full) {
+  if (full) return parseInt(full);
+  const n = parseInt(short);
+  return n >= 30 ? 1900 + n : 2000 + n; // "20s" is the 2020s, "30s" the 1930s
+}
+
+// era:30s … era:90s, era:00s, era:10s, era:20s — null for a year no two-digit
+// decade reads back to (the 1920s are era:20s only as the 2020s)
+function eraOfYear(year) {
+  const decade = Math.floor(parseInt(year) / 10) * 10;
+  if (isNaN(decade)) return null;
+  const short = String(decade % 100).padStart(2, '0');
+  return decadeStart(short) === decade ? `era:${short}s` : null;
+}
+
+function count(word) {
+  return NUMBER_WORDS[word] || parseInt(word);
+}
+
+// Tried in order — the closed range before "from 1988", the decade part before "80s"
+const PATTERNS = [
+  [new RegExp(`\\b(?:between\\s+|from\\s+)?${YEAR}${RANGE}${YEAR}\\b`), m => [+m[1], +m[2]]],
+  [new RegExp(`\\b(early|mid|late)[\\s-]+${DECADE}`), m => {
+    const start = decadeStart(m[2], m[3]);
+    const [a, b] = PART_OF_DECADE[m[1]];
+    return [start + a, start + b];
+  }],
+  [new RegExp(`\\b(?:before|pre-?|earlier\\s+than|older\\s+than|prior\\s+to)\\s*${YEAR}\\b`), m => [null, +m[1] - 1]],
+  [new RegExp(`\\b(?:after|post-?|later\\s+than|newer\\s+than)\\s*${YEAR}\\b`), m => [+m[1] + 1, null]],
+  [new RegExp(`\\b(?:since\\s+${YEAR}|${YEAR}\\s+(?:on(?:wards?)?|and\\s+(?:later|after|newer)))\\b`), m => [+(m[1] || m[2]), null]],
+  [new RegExp(`\\b(?:(?:from|in|during)\\s+)?(?:the\\s+)?(?:last|past)\\s+(?:${COUNT}\\s+)?(years?|decades?)\\b`), (m, now) => {
+    const n = (m[1] ? count(m[1]) : 1) * (m[2].startsWith('decade') ? 10 : 1);
+    return [now - n, now];
+  }],
+  [/\bthis\s+year\b/, (m, now) => [now, now]],
+  [new RegExp(`\\b(?:in|from)\\s+${YEAR}\\b`), m => [+m[1], +m[1]]],
+];
+
+function parseYears(text, { now = new Date().getFullYear() } = {}) {
+  const lower = text.toLowerCase();
+  for (const [re, range] of PATTERNS) {
+    const m = lower.match(re);
+    if (!m) continue;
+    const [from, to] = range(m, now);
+    const rest = (text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length))
+      .replace(/\b(from|in|during)(\s+the)?\s*$/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { from, to, rest };
+  }
+  return null;
+}
+
+function inRange(year, { from, to }) {
+  const y = parseInt(year);
+  if (isNaN(y)) return false;
+  return (from === null || y >= from) && (to === null || y <= to);
+}
+
+// "1988–1994", "before 1975", "2015 on" — for trace output and replies
+function formatRange({ from, to }) {
+  if (from !== null && to !== null) return from === to ? `${from}` : `${from}–${to}`;
+  return from !== null ? `${from} on` : `before ${to + 1}`;
+}
+
+module.exports = { parseYears, inRange, formatRange, eraOfYear };
@@ -2,7 +2,21 @@ const chatMessages = document.getElementById('chat-messages');
 const userInput = document.getElementById('user-input');
 const sendButton = document.getElementById('send-button');
 
-const sessionId = Math.random().toString(36).substring(2);
+// Issued by the server on the first response — sent back on every request after that.
+// Kept in localStorage so a reload resumes the same session: the server holds this
+// visitor's history and groove unlock state against it.
+const SESSION_KEY = 'efrain_fm_session';
+let sessionId = localStorage.getItem(SESSION_KEY);
+function rememberSession(data) {
+  if (data && data.sessionId && data.sessionId !== sessionId) {
+    sessionId = data.sessionId;
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }
+  if (data && data.visitorId && data.visitorId !== localStorage.getItem(VISITOR_ID_KEY)) {
+    localStorage.setItem(VISITOR_ID_KEY, data.visitorId);
+  }
+  return data;
+}
 
 let sessionStats = {
   songsPlayed: 0,
@@ -13,6 +27,21 @@ let sessionStats = {
 let isTyping = false;
 let pendingFavoriteInput = false;
 
+// =====================
+// DEBUG TRACE
+// Toggled with the /debug secret command. While on, /api/chat is asked for its
+// decision trace (X-Debug header) and each reply gets a collapsible panel showing
+// why that song was picked. Persists in localStorage. The server only sends the
+// trace when it runs with ALLOW_DEBUG_TRACE=1.
+// =====================
+const DEBUG_KEY = 'efrain_fm_debug';
+let debugMode = localStorage.getItem(DEBUG_KEY) === '1';
+function setDebugMode(on) {
+  debugMode = on;
+  if (on) localStorage.setItem(DEBUG_KEY, '1');
+  else localStorage.removeItem(DEBUG_KEY);
+}
+
 // =====================
 // PLAYER PREFERENCE
 // Set via inline chat picker on first visit (or if unset on return).
@@ -187,14 +216,10 @@ function saveClusterCounts() {
 }
 let clusterPlayCounts = loadClusterCounts();
 
-// Visitor ID — generated once, persists forever
+// Visitor ID — issued by the server with the first response (see rememberSession),
+// persists forever. null until then.
 function getVisitorId() {
-  let id = localStorage.getItem(VISITOR_ID_KEY);
-  if (!id) {
-    id = 'v_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 7);
-    localStorage.setItem(VISITOR_ID_KEY, id);
-  }
-  return id;
+  return localStorage.getItem(VISITOR_ID_KEY);
 }
 
 // First session timestamp
@@ -282,10 +307,15 @@ function handleSecretCommand(command) {
       sessionStats = { songsPlayed: 0, messagesExchanged: 0, startTime: new Date() };
       return true;
 
-    case '/debug':
+    case '/debug': {
+      // /debug toggles the trace panel; /debug on | off sets it
       const uptime = Math.floor((new Date() - sessionStats.startTime) / 1000 / 60);
       console.log(`Songs: ${sessionStats.songsPlayed}, Messages: ${sessionStats.messagesExchanged}, Uptime: ${uptime}min`);
+      const arg = args.toLowerCase().trim();
+      setDebugMode(arg === 'on' ? true : arg === 'off' ? false : !debugMode);
+      console.log(`Debug trace ${debugMode ? 'on' : 'off'}.`);
       return true;
+    }
 
     case '/player': {
       const pref = args.toLowerCase().trim();
@@ -302,7 +332,7 @@ function handleSecretCommand(command) {
     }
 
     case '/help':
-      console.log('Commands: /theme [light|dark|auto], /reset, /debug, /push [c1-c9], /groove-reset, /player [apple|spotify], /help');
+      console.log('Commands: /theme [light|dark|auto], /reset, /debug [on|off], /push [c1-c9], /groove-reset, /player [apple|spotify], /help');
       return true;
 
     case '/push': {
@@ -325,12 +355,11 @@ function handleSecretCommand(command) {
             body: JSON.stringify({
               message:          `push ${cluster}`,
               sessionId,
-              unlockedClusters: [],  // treat as unlocked=none so groove fires
-              clusterCounts:    {},
-              pushCluster:      cluster,
+              visitorId:        getVisitorId(),
+              pushCluster:      cluster, // only honoured with ALLOW_PUSH_CLUSTER=1 on the server
             }),
           });
-          const data = await response.json();
+          const data = rememberSession(await response.json());
           removeTypingIndicator(typingIndicator);
           if (data.song) {
             window._lastGrooveInput = `/push ${cluster}`;
@@ -361,7 +390,25 @@ function handleSecretCommand(command) {
       clusterPlayCounts = {};
       saveClusterCounts();
       updateRingGlowState(0, false);
-      console.log('Groove state reset.');
+      // The server's copy lives on the session and the visitor profile — clear it
+      // there too, then start a new session. The visitor id stays, and with it the
+      // song history and taste.
+      (async () => {
+        try {
+          const response = await fetch('/api/groove-reset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId, visitorId: getVisitorId() }),
+          });
+          const data = rememberSession(await response.json());
+          console.log(data.response);
+        } catch (error) {
+          console.error('Groove reset error:', error);
+          console.log('Groove state reset here, but not on the server.');
+        }
+        sessionId = null;
+        localStorage.removeItem(SESSION_KEY);
+      })();
       return true;
 
     default:
@@ -434,21 +481,23 @@ async function sendMessage() {
   try {
     const endpoint = pendingFavoriteInput ? '/api/favorite' : '/api/chat';
     const body = pendingFavoriteInput
-      ? { input: message, sessionId }
+      ? { input: message, sessionId, visitorId: getVisitorId() }
       : {
           message,
           sessionId,
-          unlockedClusters: grooveState.unlockedClusters,
-          clusterCounts:    clusterPlayCounts,
+          visitorId:        getVisitorId(),
           pushCluster:      null,
         };
 
     const wasFavoriteInput = pendingFavoriteInput;
     pendingFavoriteInput = false;
 
+    const headers = { 'Content-Type': 'application/json' };
+    if (debugMode && endpoint === '/api/chat') headers['X-Debug'] = '1';
+
     const response = await fetch(endpoint, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers,
       body: JSON.stringify(body),
     });
 
@@ -458,7 +507,7 @@ async function sendMessage() {
     if (!response.ok) {
       throw { status: response.status, message: 'server error' };
     }
-    const data = await response.json();
+    const data = rememberSession(await response.json());
     sessionStats.messagesExchanged++;
 
     if (data.song) {
@@ -476,7 +525,7 @@ async function sendMessage() {
       const grooveHandled = await handleGrooveSong(data);
       if (!grooveHandled) {
         if (data.song && data.song.cluster) {
-          // Increment and persist — server reads this on the next request to decide threshold
+          // Increment and persist — drives the groove map display (the server keeps its own count for unlocks)
           clusterPlayCounts[data.song.cluster] = (clusterPlayCounts[data.song.cluster] || 0) + 1;
           saveClusterCounts();
         }
@@ -493,6 +542,8 @@ async function sendMessage() {
       removeTypingIndicator(typingIndicator);
     }
 
+    if (data.debug) renderDebugTrace(data.debug);
+
     // Handle interrupt if present
     if (data.interrupt) {
       const delay = data.song ? 2000 : 0;
@@ -532,6 +583,95 @@ function addMessageToChat(message, sender) {
   scrollToBottom();
 }
 
+// Collapsible panel under a reply, built from the server's debug trace (see /debug)
+function renderDebugTrace(debug) {
+  const panel = document.createElement('details');
+  panel.classList.add('message', 'debug-trace');
+  const summary = document.createElement('summary');
+  summary.textContent = `trace · ${debug.intent || 'no intent answered'}`;
+  panel.appendChild(summary);
+
+  function section(label, lines) {
+    if (!lines || !lines.length) return;
+    const heading = document.createElement('div');
+    heading.className = 'debug-label';
+    heading.textContent = label;
+    const pre = document.createElement('pre');
+    pre.textContent = lines.join('\n');
+    panel.append(heading, pre);
+  }
+
+  const tried = debug.intents || [];
+  const skipped = tried.filter(t => !t.matched).length;
+  section('Intents', [
+    ...tried.filter(t => t.matched).map(t => `${t.handled ? '✓' : '↓'} ${t.intent}${t.handled ? '' : ' (passed)'}  ${t.ms}ms`),
+    `  ${skipped} skipped`,
+  ]);
+
+  if (debug.likeArtist) {
+    const { artist, negated, traits } = debug.likeArtist;
+    section(negated ? `Nothing like ${artist}` : `Like ${artist}`, [traits.join(', ') || '(artist not recognised)']);
+  }
+
+  if (debug.likeSong) {
+    const { title, artist, inCollection, negated, traits } = debug.likeSong;
+    const label = [title, artist].filter(Boolean).join(' — ');
+    section(negated ? `Nothing like ${label}` : `Like ${label}`, [
+      inCollection ? `from ${inCollection} song${inCollection === 1 ? '' : 's'} in the collection` : 'not in the collection — traits from the model',
+      traits.join(', ') || '(song not recognised)',
+    ]);
+  }
+
+  if (debug.blend) {
+    section('Blend', debug.blend.map(({ name, source, weight, traits }) =>
+      `${Math.round(weight * 100)}% ${name} (${source})  ${traits.join(', ') || '(not recognised)'}`));
+  }
+
+  if (debug.search) {
+    const { keywords, traitTargets, excludedTraits = [], rawKeywords, shift, years, refined, but } = debug.search;
+    section('Keywords', [
+      keywords.join(', ') || '(none)',
+      ...(refined ? [`  follow-up "${refined.clause}" on: ${refined.previous.keywords.join(', ') || '(nothing yet)'}`] : []),
+      ...(but ? [`  "${but.anchor}" but "${but.clause}"`] : []),
+      ...Object.entries(traitTargets).map(([t, w]) => `  ${t}  ×${w}`),
+      ...excludedTraits.map(t => `  not ${t}`),
+      ...(years ? [`  years: ${years}`] : []),
+      ...(rawKeywords.length ? [`  title/artist text: ${rawKeywords.join(', ')}`] : []),
+      ...(shift ? [`  but: ${Object.entries(shift).map(([t, d]) => `${d > 0 ? 'more' : 'less'} ${t}`).join(', ')}`] : []),
+    ]);
+  }
+
+  if (debug.gates) {
+    const { required, pool, passing, passingAll } = debug.gates;
+    section('Gates', [
+      ...required.map(t => `${t}  ${passing[t]}/${pool}`),
+      `all gates  ${passingAll}/${pool}`,
+    ]);
+  }
+
+  section('Top candidates', (debug.candidates || []).map(c => {
+    const parts = Object.entries(c.breakdown).map(([k, v]) => Array.isArray(v) ? `${k === 'excluded' ? 'excluded' : 'failed'} ${v.join(', ')}` : `${k} ${v}`);
+    return `${c.score.toFixed(2)}  ${c.title} — ${c.artist}${c.cluster ? ` [${c.cluster}]` : ''}\n      ${parts.join(' · ') || '—'}`;
+  }));
+
+  section('Pick', (debug.pick || []).map(p => `${p.weight.toFixed(2)}  ${p.title} — ${p.artist}  (recency ${p.recency} · diversity ${p.diversity})`));
+
+  section('Withheld keystones', (debug.withheldKeystones || []).map(k => `${k.score.toFixed(2)}  ${k.title} — ${k.reason}`));
+  if (debug.keystoneUnlock) section('Keystone unlock', [`${debug.keystoneUnlock.fired ? 'fired' : 'no'}: ${debug.keystoneUnlock.reason}`]);
+  section('Keystones', (debug.keystones || []).map(k => `${k.cluster}  ${k.title} — ${k.status}`));
+
+  if (debug.taste) {
+    const { traits, dislikedArtists } = debug.taste;
+    section('Taste', [
+      ...Object.entries(traits).sort((a, b) => b[1] - a[1]).map(([t, v]) => `${v > 0 ? '+' : ''}${v}  ${t}`),
+      ...(dislikedArtists.length ? [`disliked: ${dislikedArtists.join(', ')}`] : []),
+    ]);
+  }
+
+  chatMessages.appendChild(panel);
+  scrollToBottom();
+}
+
 async function addMessageToChatWithTyping(message, sender) {
   const messageDiv = document.createElement('div');
   messageDiv.classList.add('message', sender);
@@ -820,7 +960,7 @@ async function playGrooveTransmission(keystoneConfig, song, commentary) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        visitorId:        getVisitorId(),
+        sessionId,
         cluster:          keystoneConfig.cluster,
         label:            keystoneConfig.label,
         input:            window._lastGrooveInput || '',
@@ -1446,12 +1586,27 @@ function createVoiceEmbed(audioUrl, title = 'Welcome') {
       if (needsPlayerPick) {
         showPlayerPicker("Welcome back — I made some changes and can now share music in new ways. Which do you use to listen to music?");
       } else {
-        addMessageToChatWithTyping("Thanks for coming back. What are you looking for?", 'assistant');
+        welcomeBack();
       }
     }, 1400);
     return;
   }
 
+  // The server knows what this visitor heard and liked last time — let it say hello
+  async function welcomeBack() {
+    let greeting = "Thanks for coming back. What are you looking for?";
+    try {
+      const res = await fetch('/api/welcome-back', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, visitorId: getVisitorId() }),
+      });
+      const data = rememberSession(await res.json());
+      if (data.response) greeting = data.response;
+    } catch (e) { console.error('Welcome back error', e); }
+    addMessageToChatWithTyping(greeting, 'assistant');
+  }
+
   // ── FIRST VISIT ────────────────────────────────────────────────────────
   document.body.classList.add('intro-active');
 
@@ -2250,12 +2405,11 @@ function createVoiceEmbed(audioUrl, title = 'Welcome') {
             body: JSON.stringify({
               message:          `push ${zone.cluster}`,
               sessionId,
-              unlockedClusters: grooveState.unlockedClusters,
-              clusterCounts:    {},
-              pushCluster:      zone.cluster,
+              visitorId:        getVisitorId(),
+              pushCluster:      zone.cluster, // replay — the server checks this zone is unlocked
             }),
           });
-          const data = await res.json();
+          const data = rememberSession(await res.json());
           if (data.song) await playGrooveTransmission(keystone, data.song, null);
         } catch (e) { console.error('Replay error', e); }
         isTyping = false;
@@ -2281,16 +2435,15 @@ function createVoiceEmbed(audioUrl, title = 'Welcome') {
             body: JSON.stringify({
               cluster:          zone.cluster,
               sessionId,
-              clusterCounts:    clusterPlayCounts,
-              unlockedClusters: grooveState.unlockedClusters,
+              visitorId:        getVisitorId(),
             }),
           });
-          const data = await res.json();
+          const data = rememberSession(await res.json());
           removeTypingIndicator(typingIndicator);
           if (data.song) {
             const cl = data.song.cluster;
             if (cl) {
-              // Increment and persist — server reads this on the next request
+              // Increment and persist — drives the groove map display (the server keeps its own count for unlocks)
               clusterPlayCounts[cl] = (clusterPlayCounts[cl] || 0) + 1;
               saveClusterCounts();
             }
@@ -0,0 +1,33 @@
+// seed-llm-cache.js
+// Run from project root: npm run seed-llm-cache [-- --force]
+// Asks the model for the traits of every artist in data/songs.json that isn't in
+// the extraction cache yet (lib/llm/cache), so "like Portishead" for an artist we
+// have never waits on the network. --force asks again for all of them.
+// Uses the same LLM_PROVIDER / LLM_CACHE_FILE settings as the server. Run it
+// while the server is stopped — the server's own snapshot would overwrite it.
+
+const fs   = require('fs');
+const path = require('path');
+const { createCachedLLM } = require('./lib/llm');
+const { seedArtistTraits } = require('./lib/llm/cache');
+
+const SONGS_PATH = path.join(__dirname, 'data', 'songs.json');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const { songs } = JSON.parse(fs.readFileSync(SONGS_PATH, 'utf8'));
+  // The cache is what this is for — a file even where the server would skip it
+  const llm = createCachedLLM({ getSongs: () => songs, mode: 'file' });
+  console.log(`[SEED] ${llm.name} provider, ${llm.cache.stats().entries} answers cached already`);
+
+  const { artists, asked } = await seedArtistTraits(llm, songs, {
+    force,
+    onProgress: (artist, traits) => console.log(`  ${artist}: ${traits.join(', ') || '(unknown)'}`),
+  });
+  console.log(`[SEED] ${artists} artists, ${asked} asked, ${artists - asked} already cached`);
+}
+
+main().catch(e => {
+  console.error('[SEED] Failed:', e.message);
+  process.exit(1);
+});
@@ -1,35 +1,241 @@
 require('dotenv').config({ quiet: true });
 const express = require('express');
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const { loadBridges } = require('./lib/bridges');
+const { createMemoryStore, createFileStore } = require('./lib/session-store');
+const { createCachedLLM } = require('./lib/llm');
+const { createIntentPipeline } = require('./lib/intent-pipeline');
+const { createJsonlLog } = require('./lib/jsonl-log');
+const { filterUnlocks, unlockStats } = require('./lib/unlock-log');
+const { createNotifierFromEnv } = require('./lib/notify');
+const { filterEvents, listeningReport } = require('./lib/listening');
+const { newTaste, applyReaction, tasteMultiplier } = require('./lib/taste');
+const { newProfile, startVisit, syncProfile, greeting } = require('./lib/visitor-profile');
+const { recencyWeight, weightedPick, DAY_MS } = require('./lib/recency');
+const { diversityWeight, DIVERSITY_WINDOW } = require('./lib/diversity');
+const { parseShift } = require('./lib/shift');
+const { refinementClause, eraStep, refineQuery } = require('./lib/refine');
+const { parseYears, inRange, formatRange, eraOfYear } = require('./lib/years');
+const { traitSimilarity, toVector, averageVector, blendVectors } = require('./lib/similar');
+const { parseBlend } = require('./lib/blend');
+const { validateSongs, formatReport } = require('./lib/validate-songs');
+const {
+  TRAIT_ALIASES, KNOWN_TRAITS, COLLECTION_TRAIT_OPTIONS,
+  isGateTrait, gateSatisfied, genreLabel, traitPromptList, excludedTrait,
+} = require('./lib/traits');
 
 const app = express();
 app.set('trust proxy', 1);
 const port = process.env.PORT || 3000;
 
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 
 app.use(express.json());
 app.use(express.static('public'));
 
+// CHAT_RATE_LIMIT: requests per minute per IP (default 10), shared across every
+// route that can start a session — without it one client could fill the session
+// store with empty sessions and push real visitors out (see SESSIONS)
+const SESSION_ROUTES = ['/api/chat', '/api/favorite', '/api/invoke-cluster', '/api/welcome-back', '/api/groove-reset'];
 const limiter = rateLimit({
-  windowMs: 60 * 1000, max: 10,
+  windowMs: 60 * 1000, max: parseInt(process.env.CHAT_RATE_LIMIT) || 10,
   message: { response: "Slow down a little — you've hit the request limit. Try again in a minute.", song: null },
   standardHeaders: true, legacyHeaders: false,
 });
-app.use('/api/chat', limiter);
+app.use(SESSION_ROUTES, limiter);
 
 // =====================
 // DATA LOADING
 // New schema: songs have traits object with weights, streaming object with spotify/apple_music/youtube.
 // No more flat genre/mood/tags strings to normalize.
+// songsData, BRIDGES and KEYSTONE_LOOKUP are `let` — reloadCatalog() swaps them in place.
+// SONGS_FILE points somewhere other than data/songs.json (the tests use a copy with
+// fixture bridges).
 // =====================
-const songsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'songs.json'), 'utf8'));
-const favoritesPath = path.join(__dirname, 'data', 'favorites.json');
+const songsPath = process.env.SONGS_FILE || path.join(__dirname, 'data', 'songs.json');
+let songsData = JSON.parse(fs.readFileSync(songsPath, 'utf8'));
 
-const sessions = new Map();
+// All model calls go through the provider — see lib/llm (LLM_PROVIDER=anthropic | local).
+// Keyword and artist-trait answers are cached (LLM_CACHE); `npm run seed-llm-cache`
+// fills in every catalog artist ahead of time.
+const llm = createCachedLLM({ getSongs: () => songsData.songs });
+console.log(`[LLM] Using ${llm.name} provider${llm.cache ? `, ${llm.cache.stats().entries} cached answers` : ''}`);
+
+// Curated bridges (songs.json "bridges") — keyed by song id
+// Bad entries are skipped here and reported by the startup validation below
+let { bridges: BRIDGES } = loadBridges(songsData);
+console.log(`[BRIDGES] ${[...BRIDGES.values()].reduce((n, b) => n + b.length, 0)} curated bridges loaded`);
+
+// =====================
+// SESSIONS
+// Session ids are issued by the server — a client can only resume a session it
+// was handed. Missing, unknown or expired ids get a fresh session and a new id,
+// returned as "sessionId" in every response body (and the X-Session-Id header).
+// SESSION_STORE=file (default) snapshots to SESSION_FILE so history survives a
+// deploy; SESSION_STORE=memory doesn't. SESSION_TTL_HOURS (default 24) and
+// SESSION_MAX (default 5000) bound the store.
+// =====================
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const SESSION_MAX = parseInt(process.env.SESSION_MAX) || 5000;
+const sessions = (process.env.SESSION_STORE || 'file') === 'memory'
+  ? createMemoryStore({ ttlMs: SESSION_TTL_MS, maxSessions: SESSION_MAX })
+  : createFileStore({
+      file: process.env.SESSION_FILE || path.join(__dirname, 'data', 'sessions.json'),
+      ttlMs: SESSION_TTL_MS, maxSessions: SESSION_MAX, migrate: migrateSession,
+    });
+setInterval(() => sessions.prune(), 10 * 60 * 1000).unref();
+
+function newSession() {
+  return {
+    playedIds: [], lastSongTraits: null, lastSongArtist: null, lastSong: null,
+    songCount: 0, askedMoreOf: false, lastInterruptSong: 0,
+    _pendingRelatedId: null, _pendingBridge: null,
+    clusterCounts: {}, unlockedClusters: [], unloggedUnlocks: [], // groove state — see GROOVE UNLOCK STATE
+    taste: newTaste(), // reactions so far — see lib/taste
+    visitorId: null, heardBefore: {}, startedAt: new Date().toISOString(), // see VISITOR PROFILES
+    queries: [], // recent searches, for follow-ups — see REFINEMENTS
+  };
+}
+
+// Fills in any fields added since a persisted session was saved.
+// Sessions saved before history moved to song ids carry titles in playedSongs /
+// _pendingRelatedSong — a shared title marks every song with that title as played,
+// which is what the old title comparison did anyway.
+function migrateSession(saved) {
+  const session = { ...newSession(), ...saved };
+  if (Array.isArray(saved.playedSongs)) {
+    const titles = new Set(saved.playedSongs);
+    const ids = songsData.songs.filter(s => titles.has(s.title)).map(s => s.id);
+    session.playedIds = [...new Set([...session.playedIds, ...ids])];
+    delete session.playedSongs;
+  }
+  if ('_pendingRelatedSong' in saved) {
+    const related = saved._pendingRelatedSong && songsData.songs.find(s => s.title === saved._pendingRelatedSong);
+    session._pendingRelatedId = related ? related.id : null;
+    delete session._pendingRelatedSong;
+  }
+  return session;
+}
+
+const SESSION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function resolveSession(requestedId) {
+  if (typeof requestedId === 'string' && SESSION_ID_RE.test(requestedId)) {
+    const existing = sessions.get(requestedId);
+    if (existing) return { id: requestedId, session: existing };
+  }
+  const id = crypto.randomUUID();
+  const session = newSession();
+  sessions.set(id, session);
+  return { id, session };
+}
+
+// =====================
+// VISITOR PROFILES
+// Requests carry the browser's permanent visitorId next to the sessionId. Like
+// session ids, visitor ids are issued by the server: a new session is seeded from
+// the profile of an id the server handed out (songs heard on earlier visits,
+// taste, unlocked zones — see lib/visitor-profile), and gets a new id and profile
+// otherwise. The id comes back as "visitorId" in every response body, and every
+// response is written back to the profile once it's sent.
+// VISITOR_STORE (default: same as SESSION_STORE), VISITOR_FILE and
+// VISITOR_TTL_DAYS (default 365) work like their session counterparts.
+// =====================
+const VISITOR_TTL_MS = (parseFloat(process.env.VISITOR_TTL_DAYS) || 365) * 24 * 60 * 60 * 1000;
+const VISITOR_MAX = 50000;
+const visitors = (process.env.VISITOR_STORE || process.env.SESSION_STORE || 'file') === 'memory'
+  ? createMemoryStore({ ttlMs: VISITOR_TTL_MS, maxSessions: VISITOR_MAX })
+  : createFileStore({
+      file: process.env.VISITOR_FILE || path.join(__dirname, 'data', 'visitors.json'),
+      ttlMs: VISITOR_TTL_MS, maxSessions: VISITOR_MAX, migrate: saved => ({ ...newProfile(), ...saved }), label: 'VISITORS',
+    });
+
+function attachVisitor(requestedId, session) {
+  if (session.visitorId) return;
+  let id = typeof requestedId === 'string' && SESSION_ID_RE.test(requestedId) ? requestedId : null;
+  let profile = id && visitors.get(id);
+  if (!profile) {
+    id = crypto.randomUUID();
+    profile = adoptLegacyProfile(requestedId) || newProfile();
+  }
+  session.visitorId = id;
+  startVisit(profile, session);
+  visitors.set(id, profile);
+}
+
+// Profiles from before the server issued ids are keyed by whatever the browser
+// made up. The first request to bring one back takes its history and taste over
+// to a new id, but not its unlocks — nothing ties that id to this browser.
+const LEGACY_VISITOR_ID_RE = /^[\w-]{4,64}$/;
+
+function adoptLegacyProfile(legacyId) {
+  if (typeof legacyId !== 'string' || !LEGACY_VISITOR_ID_RE.test(legacyId)) return null;
+  const profile = visitors.get(legacyId);
+  if (!profile) return null;
+  visitors.delete(legacyId);
+  return { ...profile, unlockedClusters: [] };
+}
+
+function saveVisit(session) {
+  if (!session.visitorId) return;
+  const profile = visitors.get(session.visitorId) || newProfile();
+  visitors.set(session.visitorId, syncProfile(profile, session));
+}
+
+// =====================
+// RECENCY + DIVERSITY
+// Songs from earlier visits (session.heardBefore) are held back for
+// RECENCY_WINDOW_DAYS (default 30), less and less as they age — see lib/recency.
+// Scoring multiplies by that weight.
+// Random picks — the choice among songs that scored about as well as each other —
+// draw with recency × diversity, which steers away from the artist, era, origin
+// and zone of the last few songs served (lib/diversity).
+// =====================
+const RECENCY_WINDOW_MS = (parseFloat(process.env.RECENCY_WINDOW_DAYS) || 30) * DAY_MS;
+
+// → song => weight, for scoreSongs and weightedPick
+function recencyFor(session) {
+  return song => recencyWeight(session.heardBefore[song.id], { windowMs: RECENCY_WINDOW_MS });
+}
+
+// Last songs served this session, most recent first
+function recentSongs(session) {
+  return session.playedIds.slice(-DIVERSITY_WINDOW).reverse()
+    .map(id => songsData.songs.find(s => s.id === id))
+    .filter(Boolean);
+}
+
+// → song => { recency, diversity, weight }
+function pickWeights(session) {
+  const recency = recencyFor(session);
+  const recent = recentSongs(session);
+  return song => {
+    const r = recency(song);
+    const d = diversityWeight(song, recent);
+    return { recency: r, diversity: d, weight: r * d };
+  };
+}
+
+function pickSong(songs, session) {
+  const weigh = pickWeights(session);
+  return weightedPick(songs, song => weigh(song).weight);
+}
+
+// Attaches req.session / req.sessionId and stamps the session and visitor ids onto every JSON response
+function withSession(req, res, next) {
+  const { id, session } = resolveSession(req.body && req.body.sessionId);
+  attachVisitor(req.body && req.body.visitorId, session);
+  res.on('finish', () => saveVisit(session));
+  req.sessionId = id;
+  req.session = session;
+  res.set('X-Session-Id', id);
+  const json = res.json.bind(res);
+  res.json = body => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...body, sessionId: id, visitorId: session.visitorId } : body);
+  next();
+}
+app.use(SESSION_ROUTES, withSession);
 
 // =====================
 // GROOVE GLOW CONFIG
@@ -50,26 +256,79 @@ const GROOVE_KEYSTONES = [
   { cluster: 'C9', title: 'Beautiful People', artist: 'Marilyn Manson', label: 'Static', audio: '/audio/C9MarilynMansonBeautifulPeople.m4a' },
 ];
 
+// Clusters with no keystone and no zone on the map. Their songs play like any
+// other, they just never unlock anything. C10 is the K-pop shelf.
+const OFF_MAP_CLUSTERS = ['C10'];
+
 // Quick lookup: normalized "title|||artist" → keystone config
-const KEYSTONE_LOOKUP = new Map(
-  GROOVE_KEYSTONES.map(k => [`${normalize(k.title)}|||${normalize(k.artist)}`, k])
-);
-
-function getSession(sessionId) {
-  if (!sessions.has(sessionId)) {
-    sessions.set(sessionId, {
-      playedSongs: [], lastSongTraits: null, lastSongArtist: null, lastSong: null,
-      songCount: 0, askedMoreOf: false, lastInterruptSong: 0,
-      _pendingRelatedSong: null, _pendingBridge: null,
-    });
-  }
-  return sessions.get(sessionId);
+// Only keystones actually present in the catalog are included.
+function buildKeystoneLookup(data) {
+  const present = new Set(data.songs.map(s => `${normalize(s.title)}|||${normalize(s.artist)}`));
+  return new Map(
+    GROOVE_KEYSTONES
+      .map(k => [`${normalize(k.title)}|||${normalize(k.artist)}`, k])
+      .filter(([key]) => present.has(key))
+  );
 }
+let KEYSTONE_LOOKUP = buildKeystoneLookup(songsData);
 
 function normalize(str) {
   return (str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
 }
 
+// =====================
+// GROOVE UNLOCK STATE
+// The server owns each visitor's cluster play counts and unlocks — they live on
+// the session and are updated in buildSongResponse, never read from the request.
+// Every served song with a cluster counts as a play; serving a keystone unlocks
+// its cluster. A keystone stays withheld until KEYSTONE_THRESHOLD plays from its cluster.
+// A new unlock also waits in unloggedUnlocks until the browser reports it to /api/log.
+//
+// The pushCluster dev command (force a keystone) needs ALLOW_PUSH_CLUSTER=1 or
+// the admin token — except for replaying a keystone this visitor already unlocked,
+// which is what the groove map does when a discovered zone is clicked.
+// =====================
+const KEYSTONE_THRESHOLD = 3;
+
+function keystoneFor(song) {
+  return KEYSTONE_LOOKUP.get(`${normalize(song.title)}|||${normalize(song.artist)}`) || null;
+}
+
+function keystoneSongFor(cluster) {
+  const keystone = GROOVE_KEYSTONES.find(k => k.cluster === cluster);
+  return keystone ? songsData.songs.find(s =>
+    normalize(s.title)  === normalize(keystone.title) &&
+    normalize(s.artist) === normalize(keystone.artist)
+  ) || null : null;
+}
+
+// Is this song a keystone the visitor hasn't unlocked or earned yet?
+function isLockedKeystone(song, session) {
+  const kc = keystoneFor(song);
+  if (!kc) return false; // not a keystone
+  if (session.unlockedClusters.includes(kc.cluster)) return false; // already unlocked
+  return (session.clusterCounts[kc.cluster] || 0) < KEYSTONE_THRESHOLD;
+}
+
+function recordClusterPlay(song, session) {
+  if (!song.cluster) return;
+  session.clusterCounts[song.cluster] = (session.clusterCounts[song.cluster] || 0) + 1;
+  const kc = keystoneFor(song);
+  if (kc && !session.unlockedClusters.includes(kc.cluster)) {
+    session.unlockedClusters.push(kc.cluster);
+    session.unloggedUnlocks.push(kc.cluster);
+  }
+}
+
+function canDebug(req) {
+  return process.env.ALLOW_DEBUG_TRACE === '1' || isAdminRequest(req);
+}
+
+function canPushCluster(req, cluster) {
+  if (process.env.ALLOW_PUSH_CLUSTER === '1' || isAdminRequest(req)) return true;
+  return req.session.unlockedClusters.includes(String(cluster).toUpperCase());
+}
+
 // =====================
 // GENRE WORD LIST
 // Words that should ONLY match trait keys — never artist names or song titles.
@@ -112,138 +371,6 @@ const GENRE_WORDS = new Set([
   'jamaica', 'uk', 'england', 'scotland', 'ireland', 'mexico', 'peru', 'chile',
 ]);
 
-// =====================
-// TRAIT VOCABULARY
-// Maps user-facing words to trait IDs in our controlled vocabulary.
-// This is how we bridge between what users type and what's in the traits object.
-// =====================
-const TRAIT_ALIASES = {
-  // Energy
-  'high energy': 'energy:high', 'energetic': 'energy:high', 'loud': 'energy:high', 'fast': 'energy:high',
-  'low energy': 'energy:low', 'slow': 'energy:low', 'quiet': 'energy:low', 'soft': 'energy:low', 'mellow': 'energy:low',
-  'hypnotic': 'energy:hypnotic', 'repetitive': 'energy:hypnotic', 'trance': 'energy:hypnotic',
-  'chaotic': 'energy:chaotic', 'frantic': 'energy:chaotic', 'hectic': 'energy:chaotic',
-
-  // Mood
-  'sad': 'mood:melancholic', 'melancholy': 'mood:melancholic', 'melancholic': 'mood:melancholic', 'wistful': 'mood:melancholic',
-  'dark': 'mood:dark', 'heavy': 'mood:dark', 'bleak': 'mood:dark', 'brooding': 'mood:dark',
-  'happy': 'mood:joyful', 'joyful': 'mood:joyful', 'upbeat': 'mood:joyful', 'uplifting': 'mood:joyful', 'feel good': 'mood:joyful',
-  'tense': 'mood:tense', 'anxious': 'mood:tense', 'nervous': 'mood:tense',
-  'tender': 'mood:tender', 'gentle': 'mood:tender', 'soft': 'mood:tender', 'sweet': 'mood:tender',
-  'angry': 'mood:defiant', 'defiant': 'mood:defiant', 'aggressive': 'mood:defiant', 'confrontational': 'mood:defiant', 'political': 'mood:defiant',
-  'dreamy': 'mood:dreamlike', 'hazy': 'mood:dreamlike', 'surreal': 'mood:dreamlike', 'dreamlike': 'mood:dreamlike',
-  'weird': 'mood:playful', 'playful': 'mood:playful', 'funny': 'mood:playful', 'quirky': 'mood:playful',
-  'sexy': 'mood:erotic', 'erotic': 'mood:erotic', 'sensual': 'mood:erotic',
-  'spiritual': 'mood:spiritual', 'transcendent': 'mood:spiritual', 'devotional': 'mood:spiritual',
-
-  // Texture
-  'lo-fi': 'texture:lo-fi', 'lofi': 'texture:lo-fi', 'raw': 'texture:lo-fi', 'rough': 'texture:lo-fi', 'tape': 'texture:lo-fi',
-  'lush': 'texture:lush', 'orchestral': 'texture:lush', 'layered': 'texture:lush', 'dense': 'texture:lush', 'produced': 'texture:lush',
-  'sparse': 'texture:sparse', 'minimal': 'texture:sparse', 'stripped': 'texture:sparse', 'bare': 'texture:sparse',
-  'noisy': 'texture:noisy', 'distorted': 'texture:noisy', 'abrasive': 'texture:noisy', 'feedback': 'texture:noisy',
-  'warm': 'texture:warm', 'analog': 'texture:warm', 'cozy': 'texture:warm',
-  'cold': 'texture:cold', 'clinical': 'texture:cold', 'digital': 'texture:cold', 'icy': 'texture:cold',
-  'psychedelic': 'texture:psychedelic', 'trippy': 'texture:psychedelic', 'warped': 'texture:psychedelic',
-  'cinematic': 'texture:cinematic', 'dramatic': 'texture:cinematic', 'score': 'texture:cinematic',
-
-  // Genre → trait IDs
-  'punk': 'genre:punk', 'post-punk': 'genre:post-punk', 'garage': 'genre:garage', 'krautrock': 'genre:krautrock',
-  'electronic': 'genre:electronic', 'synth': 'genre:electronic', 'hip-hop': 'genre:hip-hop', 'rap': 'genre:hip-hop',
-  'hip hop': 'genre:hip-hop', 'soul': 'genre:soul', 'funk': 'genre:funk', 'folk': 'genre:folk',
-  'experimental': 'genre:experimental', 'avant-garde': 'genre:experimental', 'noise': 'genre:noise',
-  'ambient': 'genre:ambient', 'dance music': 'genre:dance', 'disco': 'genre:dance',
-  'k-pop': 'genre:k-pop', 'kpop': 'genre:k-pop', 'korean pop': 'genre:k-pop',
-  'psychedelic': 'genre:psychedelic', 'art rock': 'genre:art-rock', 'afrobeat': 'genre:afrobeat',
-  'r&b': 'genre:r&b', 'jazz': 'genre:jazz', 'country': 'genre:country', 'latin': 'genre:latin',
-  // Pop — maps to danceable/joyful rather than a genre:pop trait we don't have.
-  // This prevents raw keyword fallback from matching "Iggy Pop", "Pop Levi", k-pop artists by text.
-  'pop': 'mood:joyful', 'mainstream pop': 'mood:joyful', 'mainstream': 'mood:joyful',
-  'pop music': 'mood:joyful', 'popular': 'mood:joyful',
-  // Western — in most contexts means country. "Eastern/Western music" is a rarely used framing;
-  // safer to treat 'western' as a country alias for this audience.
-  'western': 'genre:country', 'country western': 'genre:country',
-
-  // Era
-  '50s': 'era:50s', '1950s': 'era:50s',
-  '60s': 'era:60s', '1960s': 'era:60s',
-  '70s': 'era:70s', '1970s': 'era:70s',
-  '80s': 'era:80s', '1980s': 'era:80s',
-  '90s': 'era:90s', '1990s': 'era:90s',
-  '00s': 'era:00s', '2000s': 'era:00s', 'aughts': 'era:00s',
-  'modern': 'era:modern', 'contemporary': 'era:modern', 'recent': 'era:modern',
-
-  // Character
-  'outsider': 'char:outsider', 'homemade': 'char:outsider', 'diy': 'char:outsider', 'bedroom': 'char:outsider',
-  'political': 'char:political', 'protest': 'char:political',
-  'intimate': 'char:intimate', 'personal': 'char:intimate', 'close': 'char:intimate',
-  'beautiful': 'char:beautiful', 'gorgeous': 'char:beautiful',
-  'late night': 'char:late-night', 'night': 'char:late-night', 'midnight': 'char:late-night', '2am': 'char:late-night',
-  'danceable': 'char:danceable', 'dance': 'char:danceable', 'makes you move': 'char:danceable',
-  'nostalgic': 'char:nostalgic', 'nostalgia': 'char:nostalgic', 'vintage': 'char:nostalgic', 'retro': 'char:nostalgic',
-
-  // Differentiating character traits — added for buried songs
-  'instrumental': 'char:instrumental', 'no vocals': 'char:instrumental', 'no singing': 'char:instrumental',
-  'rare groove': 'char:rare-groove', 'rare-groove': 'char:rare-groove', 'groove': 'char:rare-groove',
-  'film noir': 'char:film-noir', 'noir': 'char:film-noir',
-  'narrative': 'char:narrative', 'storytelling': 'char:narrative',
-  'bittersweet': 'char:bittersweet',
-  'japanese': 'char:japanese', 'japan': 'char:japanese',
-  'deadpan': 'char:deadpan',
-  'chamber pop': 'genre:chamber-pop', 'chamber-pop': 'genre:chamber-pop',
-  // New character traits
-  'literate': 'char:literate', 'literary': 'char:literate', 'cerebral': 'char:literate', 'intellectual': 'char:literate', 'wordy': 'char:literate',
-  'sweet': 'char:sweet',
-  'acoustic': 'char:acoustic', 'unplugged': 'char:acoustic',
-  'ethereal': 'char:ethereal', 'airy': 'char:ethereal', 'floaty': 'char:ethereal',
-  'hazy': 'char:hazy', 'foggy': 'char:hazy', 'blurry': 'char:hazy',
-  'driving': 'char:driving', 'propulsive': 'char:driving', 'motorik': 'char:driving',
-  'angular': 'char:angular', 'choppy': 'char:angular', 'jerky': 'char:angular',
-  'eccentric': 'char:eccentric', 'odd': 'char:eccentric', 'peculiar': 'char:eccentric',
-  'confessional': 'char:confessional', 'diary': 'char:confessional',
-  'existential': 'char:existential', 'philosophical': 'char:existential',
-  'duet': 'char:duet', 'two voices': 'char:duet',
-  'wes anderson': 'char:wes-anderson', 'wes anderson-y': 'char:wes-anderson', 'wes andersony': 'char:wes-anderson',
-  'vocal harmony': 'char:vocal-harmony', 'harmonies': 'char:vocal-harmony', 'harmonized': 'char:vocal-harmony',
-  'slow burn': 'char:slow-burn', 'slow-burn': 'char:slow-burn', 'builds': 'char:slow-burn',
-  'abstract': 'char:abstract',
-  'cool': 'char:cool',
-  // New genre aliases
-  'dream pop': 'genre:dream-pop', 'dreamy pop': 'genre:dream-pop',
-  'yacht rock': 'genre:yacht-rock', 'soft rock': 'genre:yacht-rock', 'adult contemporary': 'genre:yacht-rock',
-  'anti-folk': 'genre:anti-folk', 'antifolk': 'genre:anti-folk',
-  'chamber folk': 'genre:chamber-folk', 'chamber-folk': 'genre:chamber-folk',
-  'chamber pop': 'genre:chamber-pop',
-  'blues rock': 'genre:blues-rock', 'blues-rock': 'genre:blues-rock',
-  'indie rock': 'genre:indie-rock', 'indie-rock': 'genre:indie-rock',
-  'indie folk': 'genre:indie-folk', 'indie-folk': 'genre:indie-folk',
-  'baroque pop': 'genre:baroque-pop', 'baroque-pop': 'genre:baroque-pop',
-  'ye-ye': 'genre:ye-ye', 'ye ye': 'genre:ye-ye', 'yé-yé': 'genre:ye-ye', 'french pop': 'genre:ye-ye',
-  'synth pop': 'genre:synth-pop', 'synth-pop': 'genre:synth-pop', 'synthpop': 'genre:synth-pop',
-  'new wave': 'genre:new-wave', 'new-wave': 'genre:new-wave',
-  'glam': 'genre:glam', 'glam rock': 'genre:glam',
-  'lo-fi folk': 'genre:lo-fi-folk', 'lo fi folk': 'genre:lo-fi-folk',
-
-  // Origin / Country — maps to origin: traits in songs.json
-  'american': 'origin:us', 'us': 'origin:us', 'usa': 'origin:us',
-  'british': 'origin:uk', 'uk': 'origin:uk', 'english': 'origin:uk',
-  'french': 'origin:france', 'france': 'origin:france',
-  'german': 'origin:germany', 'germany': 'origin:germany', 'kraut': 'origin:germany',
-  'swedish': 'origin:sweden', 'sweden': 'origin:sweden', 'scandinavian': 'origin:sweden',
-  'japanese': 'origin:japan', 'japan': 'origin:japan',
-  'korean': 'origin:korea', 'korea': 'origin:korea', 'k-pop': 'origin:korea', 'kpop': 'origin:korea',
-  'brazilian': 'origin:brazil', 'brazil': 'origin:brazil', 'tropicália': 'origin:brazil',
-  'nigerian': 'origin:nigeria', 'nigeria': 'origin:nigeria',
-  'african': 'genre:afrobeat',  // "African music" → afrobeat is our best match
-  'canadian': 'origin:canada', 'canada': 'origin:canada',
-  'australian': 'origin:australia', 'australia': 'origin:australia',
-  'norwegian': 'origin:norway', 'norway': 'origin:norway',
-  'icelandic': 'origin:iceland', 'iceland': 'origin:iceland',
-  'spanish': 'origin:spain', 'spain': 'origin:spain',
-  'colombian': 'origin:colombia', 'colombian': 'origin:colombia',
-  'jamaican': 'origin:jamaica', 'jamaica': 'origin:jamaica',
-  'latino': 'genre:latin', 'latina': 'genre:latin', 'latin american': 'genre:latin',
-};
-
 // =====================
 // SCORING
 // New approach: sum trait weights instead of counting tag matches.
@@ -251,13 +378,30 @@ const TRAIT_ALIASES = {
 // The song's score = sum of trait weights for all matched traits.
 // This means a song with energy:high 1.0 beats one with energy:high 0.5.
 // =====================
-function scoreSongs(songs, keywords, preferVideo = false, butWeightOverrides = null) {
-  // First, map keywords to trait IDs
+
+// How hard a "but" shift pulls: a trait added by "soul but weirder" outweighs any one
+// trait of the anchor, and "less polished" costs a song as much as its lush weight × this
+const SHIFT_WEIGHT = 1.2;
+
+// Maps keywords to trait IDs → { traitTargets: Map(traitId → query weight), rawKeywords, excludedTraits, gateTraits }
+// "not:<trait id or alias>" keywords ("folk but not sad") go to excludedTraits instead,
+// and win over a target for the same trait.
+// shift: { traitId: +1 | -1 } from the clause after "but" (lib/shift). It moves the
+// anchor rather than adding to it — shifted traits never become gates.
+// Split out of scoreSongs so the debug trace can show the mapping without scoring anything.
+function buildTraitTargets(keywords, shift = null) {
   const traitTargets = new Map(); // traitId → query weight (how strongly user asked for it)
   const rawKeywords = []; // keywords we couldn't map to traits — fall through to text search
+  const excludedTraits = new Set(); // traitIds the user asked to keep out
 
   for (const kw of keywords) {
     const kwLower = kw.toLowerCase().trim();
+    const excluded = excludedTrait(kwLower);
+    if (excluded !== null) {
+      const traitId = excluded.includes(':') ? excluded : TRAIT_ALIASES[excluded];
+      if (traitId) excludedTraits.add(traitId);
+      continue;
+    }
     // Haiku may return fully-formed trait IDs (e.g. "genre:jazz") — add directly
     if (kwLower.includes(':') && !kwLower.startsWith('http')) {
       traitTargets.set(kwLower, Math.max(traitTargets.get(kwLower) || 0, 1.0));
@@ -279,46 +423,86 @@ function scoreSongs(songs, keywords, preferVideo = false, butWeightOverrides = n
     }
   }
 
-  // Apply but-modifier: reduce query weight for traits matching the "before but" clause
-  if (butWeightOverrides) {
-    for (const [traitId, _] of traitTargets) {
-      const traitLabel = traitId.split(':')[1] || traitId;
-      if (butWeightOverrides.reduce && (butWeightOverrides.reduce.includes(traitLabel) || traitLabel.includes(butWeightOverrides.reduce))) {
-        traitTargets.set(traitId, traitTargets.get(traitId) * 0.3); // heavily reduce
-      }
-      if (butWeightOverrides.boost && (butWeightOverrides.boost.includes(traitLabel) || traitLabel.includes(butWeightOverrides.boost))) {
-        traitTargets.set(traitId, Math.min(traitTargets.get(traitId) * 1.5, 1.5)); // boost
-      }
+  for (const traitId of excludedTraits) traitTargets.delete(traitId);
+
+  // Gates come from the anchor alone — "soul but jazzier" still has to be soul,
+  // it doesn't have to be jazz
+  const gateTraits = [...traitTargets.keys()].filter(isGateTrait);
+
+  if (shift) {
+    for (const [traitId, direction] of Object.entries(shift)) {
+      if (excludedTraits.has(traitId)) continue;
+      if (direction < 0) traitTargets.set(traitId, -SHIFT_WEIGHT);
+      else if (traitTargets.has(traitId)) traitTargets.set(traitId, Math.min(traitTargets.get(traitId) * 1.5, 1.5));
+      else traitTargets.set(traitId, SHIFT_WEIGHT);
     }
   }
 
+  return { traitTargets, rawKeywords, excludedTraits, gateTraits };
+}
+
+// explain: attach a per-song `breakdown` of where the score came from (debug trace only —
+// it allocates an object per song)
+// taste: the session's taste (lib/taste) — multiplies each score by how well the song
+// fits what the visitor has liked and disliked.
+// recency: song => weight (see RECENCY) — holds back songs from recent visits.
+// years: { from, to } from lib/years — a hard filter on song.year, like the gate.
+// The score before either is kept as `relevance`, so thresholds like MIN_SCORE still
+// ask "does it match" rather than "does it match and is it what they'd pick".
+function scoreSongs(songs, keywords, preferVideo = false, shift = null, { explain = false, taste = null, recency = null, years = null } = {}) {
+  const { traitTargets, rawKeywords, excludedTraits, gateTraits } = buildTraitTargets(keywords, shift);
+  // "anything except electronic" and "something from before 1975" ask for nothing in
+  // particular — every song that survives the exclusions and the year range starts
+  // out as a match
+  const onlyFilters = (excludedTraits.size > 0 || !!years) && traitTargets.size === 0 && rawKeywords.length === 0;
+
   // Identify "required" genre and origin targets — traits the user explicitly asked for.
   // If a song doesn't have ANY of the required genre/origin traits, it gets zeroed out.
   // This prevents "danceable hip-hop" from returning a danceable song with no hip-hop at all.
-  const requiredGenreTargets = [...traitTargets.keys()].filter(t =>
-    t.startsWith('genre:') || t.startsWith('origin:')
-  );
+  const requiredGenreTargets = gateTraits;
 
   return songs.map(song => {
     const traits = song.traits || {};
     let score = 0;
+    const breakdown = explain ? {} : null;
 
     // Genre/origin hard gate: if user asked for specific genres/origins, the song
     // must have ALL of them — not just one. "Experimental hip-hop" requires both,
     // not just whichever one the song happens to have.
     // Exception: origin traits don't gate against genre traits and vice versa —
     // "Brazilian jazz" requires origin:brazil AND genre:jazz on the same song.
-    // Equivalences: genre:dance is satisfied by char:danceable (K-pop songs are
-    // danceable but not tagged genre:dance). genre:k-pop is satisfied by origin:korea.
+    // Equivalences ("satisfiedBy" in data/traits.json): genre:dance is satisfied by
+    // char:danceable (K-pop songs are danceable but not tagged genre:dance).
     if (requiredGenreTargets.length > 0) {
-      const hasAllRequired = requiredGenreTargets.every(t => {
-        if (traits[t] !== undefined && traits[t] >= 0.5) return true;
-        // Equivalences — alternate ways a song can satisfy a genre requirement
-        if (t === 'genre:dance' && traits['char:danceable'] >= 0.5) return true;
-        if (t === 'genre:k-pop' && traits['origin:korea'] >= 0.5) return true;
-        return false;
-      });
-      if (!hasAllRequired) return { ...song, score: 0 };
+      const hasAllRequired = requiredGenreTargets.every(t => gateSatisfied(traits, t));
+      if (!hasAllRequired) {
+        if (explain) breakdown.gateFailed = requiredGenreTargets.filter(t => !gateSatisfied(traits, t));
+        return explain ? { ...song, score: 0, breakdown } : { ...song, score: 0 };
+      }
+    }
+
+    // Exclusions: a gate trait the song satisfies, or any other trait it carries at
+    // EXCLUDE_WEIGHT or more, zeroes it out. A faint trace of the trait (a mostly
+    // upbeat song with mood:melancholic 0.3) only costs it that share of its score.
+    let penalty = 1;
+    const excludedBy = [];
+    for (const traitId of excludedTraits) {
+      const weight = traits[traitId] || 0;
+      if (isGateTrait(traitId) ? gateSatisfied(traits, traitId) : weight >= EXCLUDE_WEIGHT) excludedBy.push(traitId);
+      else if (weight > 0) penalty *= 1 - weight;
+    }
+    if (excludedBy.length) {
+      if (explain) breakdown.excluded = excludedBy;
+      return explain ? { ...song, score: 0, relevance: 0, breakdown } : { ...song, score: 0, relevance: 0 };
+    }
+    if (years && !inRange(song.year, years)) {
+      if (explain) breakdown.outside = formatRange(years);
+      return explain ? { ...song, score: 0, relevance: 0, breakdown } : { ...song, score: 0, relevance: 0 };
+    }
+
+    if (onlyFilters) {
+      score = 1;
+      if (explain) breakdown['(passes filters)'] = 1;
     }
 
     // Primary scoring: sum weighted trait matches
@@ -327,6 +511,7 @@ function scoreSongs(songs, keywords, preferVideo = false, butWeightOverrides = n
         // Score = song's trait weight × query weight
         // A song with energy:high 1.0 scores higher than energy:high 0.5
         score += traits[traitId] * queryWeight;
+        if (explain) breakdown[traitId] = traits[traitId] * queryWeight;
       }
     }
 
@@ -343,28 +528,40 @@ function scoreSongs(songs, keywords, preferVideo = false, butWeightOverrides = n
         if (kw.length < 4) continue; // too short — substring false positive risk
         const escaped = kw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const re = new RegExp('\\b' + escaped + '\\b', 'i');
-        if (re.test(titleText)) score += 0.8;
-        else if (re.test(artistText)) score += 0.8;
-        else if (!COMMENTARY_STOPWORDS.has(kw) && re.test(commentaryText)) score += 0.3;
+        let bonus = 0;
+        if (re.test(titleText)) bonus = 0.8;
+        else if (re.test(artistText)) bonus = 0.8;
+        else if (!COMMENTARY_STOPWORDS.has(kw) && re.test(commentaryText)) bonus = 0.3;
+        score += bonus;
+        if (explain && bonus) breakdown[`"${kw}"`] = bonus;
       }
     }
 
-    // Year/decade matching — derive era trait from year field
-    const year = parseInt(song.year);
-    if (!isNaN(year)) {
-      const decade = Math.floor(year / 10) * 10;
-      const eraId = `era:${decade % 100 || decade}s`.replace('era:0s', 'era:00s');
-      if (traitTargets.has(eraId) && !traits[eraId]) {
-        // Song year matches requested era but era trait wasn't explicitly set
-        // Give it partial credit
-        score += 0.5;
-      }
+    // Year/decade matching — derive era trait from year field (lib/years)
+    const eraId = eraOfYear(song.year);
+    if (eraId && traitTargets.get(eraId) > 0 && !traits[eraId]) {
+      // Song year matches requested era but era trait wasn't explicitly set
+      // Give it partial credit
+      score += 0.5;
+      if (explain) breakdown[`${eraId} (year)`] = 0.5;
     }
 
     const isYT = song.streaming && song.streaming.youtube;
     if (preferVideo && isYT) score += 5;
+    if (explain && preferVideo && isYT) breakdown.video = 5;
+
+    score *= penalty;
+    if (explain && penalty !== 1) breakdown['× excluded traces'] = penalty;
+
+    const relevance = score;
+    const multiplier = taste ? tasteMultiplier(song, taste) : 1;
+    score *= multiplier;
+    if (explain && multiplier !== 1) breakdown['× taste'] = multiplier;
+    const recent = recency ? recency(song) : 1;
+    score *= recent;
+    if (explain && recent !== 1) breakdown['× recency'] = recent;
 
-    return { ...song, score };
+    return explain ? { ...song, score, relevance, breakdown } : { ...song, score, relevance };
   });
 }
 
@@ -374,36 +571,17 @@ function extractRequiredGenres(keywords) {
   const required = [];
   for (const kw of keywords) {
     const kwLower = kw.toLowerCase().trim();
-    if (kwLower.startsWith('genre:') || kwLower.startsWith('origin:')) {
-      required.push(kwLower);
+    if (excludedTrait(kwLower) !== null) continue;
+    if (kwLower.includes(':')) {
+      if (isGateTrait(kwLower)) required.push(kwLower);
     } else if (TRAIT_ALIASES[kwLower]) {
       const t = TRAIT_ALIASES[kwLower];
-      if (t.startsWith('genre:') || t.startsWith('origin:')) required.push(t);
+      if (isGateTrait(t)) required.push(t);
     }
   }
   return [...new Set(required)];
 }
 
-// Human-readable label for a genre/origin trait, for use in "I don't have X" messages.
-function genreLabel(traitId) {
-  const map = {
-    'genre:hip-hop': 'hip-hop', 'genre:jazz': 'jazz', 'genre:electronic': 'electronic',
-    'genre:folk': 'folk', 'genre:punk': 'punk', 'genre:soul': 'soul',
-    'genre:funk': 'funk', 'genre:experimental': 'experimental', 'genre:ambient': 'ambient',
-    'genre:dance': 'dance', 'genre:noise': 'noise', 'genre:r&b': 'R&B',
-    'genre:afrobeat': 'afrobeat', 'genre:latin': 'latin', 'genre:country': 'country',
-    'genre:psychedelic': 'psychedelic', 'genre:art-rock': 'art rock', 'genre:garage': 'garage',
-    'genre:post-punk': 'post-punk', 'genre:krautrock': 'krautrock',
-    'origin:us': 'American', 'origin:uk': 'British', 'origin:france': 'French',
-    'origin:germany': 'German', 'origin:sweden': 'Swedish', 'origin:japan': 'Japanese',
-    'origin:korea': 'Korean', 'origin:brazil': 'Brazilian', 'origin:nigeria': 'Nigerian',
-    'origin:canada': 'Canadian', 'origin:australia': 'Australian',
-    'origin:norway': 'Norwegian', 'origin:iceland': 'Icelandic',
-    'origin:spain': 'Spanish', 'origin:colombia': 'Colombian', 'origin:jamaica': 'Jamaican',
-  };
-  return map[traitId] || traitId.replace(/^(genre|origin):/, '');
-}
-
 const COMMENTARY_STOPWORDS = new Set([
   'love', 'like', 'really', 'great', 'good', 'best', 'favorite', 'favourite',
   'amazing', 'beautiful', 'perfect', 'incredible', 'awesome', 'fantastic',
@@ -463,64 +641,6 @@ function findSongsByArtist(message) {
   return null;
 }
 
-// =====================
-// KEYWORD EXTRACTION
-// =====================
-async function extractKeywords(userMessage) {
-  const response = await anthropic.messages.create({
-    model: 'claude-haiku-4-5-20251001', max_tokens: 200,
-    system: `You are a music search assistant. Convert any request — including moods, situations, metaphors, and feelings — into music trait keywords. Return ONLY a JSON array, no explanation.
-
-MAP TO THESE TRAIT VOCABULARY TERMS WHERE POSSIBLE:
-Energy: "energy:high", "energy:low", "energy:hypnotic", "energy:chaotic"
-Mood: "mood:melancholic", "mood:dark", "mood:joyful", "mood:tense", "mood:tender", "mood:defiant", "mood:dreamlike", "mood:playful", "mood:erotic", "mood:spiritual", "mood:bittersweet", "mood:yearning", "mood:defeated", "mood:cathartic", "mood:hypnotic", "mood:romantic", "mood:celebratory", "mood:resigned"
-Texture: "texture:lo-fi", "texture:lush", "texture:sparse", "texture:noisy", "texture:warm", "texture:cold", "texture:psychedelic", "texture:cinematic", "texture:quiet"
-Genre: "genre:punk", "genre:post-punk", "genre:garage", "genre:krautrock", "genre:electronic", "genre:hip-hop", "genre:soul", "genre:funk", "genre:folk", "genre:experimental", "genre:noise", "genre:ambient", "genre:dance", "genre:psychedelic", "genre:art-rock", "genre:afrobeat", "genre:r&b", "genre:jazz", "genre:country", "genre:latin", "genre:dream-pop", "genre:indie-rock", "genre:indie-folk", "genre:new-wave", "genre:synth-pop", "genre:yacht-rock", "genre:anti-folk", "genre:chamber-folk", "genre:chamber-pop", "genre:blues-rock", "genre:baroque-pop", "genre:ye-ye", "genre:glam", "genre:lo-fi-folk", "genre:k-pop"
-Era: "era:50s", "era:60s", "era:70s", "era:80s", "era:90s", "era:00s", "era:modern"
-Character: "char:outsider", "char:political", "char:intimate", "char:beautiful", "char:late-night", "char:danceable", "char:nostalgic", "char:weird", "char:heavy", "char:cinematic", "char:literate", "char:acoustic", "char:ethereal", "char:hazy", "char:driving", "char:angular", "char:eccentric", "char:narrative", "char:confessional", "char:existential", "char:duet", "char:vocal-harmony", "char:slow-burn", "char:sweet", "char:bittersweet", "char:cool", "char:abstract", "char:wes-anderson"
-Origin (use when user specifies a country or region): "origin:us", "origin:uk", "origin:france", "origin:germany", "origin:sweden", "origin:japan", "origin:korea", "origin:brazil", "origin:nigeria", "origin:canada", "origin:australia", "origin:norway", "origin:iceland", "origin:spain", "origin:colombia", "origin:jamaica"
-
-SITUATIONAL MAPPINGS:
-- "late night", "2am", "driving at night" → ["char:late-night", "mood:dreamlike", "energy:low"]
-- "feel good", "happy" → ["mood:joyful", "char:danceable"]
-- "sad", "heartbreak", "breakup" → ["mood:melancholic", "char:intimate"]
-- "weird", "strange", "outsider" → ["char:outsider", "mood:playful", "texture:lo-fi"]
-- "political", "protest" → ["char:political", "mood:defiant"]
-- "dance", "club" → ["char:danceable", "genre:dance", "energy:high"]
-- "chill", "relax" → ["energy:low", "texture:warm", "mood:dreamlike"]
-- "aggressive", "angry", "loud" → ["mood:defiant", "energy:high", "texture:noisy"]
-- "nostalgic", "old feeling", "retro" → ["char:nostalgic"]
-- "beautiful", "gorgeous", "stunning" → ["char:beautiful"]
-- "intimate", "personal", "quiet" → ["char:intimate", "texture:sparse"]
-- "cosmic", "space", "otherworldly" → ["genre:experimental", "mood:dreamlike", "char:weird"]
-- "dream pop", "hazy", "gauzy", "floaty" → ["genre:dream-pop", "char:hazy", "char:ethereal"]
-- "literate", "literary", "cerebral", "wordy", "intellectual" → ["char:literate"]
-- "storytelling", "narrative" → ["char:narrative", "char:literate"]
-- "driving", "motorik", "propulsive" → ["char:driving", "energy:high"]
-- "yacht rock", "soft rock", "smooth" → ["genre:yacht-rock"]
-- "wes anderson", "wes anderson-y" → ["char:wes-anderson", "char:nostalgic"]
-- "harmonies", "vocal harmony" → ["char:vocal-harmony"]
-- "french", "french pop", "ye-ye" → ["genre:ye-ye", "origin:france"]
-- "bittersweet" → ["mood:bittersweet", "char:bittersweet"]
-- "k-pop", "kpop", "korean pop" → ["genre:k-pop", "origin:korea"]
-
-RULES:
-- Prefer trait vocabulary terms over raw words whenever possible
-- For artist names or song titles, return them as plain strings
-- Return 3–8 items
-- Return ONLY the JSON array, no preamble or explanation
-- If the input is gibberish, a random string of characters, or clearly not a word in any language, return []. Do NOT return [] for real words, genre names, mood words, artist names, or any legitimate request — even if it is very short or vague`,
-    messages: [{ role: 'user', content: userMessage }]
-  });
-  try {
-    const text = response.content[0].text.trim();
-    const match = text.match(/\[[\s\S]*\]/);
-    if (!match) return [];
-    const raw = JSON.parse(match[0]).map(k => k.toLowerCase().trim());
-    return raw.filter(k => k.length >= 2);
-  } catch (e) { console.log('Keyword parse error:', e.message); return []; }
-}
-
 // =====================
 // ARTIST SIMILARITY — "like Nico", "something like Portishead"
 // Detects "like [artist]" patterns and extracts that artist's sonic traits
@@ -557,62 +677,76 @@ function detectLikeArtist(message) {
   return null;
 }
 
-async function extractArtistTraits(artistName) {
-  const response = await anthropic.messages.create({
-    model: 'claude-haiku-4-5-20251001', max_tokens: 200,
-    system: `You are a music search assistant. Describe the sonic characteristics of a given artist using ONLY trait vocabulary terms from this list. Return ONLY a JSON array of 4–7 traits, no explanation.
-
-Energy: "energy:high", "energy:low", "energy:hypnotic", "energy:chaotic"
-Mood: "mood:melancholic", "mood:dark", "mood:joyful", "mood:tense", "mood:tender", "mood:defiant", "mood:dreamlike", "mood:playful", "mood:erotic", "mood:spiritual", "mood:bittersweet", "mood:yearning"
-Texture: "texture:lo-fi", "texture:lush", "texture:sparse", "texture:noisy", "texture:warm", "texture:cold", "texture:psychedelic", "texture:cinematic", "texture:quiet"
-Genre: "genre:punk", "genre:post-punk", "genre:garage", "genre:krautrock", "genre:electronic", "genre:hip-hop", "genre:soul", "genre:funk", "genre:folk", "genre:experimental", "genre:noise", "genre:ambient", "genre:dance", "genre:psychedelic", "genre:art-rock", "genre:afrobeat", "genre:r&b", "genre:jazz", "genre:country", "genre:latin", "genre:dream-pop", "genre:indie-rock", "genre:indie-folk", "genre:new-wave", "genre:synth-pop", "genre:yacht-rock", "genre:anti-folk", "genre:chamber-folk", "genre:chamber-pop", "genre:blues-rock", "genre:baroque-pop", "genre:ye-ye", "genre:glam"
-Era: "era:50s", "era:60s", "era:70s", "era:80s", "era:90s", "era:00s", "era:modern"
-Character: "char:outsider", "char:political", "char:intimate", "char:beautiful", "char:late-night", "char:danceable", "char:nostalgic", "char:weird", "char:heavy", "char:cinematic", "char:literate", "char:acoustic", "char:ethereal", "char:hazy", "char:driving", "char:angular", "char:eccentric", "char:narrative", "char:confessional", "char:existential", "char:vocal-harmony", "char:slow-burn", "char:sweet", "char:cool"
-Origin: "origin:us", "origin:uk", "origin:france", "origin:germany", "origin:sweden", "origin:japan", "origin:korea", "origin:brazil", "origin:nigeria", "origin:canada", "origin:australia", "origin:norway", "origin:iceland"
-
-Examples:
-- "Nico" → ["texture:sparse", "mood:melancholic", "mood:dark", "genre:art-rock", "era:60s", "char:intimate"]
-- "Portishead" → ["genre:electronic", "mood:melancholic", "mood:tense", "texture:cold", "char:late-night", "energy:low"]
-- "Chet Baker" → ["genre:jazz", "mood:tender", "texture:sparse", "energy:low", "char:intimate", "char:late-night"]
-- "Fela Kuti" → ["genre:afrobeat", "energy:high", "char:political", "mood:defiant", "texture:lush"]
-- "Elliott Smith" → ["genre:indie-folk", "texture:sparse", "mood:melancholic", "char:intimate", "char:confessional", "char:sweet"]
-- "Joanna Newsom" → ["genre:indie-folk", "char:literate", "char:eccentric", "texture:lush", "char:intimate", "era:modern"]
-
-If you don't recognize the artist, return an empty array [].
-Return ONLY the JSON array.`,
-    messages: [{ role: 'user', content: `Artist: "${artistName}"` }]
-  });
-  try {
-    const text = response.content[0].text.trim();
-    const match = text.match(/\[[\s\S]*\]/);
-    if (!match) return [];
-    return JSON.parse(match[0]).map(k => k.toLowerCase().trim()).filter(k => k.length >= 2);
-  } catch (e) { console.log('Artist trait parse error:', e.message); return []; }
-}
-
-// =====================
-// CHARACTER + RESPONSE GENERATION
-// =====================
-const EFRAIN_CHARACTER = `You are Efrain — a product designer and music obsessive based in New Jersey. You built efrain.fm because you love sharing music and the stories behind it. It's a creative project that lets you do that with anyone who finds the site.
+// "Like [song]" — the same "like X" phrasings, when X is a song rather than an artist:
+//   "like this song", "like that one"       → the song just served
+//   "like that Kills track"                 → the last Kills song served, or all of theirs here
+//                                             (an artist we don't have: their traits from the model)
+//   "like Teardrop by Massive Attack"       → that track, here or not
+//   "like the song Untrue", "like Untrue"   → a title — bare only if no artist has that name
+// → { title, artist, songs (in the collection, possibly none), negated, last } or null for
+// the artist flow. `last` marks the song just served, which "more like this" already covers.
+const sameArtist = (a, b) => normalize(a).replace(/^the\s+/, '') === normalize(b).replace(/^the\s+/, '');
+
+function detectLikeSong(message, session) {
+  const like = detectLikeArtist(message);
+  if (!like) return null;
+  const name = like.artist; // capitalized by detectLikeArtist
+  const { negated } = like;
+  const byTitle = (title, artist) => songsData.songs.filter(s =>
+    normalize(s.title) === normalize(title) && (!artist || sameArtist(s.artist, artist)));
+
+  if (/^(?:this|that)(?:\s+(?:song|track|tune|one))?$/i.test(name)) {
+    const last = session.lastSong && songsData.songs.find(s => s.id === session.lastSong.id);
+    return last ? { title: last.title, artist: last.artist, songs: [last], negated, last: true } : null;
+  }
 
-Background: You made music in your teens and 20s. You've spent years in health tech and design. You love talking about music, sharing cool discoveries, and recommending songs to people. Your design work is at www.efrain.design if anyone's curious.
+  let m = name.match(/^(?:that|the)\s+(.+?)\s+(?:song|track|tune|record|one)$/i);
+  if (m) {
+    const theirs = songsData.songs.filter(s => sameArtist(s.artist, m[1]));
+    const played = [...session.playedIds].reverse().map(id => theirs.find(s => s.id === id)).find(Boolean);
+    if (!theirs.length) return { title: null, artist: m[1], songs: [], negated }; // not ours — their sound, from the model
+    return { title: null, artist: theirs[0].artist, songs: played ? [played] : theirs, negated };
+  }
 
-About the site: There's a player toggle in the top bar — Spotify on the left, Apple Music on the right. Spotify is the default and only plays 30-second previews unless you're logged in. Apple Music plays full songs if you're signed in. Some songs aren't on either platform, or you specifically wanted to share a live performance or music video — in those cases you share a YouTube link instead. If someone asks about hearing full songs, switching players, or mentions Spotify or Apple Music, let them know about the toggle and explain the difference briefly.
+  m = name.match(/^(.+?)\s+by\s+(.+)$/i);
+  if (m) return { title: m[1], artist: m[2], songs: byTitle(m[1], m[2]), negated };
 
-Personality: Warm, direct, a little dry. Deep music knowledge — outsider, lo-fi, experimental, jazz, proto-punk, international. Never pretentious. You share because you genuinely love it, not to impress anyone.
+  m = name.match(/^(?:the\s+)?(?:song|track)\s+(.+)$/i);
+  if (m) return { title: m[1], artist: null, songs: byTitle(m[1]), negated };
 
-Important: Don't mention this being a portfolio piece, case study, or that you're looking for work. It's just a project you made because you wanted to. Keep responses SHORT — 2-3 sentences max. Steer music-adjacent questions back toward asking what they want to hear. Plain text only, no markdown. NEVER invent or describe features that don't exist — if something doesn't work a certain way, just redirect to what you can do (play songs from your collection). NEVER say things like "that search isn't set up yet" or "that feature isn't available."`;
+  if (songsData.songs.some(s => sameArtist(s.artist, name))) return null;
+  const songs = byTitle(name);
+  return songs.length ? { title: songs[0].title, artist: songs[0].artist, songs, negated } : null;
+}
 
-async function generateConversationalResponse(userMessage, lastSong) {
-  const songContext = lastSong ? `The last song you shared was "${lastSong.title}" by ${lastSong.artist}.` : '';
-  const r = await anthropic.messages.create({
-    model: 'claude-haiku-4-5-20251001', max_tokens: 120,
-    system: EFRAIN_CHARACTER,
-    messages: [{ role: 'user', content: `${userMessage}${songContext ? '\n\n' + songContext : ''}` }]
-  });
-  return r.content[0].text;
+// One side of a blend as a trait vector: an artist we have (the mean of their songs),
+// a title we have ("Teardrop by Massive Attack" or just "Teardrop"), a trait
+// ("between Nico and dub"), or what the model knows about the name.
+// → { name, source: artist|song|trait|model, traits, artist, songIds }
+const isCollectionArtist = name => songsData.songs.some(s => sameArtist(s.artist, name));
+
+async function referenceVector(name) {
+  const theirs = songsData.songs.filter(s => sameArtist(s.artist, name));
+  if (theirs.length) return { name, source: 'artist', traits: averageVector(theirs), artist: theirs[0].artist, songIds: [] };
+
+  const by = name.match(/^(.+?)\s+by\s+(.+)$/i);
+  const [title, artist] = by ? [by[1], by[2]] : [name, null];
+  const songs = songsData.songs.filter(s =>
+    normalize(s.title) === normalize(title) && (!artist || sameArtist(s.artist, artist)));
+  if (songs.length) return { name, source: 'song', traits: averageVector(songs), artist: songs[0].artist, songIds: songs.map(s => s.id) };
+
+  const traitId = TRAIT_ALIASES[name.toLowerCase()];
+  if (traitId) return { name, source: 'trait', traits: { [traitId]: 1 }, artist: null, songIds: [] };
+
+  // Capitalized for the model, as in detectLikeArtist
+  const capitalized = (by ? artist : name).replace(/\b\w/g, c => c.toUpperCase());
+  const ids = by ? await llm.extractSongTraits(title, capitalized) : await llm.extractArtistTraits(capitalized);
+  return { name, source: 'model', traits: toVector(ids), artist: capitalized, songIds: [] };
 }
 
+// =====================
+// NO-MATCH RESPONSES
+// =====================
 function generateNoMatchResponse(userMessage) {
   const quick = [
     [/\bpolka\b/i, "No polka in here, sorry."],
@@ -637,26 +771,34 @@ function generateNoMatchResponse(userMessage) {
 }
 
 // =====================
-// BRIDGE LOOKUP — disabled, manual bridges.json removed
-// Future: curated bridges will live in songs.json using song IDs
-// For now, findRelatedSong handles organic related-song suggestions
+// BRIDGE LOOKUP — curated bridges from songs.json, keyed by song id
+// Returns { song, bridge } for the first bridge out of fromSong whose destination
+// hasn't been played yet, or null. findRelatedSong handles organic suggestions.
 // =====================
-function findBridge() { return null; }
+function findBridge(fromSong, playedIds = []) {
+  const candidates = BRIDGES.get(fromSong.id);
+  if (!candidates) return null;
+  for (const b of candidates) {
+    const dest = songsData.songs.find(s => s.id === b.to);
+    if (dest && !playedIds.includes(dest.id)) return { song: dest, bridge: b.line };
+  }
+  return null;
+}
 
 // =====================
 // RELATED SONG — now uses trait overlap instead of tag overlap
 // =====================
-function findRelatedSong(lastSong, playedTitles) {
+function findRelatedSong(lastSong, playedIds) {
   if (!lastSong) return null;
   const lastTraits = lastSong.traits || {};
   const lastTraitKeys = Object.keys(lastTraits);
 
   // Traits that are too generic to drive a meaningful "related song" suggestion
-  const WEAK_RELATION_TRAITS = new Set(['char:nostalgic', 'char:beautiful', 'texture:warm', 'era:60s', 'era:70s', 'era:80s', 'era:90s', 'era:00s', 'era:50s', 'era:modern']);
+  const WEAK_RELATION_TRAITS = new Set(['char:nostalgic', 'char:beautiful', 'texture:warm', 'era:60s', 'era:70s', 'era:80s', 'era:90s', 'era:00s', 'era:10s', 'era:20s', 'era:30s', 'era:40s', 'era:50s', 'era:modern']);
 
   let best = null, bestOverlap = 0;
   for (const song of songsData.songs) {
-    if (playedTitles.includes(song.title)) continue;
+    if (playedIds.includes(song.id)) continue;
     if (normalize(song.artist) === normalize(lastSong.artist)) continue; // never suggest same artist
     const sTrait = song.traits || {};
     // Only count overlap on meaningful traits, not generic crossover traits
@@ -673,34 +815,9 @@ function findRelatedSong(lastSong, playedTitles) {
 
 // =====================
 // DYNAMIC OPTIONS — uses traits instead of genre/mood strings
+// COLLECTION_TRAIT_OPTIONS comes from the "option" field in data/traits.json
 // =====================
-const COLLECTION_TRAIT_OPTIONS = [
-  { label: 'Jazz', trait: 'genre:jazz' },
-  { label: 'Electronic', trait: 'genre:electronic' },
-  { label: 'Folk', trait: 'genre:folk' },
-  { label: 'Punk', trait: 'genre:punk' },
-  { label: 'Soul', trait: 'genre:soul' },
-  { label: 'Hip-Hop', trait: 'genre:hip-hop' },
-  { label: 'Ambient', trait: 'genre:ambient' },
-  { label: 'Funk', trait: 'genre:funk' },
-  { label: 'Experimental', trait: 'genre:experimental' },
-  { label: 'Latin', trait: 'genre:latin' },
-  { label: 'Afrobeat', trait: 'genre:afrobeat' },
-  { label: 'Dance', trait: 'genre:dance' },
-  { label: 'Late Night', trait: 'char:late-night' },
-  { label: 'Outsider', trait: 'char:outsider' },
-  { label: 'Melancholic', trait: 'mood:melancholic' },
-  { label: 'Joyful', trait: 'mood:joyful' },
-  { label: 'British', trait: 'origin:uk' },
-  { label: 'Brazilian', trait: 'origin:brazil' },
-  { label: 'Japanese', trait: 'origin:japan' },
-  { label: 'Swedish', trait: 'origin:sweden' },
-  { label: 'German', trait: 'origin:germany' },
-  { label: 'French', trait: 'origin:france' },
-  { label: 'Korean', trait: 'origin:korea' },
-];
-
-function getDynamicOptions(justPlayedSong, playedTitles = []) {
+function getDynamicOptions(justPlayedSong, playedIds = []) {
   const songTraits = justPlayedSong.traits || {};
 
   const contrasting = COLLECTION_TRAIT_OPTIONS.filter(opt => {
@@ -708,7 +825,7 @@ function getDynamicOptions(justPlayedSong, playedTitles = []) {
     if (songTraits[opt.trait] >= 0.7) return false;
     // Check if archive has enough unplayed songs with this trait
     const matchCount = songsData.songs.filter(s => {
-      if (playedTitles.includes(s.title)) return false;
+      if (playedIds.includes(s.id)) return false;
       return (s.traits || {})[opt.trait] >= 0.5;
     }).length;
     return matchCount >= 2;
@@ -725,22 +842,19 @@ function decideInterrupt(session, justPlayedSong) {
   if (sinceLastInterrupt < 3) return null;
 
   if (count >= 5 && sinceLastInterrupt >= 4) {
-    const related = findRelatedSong(justPlayedSong, session.playedSongs);
+    const related = findRelatedSong(justPlayedSong, session.playedIds);
     if (related) {
-      const bridge = findBridge(justPlayedSong, related);
+      // Curated bridges are offered earlier, in buildSongResponse — this is the organic path
       session.lastInterruptSong = count;
-      session._pendingRelatedSong = related.title;
-      session._pendingBridge = bridge ? bridge.bridge : null;
-      const msg = bridge
-        ? "This reminds me of another song — want to hear it?"
-        : "Oh, this reminds me of another song — want to hear it?";
-      return { type: 'related', message: msg, options: ['Okay', 'No thank you'] };
+      session._pendingRelatedId = related.id;
+      session._pendingBridge = null;
+      return { type: 'related', message: "Oh, this reminds me of another song — want to hear it?", options: ['Okay', 'No thank you'] };
     }
   }
 
   if (count >= 9 && (count - 9) % 4 === 0 && sinceLastInterrupt >= 4) {
     session.lastInterruptSong = count;
-    const options = getDynamicOptions(justPlayedSong, session.playedSongs);
+    const options = getDynamicOptions(justPlayedSong, session.playedIds);
     if (options.length < 2) return null;
     return { type: 'vibe_check', message: "Want to go somewhere different?", options };
   }
@@ -748,7 +862,7 @@ function decideInterrupt(session, justPlayedSong) {
   if (count >= 12 && !session.askedMoreOf && sinceLastInterrupt >= 4) {
     session.askedMoreOf = true;
     session.lastInterruptSong = count;
-    const options = getDynamicOptions(justPlayedSong, session.playedSongs);
+    const options = getDynamicOptions(justPlayedSong, session.playedIds);
     if (options.length < 2) return null;
     return { type: 'more_of', message: "What else are you in the mood for?", options };
   }
@@ -758,7 +872,11 @@ function decideInterrupt(session, justPlayedSong) {
 
 // =====================
 // FAVORITES
+// What visitors named as their favourite, appended to FAVORITES_FILE (default
+// data/favorites.json). One in the collection gets served like any other song.
 // =====================
+const favoritesPath = process.env.FAVORITES_FILE || path.join(__dirname, 'data', 'favorites.json');
+
 function saveFavorite(songTitle, artist) {
   let favorites = [];
   try { if (fs.existsSync(favoritesPath)) favorites = JSON.parse(fs.readFileSync(favoritesPath, 'utf8')); } catch (e) {}
@@ -775,23 +893,6 @@ function findFavoriteInCollection(input) {
   return null;
 }
 
-async function generateFavoriteResponse(userInput, collectionMatch) {
-  let matchContext;
-  if (collectionMatch && collectionMatch.alreadyPlayed) {
-    matchContext = `You already shared "${collectionMatch.match.title}" by ${collectionMatch.match.artist} with them earlier. Respond warmly — like "oh yeah, I already threw that on for you!" Do NOT offer to play it again.`;
-  } else if (collectionMatch) {
-    matchContext = `You have "${collectionMatch.match.title}" by ${collectionMatch.match.artist} in your collection and it's playing now. Acknowledge their taste warmly. Do NOT say you'll play it — it is already playing.`;
-  } else {
-    matchContext = `You don't have that. Say "I'll check that out" or similar — warm, brief, one sentence.`;
-  }
-  const r = await anthropic.messages.create({
-    model: 'claude-haiku-4-5-20251001', max_tokens: 100,
-    system: EFRAIN_CHARACTER,
-    messages: [{ role: 'user', content: `Visitor's favorite: "${userInput}"\n${matchContext}\n\n1-2 sentences MAX. React like a person, not a critic.` }]
-  });
-  return r.content[0].text;
-}
-
 // =====================
 // REACTION DETECTION
 // =====================
@@ -825,34 +926,6 @@ function isConversational(msg) {
   return /\b(just listened|listened to that|already heard|heard that|love that|loved that|nice|great|good one|that was|anything else|what else|keep going|what about|how about)\b/i.test(msg);
 }
 
-// =====================
-// =====================
-// REACTION CLASSIFIER
-// For short ambiguous messages when a last song exists.
-// Returns: 'REACTION_POSITIVE' | 'REACTION_NEGATIVE' | 'SEARCH'
-// Biased toward SEARCH — only returns a reaction classification when confident.
-// =====================
-async function classifyShortMessage(message, lastSong) {
-  const songContext = lastSong ? `The last song played was "${lastSong.title}" by ${lastSong.artist}.` : '';
-  const response = await anthropic.messages.create({
-    model: 'claude-haiku-4-5-20251001', max_tokens: 10,
-    system: `You classify short music chat messages. Given a message and the last song played, decide if the message is a reaction to the last song or a new search request.
-
-REACTION_POSITIVE: clear positive feedback about the last song ("love this", "this is incredible", "obsessed", "what a tune", "this one's special")
-REACTION_NEGATIVE: clear negative feedback about the last song ("not for me", "not feeling it", "this isn't working", "too slow for me")
-SEARCH: anything requesting a different song, genre, mood, artist, or vibe — including vague ones
-
-When in doubt, return SEARCH. Only return a reaction classification when the message is clearly about the last song and not asking for anything new.
-
-Reply with exactly one of: REACTION_POSITIVE, REACTION_NEGATIVE, SEARCH`,
-    messages: [{ role: 'user', content: `${songContext}\nMessage: "${message}"` }]
-  });
-  const result = response.content[0].text.trim().toUpperCase();
-  if (result.includes('REACTION_POSITIVE')) return 'REACTION_POSITIVE';
-  if (result.includes('REACTION_NEGATIVE')) return 'REACTION_NEGATIVE';
-  return 'SEARCH';
-}
-
 // =====================
 // HELPER: get streaming URLs for frontend
 // Returns spotify and apple_music separately so frontend can pick based on user preference.
@@ -875,35 +948,34 @@ function getStreamingUrls(song) {
 // =====================
 // SONG RESPONSE BUILDER
 // =====================
-function buildSongResponse(song, session, interrupt = null, bridge = null) {
-  session.playedSongs.push(song.title);
+// The session's side of serving a song — history, last song, groove progress.
+// Every route that serves one goes through here.
+function markServed(song, session) {
+  session.playedIds.push(song.id);
   session.lastSong = song;
   session.lastSongTraits = song.traits || {};
   session.lastSongArtist = song.artist;
   session.songCount++;
+  recordClusterPlay(song, session);
+}
+
+function buildSongResponse(song, session, interrupt = null, bridge = null) {
+  markServed(song, session);
 
   let int = interrupt;
   if (!int) {
-    const bridgeMatch = findBridge(song, null);
+    // Curated bridges always win over the organic interrupt schedule
+    const bridgeMatch = findBridge(song, session.playedIds);
     if (bridgeMatch) {
-      const bridgeDest = songsData.songs.find(s =>
-        normalize(s.title) === normalize(bridgeMatch.to) &&
-        normalize(s.artist) === normalize(bridgeMatch.toArtist) &&
-        !session.playedSongs.includes(s.title)
-      );
-      if (bridgeDest) {
-        session._pendingBridge = bridgeMatch.bridge;
-        session._pendingRelatedSong = bridgeDest.title;
-        session.lastInterruptSong = session.songCount;
-        int = {
-          type: 'related',
-          message: "This reminds me of another song — want to hear it?",
-          options: ['Okay', 'No thank you'],
-          isBridge: true,
-        };
-      } else {
-        int = decideInterrupt(session, song);
-      }
+      session._pendingBridge = bridgeMatch.bridge;
+      session._pendingRelatedId = bridgeMatch.song.id;
+      session.lastInterruptSong = session.songCount;
+      int = {
+        type: 'related',
+        message: "This reminds me of another song — want to hear it?",
+        options: ['Okay', 'No thank you'],
+        isBridge: true,
+      };
     } else {
       int = decideInterrupt(session, song);
     }
@@ -911,8 +983,7 @@ function buildSongResponse(song, session, interrupt = null, bridge = null) {
 
   // Check if this song is a groove keystone — if so, attach groove metadata.
   // The frontend uses this to play the cluster audio transmission before showing the embed.
-  const keystoneKey = `${normalize(song.title)}|||${normalize(song.artist)}`;
-  const keystoneConfig = KEYSTONE_LOOKUP.get(keystoneKey);
+  const keystoneConfig = keystoneFor(song);
   const groove = keystoneConfig ? {
     cluster:  keystoneConfig.cluster,
     label:    keystoneConfig.label,
@@ -942,29 +1013,26 @@ function buildSongResponse(song, session, interrupt = null, bridge = null) {
 // =====================
 app.post('/api/favorite', async (req, res) => {
   try {
-    const { input, sessionId = 'default' } = req.body;
+    const { input } = req.body;
+    const session = req.session;
     if (!input || !input.trim()) return res.json({ response: "Tell me something and I'll see what I've got.", song: null });
-    const session = getSession(sessionId);
     const byMatch = input.match(/^(.+?)\s+by\s+(.+)$/i);
     const songTitle = byMatch ? byMatch[1].trim() : null;
     const artistName = byMatch ? byMatch[2].trim() : input.trim();
     saveFavorite(songTitle || input, artistName);
     const collectionMatch = findFavoriteInCollection(input);
 
-    if (collectionMatch && session.playedSongs.includes(collectionMatch.match.title)) {
-      const responseText = await generateFavoriteResponse(input, { match: collectionMatch.match, alreadyPlayed: true });
+    if (collectionMatch && session.playedIds.includes(collectionMatch.match.id)) {
+      const responseText = await llm.generateFavoriteResponse(input, { match: collectionMatch.match, alreadyPlayed: true });
       return res.json({ response: responseText, song: null });
     }
 
-    const responseText = await generateFavoriteResponse(input, collectionMatch);
+    const responseText = await llm.generateFavoriteResponse(input, collectionMatch);
     let song = null;
-    if (collectionMatch && !session.playedSongs.includes(collectionMatch.match.title)) {
+    if (collectionMatch && !session.playedIds.includes(collectionMatch.match.id)) {
       const s = collectionMatch.match;
-      session.playedSongs.push(s.title);
-      session.lastSong = s;
-      session.lastSongTraits = s.traits || {};
-      session.lastSongArtist = s.artist;
-      session.songCount++;
+      markServed(s, session);
+      recordEvent(req.sessionId, 'served', { songId: s.id, intent: 'favorite' });
       song = { title: s.title, artist: s.artist, spotify_url: getSongUrl(s), apple_music_url: getStreamingUrls(s).apple_music, youtube_url: getStreamingUrls(s).youtube, tag_title: s.tag_title || '', tag_url: s.tag_url || '' };
     }
     res.json({ response: responseText, song });
@@ -975,538 +1043,1050 @@ app.post('/api/favorite', async (req, res) => {
 });
 
 // =====================
-// CHAT ENDPOINT
+// LISTENING EVENTS
+// Songs served and what visitors said about them, appended to LISTENING_LOG
+// (default data/listening.jsonl) for the admin report — see lib/listening.
+// A failed write is logged and otherwise ignored; it never costs a visitor a reply.
 // =====================
-app.post('/api/chat', async (req, res) => {
+const listeningLog = createJsonlLog({ file: process.env.LISTENING_LOG || path.join(__dirname, 'data', 'listening.jsonl') });
+
+function recordEvent(sessionId, type, fields) {
   try {
-    const { message, sessionId = 'default', unlockedClusters = [], clusterCounts = {}, pushCluster = null } = req.body;
-    if (!message || !message.trim()) return res.json({ response: "Say something and I'll find you a song.", song: null });
-    if (message.length > 500) return res.json({ response: "Keep it short — I just need a vibe, not an essay.", song: null });
-
-    const session = getSession(sessionId);
-
-    // ── DEV COMMAND: /push C1 — force-serve a specific cluster's keystone ──
-    if (pushCluster) {
-      const keystone = GROOVE_KEYSTONES.find(k => k.cluster.toUpperCase() === pushCluster.toUpperCase());
-      if (keystone) {
-        const song = songsData.songs.find(s =>
-          normalize(s.title) === normalize(keystone.title) &&
-          normalize(s.artist) === normalize(keystone.artist)
-        );
-        if (song) return res.json(buildSongResponse(song, session));
-      }
-      return res.json({ response: `No keystone found for cluster ${pushCluster}.`, song: null });
-    }
+    listeningLog.append({ at: new Date().toISOString(), sessionId, type, ...fields });
+  } catch (e) {
+    console.error('[LISTENING] Could not write event:', e.message);
+  }
+}
 
-    // Helper: is this song a keystone that hasn't been unlocked yet?
-    // If so, skip it — the frontend hasn't reached the threshold for that cluster.
-    function isLockedKeystone(song) {
-      const key = `${normalize(song.title)}|||${normalize(song.artist)}`;
-      const kc = KEYSTONE_LOOKUP.get(key);
-      if (!kc) return false; // not a keystone
-      if (unlockedClusters.includes(kc.cluster)) return false; // already unlocked
-      const count = clusterCounts[kc.cluster] || 0;
-      return count < 3; // locked until 3 songs from that cluster have been played
-    }
+// =====================
+// CHAT CONTEXT
+// Everything the intents need to know about one /api/chat request.
+// Keyword extraction (a model call) and scoring are only done when an intent
+// first asks for them, then shared — a "wow" or "okay" never pays for either.
+//
+// Debug trace: send `X-Debug: 1` (or `"debug": true` in the body — the /debug
+// secret command turns this on) and the response carries a `debug` object:
+// which intent answered, keywords, trait targets, gate results, the top scored
+// candidates with score breakdowns, and the state of every keystone. That gives
+// the groove unlocks away, so it needs ALLOW_DEBUG_TRACE=1 or the admin token —
+// anyone else asking gets the plain reply.
+// Intents add to it with ctx.note(), which does nothing when debug is off.
+// Reactions and interrupt answers go to the listening log with ctx.event();
+// the route records the song served itself.
+// =====================
+const MIN_SCORE = 0.4;        // minimum to serve a song at all
+const EXCLUDE_WEIGHT = 0.5;   // an excluded trait at this weight or more rules a song out
+const CONFIDENCE_FLOOR = 0.6; // below this score feels like a guess, not a match
 
-    if (session.playedSongs.length >= songsData.songs.length) {
-      return res.json({ response: "That's the whole collection — nothing left I haven't played you.", song: null });
-    }
+const DEBUG_CANDIDATES = 10;
 
-    const msgLower = message.toLowerCase().trim();
+const round2 = n => Math.round(n * 100) / 100;
 
-    // ---- Fast-path: no API call needed ----
+function once(fn) {
+  let result;
+  return () => result || (result = fn());
+}
 
-    if (/\b(your|efrain'?s?)\s+(favorite|favourite|fave|best|top|pick|picks)\b/i.test(message)) {
-      const redirects = [
-        "Honestly, they're all favorites in different ways — is there a genre, mood, or era you want to explore?",
-        "That's a trap, I can't pick just one. What are you feeling right now?",
-        "Hard to say. Give me a vibe and I'll find you something good.",
-        "Too many to count. What kind of mood are you in?",
-      ];
-      return res.json({ response: redirects[Math.floor(Math.random() * redirects.length)], song: null });
-    }
+// =====================
+// REFINEMENTS
+// "darker", "older", "same but Brazilian", "slower than that" — a follow-up moves
+// the previous search instead of starting a new one (lib/refine). The session keeps
+// its last QUERY_HISTORY searches as { keywords, shift, years } — only the ones that got a
+// song, so a follow-up never builds on a dead end. With none yet, the last song
+// served is the anchor, and with no song either the follow-up stands alone.
+// =====================
+const QUERY_HISTORY = 5;
 
-    const available = () => songsData.songs.filter(s => !session.playedSongs.includes(s.title) && !isLockedKeystone(s));
+function rememberQuery(session, query) {
+  session.queries = [...session.queries, query].slice(-QUERY_HISTORY);
+}
 
-    const pickTopScoring = (pool) => {
-      if (!pool.length) return null;
-      const top = Math.max(...pool.map(s => s.score || 0));
-      const picks = pool.filter(s => (s.score || 0) === top);
-      return picks[Math.floor(Math.random() * picks.length)];
-    };
+// A song's strongest traits as a query — SONG_QUERY_TRAITS of them, one genre and one
+// origin at most, so the gates don't narrow a follow-up down to this one song
+const SONG_QUERY_TRAITS = 6;
+
+function lastSongQuery(song) {
+  if (!song) return null;
+  const gated = new Set();
+  const keywords = Object.entries(song.traits || {})
+    .filter(([, weight]) => weight >= 0.7)
+    .sort((a, b) => b[1] - a[1])
+    .map(([traitId]) => traitId)
+    .filter(traitId => {
+      if (!isGateTrait(traitId)) return true;
+      const category = traitId.split(':')[0];
+      if (gated.has(category)) return false;
+      gated.add(category);
+      return true;
+    })
+    .slice(0, SONG_QUERY_TRAITS);
+  return { keywords, shift: null, years: null };
+}
 
-    if (msgLower === 'keep this vibe' && session.lastSongTraits) {
-      // Convert traits back to keyword-like format for scoring
-      const traitKeywords = Object.keys(session.lastSongTraits);
-      const scored = scoreSongs(available(), traitKeywords).filter(s => s.score > 0);
-      const diff = scored.filter(s => s.artist !== session.lastSongArtist);
-      const song = pickTopScoring(diff.length ? diff : scored);
-      if (song) return res.json(buildSongResponse(song, session));
-    }
+function previousQuery(session) {
+  return session.queries.at(-1) || lastSongQuery(session.lastSong) || { keywords: [], shift: null, years: null };
+}
 
-    if ((msgLower === 'okay' || msgLower === 'tell me more' || msgLower === 'play it') && session._pendingRelatedSong) {
-      const related = songsData.songs.find(s => s.title === session._pendingRelatedSong);
-      const bridgeText = session._pendingBridge || null;
-      session._pendingRelatedSong = null;
-      session._pendingBridge = null;
-      if (related && !session.playedSongs.includes(related.title)) {
-        return res.json(buildSongResponse(related, session, null, bridgeText));
+// Picks among the songs within 15% of the best score, like the search paths do —
+// pick (ctx.pick) weighs them by recency and diversity
+function pickTopScoring(pool, pick) {
+  if (!pool.length) return null;
+  const top = Math.max(...pool.map(s => s.score || 0));
+  return pick(pool.filter(s => (s.score || 0) >= top * 0.85));
+}
+
+// Genre-suggestion buttons with a message, or just the fallback text if there
+// aren't at least two directions to offer
+function genreSuggestion(session, interruptMessage, fallbackResponse) {
+  const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedIds);
+  const interrupt = genreOptions.length >= 2
+    ? { type: 'genre_suggest', message: interruptMessage, options: genreOptions }
+    : null;
+  return { response: interrupt ? null : fallbackResponse, song: null, interrupt };
+}
+
+function createChatContext(req) {
+  // Cluster counts and unlocks come from the session — anything the client sends is ignored
+  const { message, pushCluster = null } = req.body;
+  const text = typeof message === 'string' ? message : '';
+  const session = req.session;
+  const debug = (req.get('x-debug') === '1' || req.body.debug === true) && canDebug(req);
+
+  const ctx = {
+    message: text,
+    msgLower: text.toLowerCase().trim(),
+    session,
+    unlockedClusters: session.unlockedClusters,
+    clusterCounts: session.clusterCounts,
+    pushCluster,
+    pushAllowed: !!pushCluster && canPushCluster(req, pushCluster),
+    preferVideo: isVideoRequest(text),
+    bridge: isConversational(text) ? "Okay, let me find something else." : null,
+    trace: debug ? {} : null,
+    query: null, // { keywords, shift, years } once search() has run — see REFINEMENTS
+
+    note(key, value) {
+      if (ctx.trace) ctx.trace[key] = value;
+    },
+
+    event(type, fields) {
+      recordEvent(req.sessionId, type, fields);
+    },
+
+    isLockedKeystone(song) {
+      return isLockedKeystone(song, session);
+    },
+
+    available() {
+      return songsData.songs.filter(s => !session.playedIds.includes(s.id) && !ctx.isLockedKeystone(s));
+    },
+
+    // → { strippedMessage, keywords, shift, years }
+    search: once(async () => {
+      // Strip common filler prefixes before keyword extraction
+      // "something melancholic" → "melancholic", "give me something dark" → "dark"
+      // ("anything but punk" keeps its "anything" — without it, "but punk" reads as a request for punk)
+      const strippedMessage = text
+        .replace(/^(give\s+me\s+)?(something|anything|a\s+song|some\s+music|play\s+me\s+something)\s+(?!but\b)(that'?s?\s+)?(kind\s+of\s+)?/i, '')
+        .replace(/^(i\s+want\s+)(something|a\s+song)\s+/i, '')
+        .trim() || text;
+
+      // Follow-up to the last search — see REFINEMENTS
+      let keywords;
+      let shift = null;
+      let years = null;
+      let refined = null;
+      const clause = refinementClause(strippedMessage);
+      if (clause) {
+        const previous = previousQuery(session);
+        const clauseYears = parseYears(clause);
+        const { step, rest } = eraStep(clauseYears ? clauseYears.rest : clause);
+        const parsed = parseShift(rest);
+        const extracted = parsed.rest ? await llm.extractKeywords(parsed.rest) : [];
+        // Nothing in it we understood — treat the message as a fresh request
+        if (clauseYears || step || extracted.length || Object.keys(parsed.shift).length) {
+          ({ keywords, shift, years } = refineQuery(previous,
+            { shift: parsed.shift, keywords: extracted, step, years: clauseYears && { from: clauseYears.from, to: clauseYears.to } },
+            { year: session.lastSong && session.lastSong.year }));
+          refined = { clause, previous };
+        }
       }
-    }
 
-    if (msgLower === 'no thank you' || msgLower === 'not right now' || msgLower === 'maybe later') {
-      session._pendingRelatedSong = null;
-      return res.json({ response: "No problem — keep exploring.", song: null });
-    }
+      // Year ranges — "before 1975", "late 70s" (lib/years) — come out before
+      // extraction, so the rest of the message is read on its own
+      let searchText = strippedMessage;
+      if (!refined) {
+        const found = parseYears(strippedMessage);
+        if (found) {
+          years = { from: found.from, to: found.to };
+          searchText = found.rest;
+        }
+      }
 
-    if (msgLower === 'no' || msgLower === "i don't" || msgLower === 'not sure' || msgLower === 'idk') {
-      const replies = ["No worries — what do you want to hear next?", "All good. What are you in the mood for?", "That's fine. Keep asking."];
-      return res.json({ response: replies[Math.floor(Math.random() * replies.length)], song: null });
-    }
+      // "but" modifier — "soul but weirder", "punk but melodic", "jazz but less polished".
+      // The first clause is the anchor and gets keyword extraction on its own; the
+      // second is a shift (lib/shift), with anything it doesn't recognise sent through
+      // extraction too and taken as "more of that".
+      // "folk but not sad" and "anything but punk" are exclusions, not modifiers —
+      // extraction on the whole message carries them as not:<trait>.
+      const butMatch = searchText.match(/^(.+?)\s+but\s+(.+)$/i);
+      const butExcludes = butMatch && (/^(not|no|without|never|nothing)\b/i.test(butMatch[2]) || /^(anything|everything)$/i.test(butMatch[1].trim()));
+      let but = null;
+      if (!refined && butMatch && !butExcludes) {
+        but = { anchor: butMatch[1], clause: butMatch[2] };
+        const parsed = parseShift(butMatch[2]);
+        const [anchor, after] = await Promise.all([
+          llm.extractKeywords(butMatch[1]),
+          parsed.rest ? llm.extractKeywords(parsed.rest) : [],
+        ]);
+        shift = parsed.shift;
+        keywords = [...anchor]; // a copy — the leftovers below go onto it, not onto the provider's answer
+        for (const kw of after) {
+          const kwLower = kw.toLowerCase().trim();
+          const traitId = excludedTrait(kwLower) === null && (kwLower.includes(':') ? kwLower : TRAIT_ALIASES[kwLower]);
+          if (!traitId) keywords.push(kw); // exclusions and names stay plain keywords
+          else if (!(traitId in shift)) shift[traitId] = 1;
+        }
+        if (!Object.keys(shift).length) shift = null;
+      } else if (!refined) {
+        keywords = searchText ? await llm.extractKeywords(searchText) : [];
+      }
+      console.log('Keywords:', keywords, years ? formatRange(years) : '');
+      ctx.query = { keywords, shift, years };
+
+      if (ctx.trace) {
+        const { traitTargets, rawKeywords, excludedTraits } = buildTraitTargets(keywords, shift);
+        ctx.note('search', {
+          strippedMessage,
+          keywords,
+          traitTargets: Object.fromEntries([...traitTargets].map(([t, w]) => [t, round2(w)])),
+          excludedTraits: [...excludedTraits],
+          rawKeywords,
+          shift,
+          years: years && formatRange(years),
+          refined,
+          but,
+        });
+      }
+      return { strippedMessage, keywords, shift, years };
+    }),
+
+    // Best score across the whole catalog, played or not — "do I have this at all?"
+    bestScore: once(async () => {
+      const { keywords, shift, years } = await ctx.search();
+      const allScored = scoreSongs(songsData.songs, keywords, ctx.preferVideo, shift, { years });
+      return Math.max(0, ...allScored.map(s => s.score));
+    }),
+
+    // Unplayed, unlocked songs that clear MIN_SCORE
+    matches: once(async () => {
+      const { keywords, shift, years } = await ctx.search();
+      const pool = ctx.available();
+      const scored = scoreSongs(pool, keywords, ctx.preferVideo, shift, { explain: !!ctx.trace, taste: session.taste, recency: recencyFor(session), years });
+      if (ctx.trace) traceScoring(ctx, pool, scored, keywords, shift, years);
+      return scored.filter(s => s.relevance >= MIN_SCORE);
+    }),
+
+    // Scoring for the button and continuation intents — no video preference or "but"
+    // modifier, just the trait keywords, steered by the session's taste and history
+    score(songs, keywords) {
+      return scoreSongs(songs, keywords, false, null, { taste: session.taste, recency: recencyFor(session) });
+    },
 
-    if (isNegativeReaction(message)) {
-      const s = session.lastSong;
-      const replies = s
-        ? [`Fair enough — ${s.artist} isn't for everyone. What are you in the mood for instead?`, `No worries. What direction do you want to go?`, `Got it. What would hit better right now?`]
-        : ["No worries. What are you in the mood for?"];
-      return res.json({ response: replies[Math.floor(Math.random() * replies.length)], song: null });
-    }
+    // Every random song pick goes through here — see RECENCY + DIVERSITY
+    pick(songs) {
+      if (ctx.trace) {
+        const weigh = pickWeights(session);
+        ctx.note('pick', songs
+          .map(s => ({ title: s.title, artist: s.artist, score: s.score === undefined ? undefined : round2(s.score), ...weigh(s) }))
+          .sort((a, b) => b.weight - a.weight)
+          .slice(0, DEBUG_CANDIDATES)
+          .map(p => ({ ...p, recency: round2(p.recency), diversity: round2(p.diversity), weight: round2(p.weight) })));
+      }
+      return pickSong(songs, session);
+    },
+  };
+  return ctx;
+}
 
-    if (isAffirmation(message)) {
-      const s = session.lastSong;
-      const replies = s
-        ? [`Yeah, ${s.title} is a good one. What are you in the mood for next?`, `Right? ${s.artist} doesn't miss. What do you want to hear next?`, `Glad that one landed. What else are you feeling?`, `${s.title} holds up every time. What are you feeling next?`]
-        : ["Right? Keep going — what else are you in the mood for?", "Good stuff. What do you want to hear next?", "Yeah. What else can I find you?", "Glad it landed. What are you feeling next?"];
-      return res.json({ response: replies[Math.floor(Math.random() * replies.length)], song: null });
-    }
+// Gate results, top candidates and keystones that would have matched but are locked
+function traceScoring(ctx, pool, scored, keywords, shift, years) {
+  const { gateTraits: required } = buildTraitTargets(keywords, shift);
+  if (required.length) {
+    ctx.note('gates', {
+      required,
+      pool: pool.length,
+      passing: Object.fromEntries(required.map(t => [t, pool.filter(s => gateSatisfied(s.traits || {}, t)).length])),
+      passingAll: scored.filter(s => !s.breakdown.gateFailed).length,
+    });
+  }
 
-    if (/\b(whole\s+song|full\s+(song|track|version)|can'?t\s+(hear|play|listen)|only\s+(hear|get|playing)\s+(30|thirty)|30\s+seconds|thirty\s+seconds|why\s+(only|can'?t)|preview|just\s+a\s+clip|stream\s+full|listen\s+in\s+full|full\s+playback)\b/i.test(message)) {
-      return res.json({ response: "There's a player toggle in the top bar — Spotify on the left plays 30-second previews, Apple Music on the right plays full songs if you're signed in. Flip it over and you'll hear the whole thing.", song: null });
-    }
+  ctx.note('candidates', [...scored]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, DEBUG_CANDIDATES)
+    .map(s => ({
+      id: s.id, title: s.title, artist: s.artist, cluster: s.cluster || null,
+      score: round2(s.score),
+      breakdown: Object.fromEntries(Object.entries(s.breakdown).map(([k, v]) => [k, typeof v === 'number' ? round2(v) : v])),
+    })));
+
+  const locked = songsData.songs.filter(s => !ctx.session.playedIds.includes(s.id) && ctx.isLockedKeystone(s));
+  ctx.note('withheldKeystones', scoreSongs(locked, keywords, ctx.preferVideo, shift, { years })
+    .filter(s => s.score >= MIN_SCORE)
+    .map(s => ({
+      title: s.title, artist: s.artist, cluster: s.cluster, score: round2(s.score),
+      reason: `${s.cluster} locked — ${ctx.clusterCounts[s.cluster] || 0}/${KEYSTONE_THRESHOLD} plays`,
+    })));
+}
 
-    if (/\bapple\s+music\b/i.test(message)) {
-      return res.json({ response: "Apple Music is live — hit the toggle in the top bar to switch from Spotify. You'll get full songs if you're signed into Apple Music, versus 30-second previews on Spotify.", song: null });
-    }
+// Where every keystone stands for this request: played, unlocked, ready (3+ plays) or locked
+function keystoneStatus(ctx) {
+  return GROOVE_KEYSTONES.map(k => {
+    const song = songsData.songs.find(s => normalize(s.title) === normalize(k.title) && normalize(s.artist) === normalize(k.artist));
+    const plays = ctx.clusterCounts[k.cluster] || 0;
+    let status;
+    if (!song) status = 'missing from catalog';
+    else if (ctx.session.playedIds.includes(song.id)) status = 'played';
+    else if (ctx.unlockedClusters.includes(k.cluster)) status = 'unlocked';
+    else if (plays >= KEYSTONE_THRESHOLD) status = 'ready';
+    else status = `locked (${plays}/${KEYSTONE_THRESHOLD})`;
+    return { cluster: k.cluster, title: k.title, status };
+  });
+}
+
+// =====================
+// CHAT INTENTS
+// /api/chat runs these through lib/intent-pipeline, lowest priority first.
+// Priorities go up in tens so a new intent can slot in between two others.
+// Order is behaviour — the short-message classifier has to see "obsessed" before
+// search does, canned replies have to beat keyword extraction, and keystone
+// unlocks only get a say once a search has actually matched something.
+// =====================
+const chatIntents = createIntentPipeline();
 
-    if (/\b(switch\s+(to\s+)?(spotify|apple)|use\s+(spotify|apple)|change\s+(to\s+)?(spotify|apple)|want\s+(spotify|apple)|prefer\s+(spotify|apple)|play\s+on\s+(spotify|apple))\b/i.test(message)) {
-      const toApple = /apple/i.test(message);
-      return res.json({ response: toApple
-        ? "Hit the Apple Music side of the toggle in the top bar — you'll get full tracks if you're signed in."
-        : "Hit the Spotify side of the toggle in the top bar to switch back. You'll get 30-second previews unless you're logged in.",
-        song: null });
+// ---- Guards ----
+
+chatIntents.register({
+  name: 'empty-message',
+  priority: 10,
+  match: ctx => !ctx.message.trim(),
+  handle: () => ({ response: "Say something and I'll find you a song.", song: null }),
+});
+
+chatIntents.register({
+  name: 'message-too-long',
+  priority: 20,
+  match: ctx => ctx.message.length > 500,
+  handle: () => ({ response: "Keep it short — I just need a vibe, not an essay.", song: null }),
+});
+
+// ── DEV COMMAND: /push C1 — force-serve a specific cluster's keystone ──
+chatIntents.register({
+  name: 'push-cluster',
+  priority: 30,
+  match: ctx => ctx.pushCluster,
+  handle: ({ pushCluster, pushAllowed, session }) => {
+    if (!pushAllowed) return { response: "That one has to be found the long way — keep listening.", song: null };
+    const song = keystoneSongFor(String(pushCluster).toUpperCase());
+    if (song) return buildSongResponse(song, session);
+    return { response: `No keystone found for cluster ${pushCluster}.`, song: null };
+  },
+});
+
+chatIntents.register({
+  name: 'collection-complete',
+  priority: 40,
+  match: ({ session }) => session.playedIds.length >= songsData.songs.length,
+  handle: () => ({ response: "That's the whole collection — nothing left I haven't played you.", song: null }),
+});
+
+// ---- Fast paths: no API call needed ----
+
+chatIntents.register({
+  name: 'favorite-question',
+  priority: 50,
+  match: ({ message }) => /\b(your|efrain'?s?)\s+(favorite|favourite|fave|best|top|pick|picks)\b/i.test(message),
+  handle: () => {
+    const redirects = [
+      "Honestly, they're all favorites in different ways — is there a genre, mood, or era you want to explore?",
+      "That's a trap, I can't pick just one. What are you feeling right now?",
+      "Hard to say. Give me a vibe and I'll find you something good.",
+      "Too many to count. What kind of mood are you in?",
+    ];
+    return { response: redirects[Math.floor(Math.random() * redirects.length)], song: null };
+  },
+});
+
+chatIntents.register({
+  name: 'keep-this-vibe',
+  priority: 60,
+  match: ({ msgLower, session }) => msgLower === 'keep this vibe' && session.lastSongTraits,
+  handle: ctx => {
+    const { session } = ctx;
+    if (session.lastSong) ctx.event('more-like-this', { songId: session.lastSong.id });
+    // Convert traits back to keyword-like format for scoring
+    const traitKeywords = Object.keys(session.lastSongTraits);
+    const scored = ctx.score(ctx.available(), traitKeywords).filter(s => s.score > 0);
+    const diff = scored.filter(s => s.artist !== session.lastSongArtist);
+    const song = pickTopScoring(diff.length ? diff : scored, ctx.pick);
+    return song ? buildSongResponse(song, session) : null;
+  },
+});
+
+chatIntents.register({
+  name: 'accept-related',
+  priority: 70,
+  match: ({ msgLower, session }) =>
+    (msgLower === 'okay' || msgLower === 'tell me more' || msgLower === 'play it') && session._pendingRelatedId,
+  handle: ({ session, event }) => {
+    event('interrupt', { songId: session._pendingRelatedId, value: 'accepted' });
+    const related = songsData.songs.find(s => s.id === session._pendingRelatedId);
+    const bridgeText = session._pendingBridge || null;
+    session._pendingRelatedId = null;
+    session._pendingBridge = null;
+    if (related && !session.playedIds.includes(related.id)) {
+      return buildSongResponse(related, session, null, bridgeText);
     }
+    return null;
+  },
+});
+
+chatIntents.register({
+  name: 'decline-related',
+  priority: 80,
+  match: ({ msgLower }) => msgLower === 'no thank you' || msgLower === 'not right now' || msgLower === 'maybe later',
+  handle: ({ session, event }) => {
+    if (session._pendingRelatedId) event('interrupt', { songId: session._pendingRelatedId, value: 'declined' });
+    session._pendingRelatedId = null;
+    session._pendingBridge = null;
+    return { response: "No problem — keep exploring.", song: null };
+  },
+});
+
+chatIntents.register({
+  name: 'unsure',
+  priority: 90,
+  match: ({ msgLower }) => msgLower === 'no' || msgLower === "i don't" || msgLower === 'not sure' || msgLower === 'idk',
+  handle: () => {
+    const replies = ["No worries — what do you want to hear next?", "All good. What are you in the mood for?", "That's fine. Keep asking."];
+    return { response: replies[Math.floor(Math.random() * replies.length)], song: null };
+  },
+});
 
-    if (/\b(why\s+(did\s+you\s+use|is\s+this|a)\s+youtube|why\s+youtube|youtube\s+video\?|what'?s\s+with\s+the\s+youtube|youtube\s+instead)\b/i.test(message)) {
-      const ytContext = session.lastSong ? `You just shared "${session.lastSong.title}" by ${session.lastSong.artist}.` : '';
-      const reply = await generateConversationalResponse(
-        `Someone asked why you used a YouTube video. ${ytContext} Explain briefly — either the song isn't on streaming services, or you wanted to share a specific live performance. Keep it to 1-2 sentences.`,
-        session.lastSong
-      );
-      return res.json({ response: reply, song: null });
+chatIntents.register({
+  name: 'negative-reaction',
+  priority: 100,
+  match: ({ message }) => isNegativeReaction(message),
+  handle: ({ session, event }) => {
+    const s = session.lastSong;
+    if (s) {
+      applyReaction(session.taste, s, false);
+      event('reaction', { songId: s.id, value: 'negative' });
     }
+    const replies = s
+      ? [`Fair enough — ${s.artist} isn't for everyone. What are you in the mood for instead?`, `No worries. What direction do you want to go?`, `Got it. What would hit better right now?`]
+      : ["No worries. What are you in the mood for?"];
+    return { response: replies[Math.floor(Math.random() * replies.length)], song: null };
+  },
+});
 
-    if (isOffScript(message)) {
-      const reply = await generateConversationalResponse(message, session.lastSong);
-      return res.json({ response: reply, song: null });
+chatIntents.register({
+  name: 'affirmation',
+  priority: 110,
+  match: ({ message }) => isAffirmation(message),
+  handle: ({ session, event }) => {
+    const s = session.lastSong;
+    if (s) {
+      applyReaction(session.taste, s, true);
+      event('reaction', { songId: s.id, value: 'positive' });
     }
+    const replies = s
+      ? [`Yeah, ${s.title} is a good one. What are you in the mood for next?`, `Right? ${s.artist} doesn't miss. What do you want to hear next?`, `Glad that one landed. What else are you feeling?`, `${s.title} holds up every time. What are you feeling next?`]
+      : ["Right? Keep going — what else are you in the mood for?", "Good stuff. What do you want to hear next?", "Yeah. What else can I find you?", "Glad it landed. What are you feeling next?"];
+    return { response: replies[Math.floor(Math.random() * replies.length)], song: null };
+  },
+});
+
+chatIntents.register({
+  name: 'full-playback-question',
+  priority: 120,
+  match: ({ message }) => /\b(whole\s+song|full\s+(song|track|version)|can'?t\s+(hear|play|listen)|only\s+(hear|get|playing)\s+(30|thirty)|30\s+seconds|thirty\s+seconds|why\s+(only|can'?t)|preview|just\s+a\s+clip|stream\s+full|listen\s+in\s+full|full\s+playback)\b/i.test(message),
+  handle: () => ({ response: "There's a player toggle in the top bar — Spotify on the left plays 30-second previews, Apple Music on the right plays full songs if you're signed in. Flip it over and you'll hear the whole thing.", song: null }),
+});
+
+chatIntents.register({
+  name: 'apple-music-question',
+  priority: 130,
+  match: ({ message }) => /\bapple\s+music\b/i.test(message),
+  handle: () => ({ response: "Apple Music is live — hit the toggle in the top bar to switch from Spotify. You'll get full songs if you're signed into Apple Music, versus 30-second previews on Spotify.", song: null }),
+});
+
+chatIntents.register({
+  name: 'switch-player',
+  priority: 140,
+  match: ({ message }) => /\b(switch\s+(to\s+)?(spotify|apple)|use\s+(spotify|apple)|change\s+(to\s+)?(spotify|apple)|want\s+(spotify|apple)|prefer\s+(spotify|apple)|play\s+on\s+(spotify|apple))\b/i.test(message),
+  handle: ({ message }) => {
+    const toApple = /apple/i.test(message);
+    return { response: toApple
+      ? "Hit the Apple Music side of the toggle in the top bar — you'll get full tracks if you're signed in."
+      : "Hit the Spotify side of the toggle in the top bar to switch back. You'll get 30-second previews unless you're logged in.",
+      song: null };
+  },
+});
+
+chatIntents.register({
+  name: 'youtube-question',
+  priority: 150,
+  match: ({ message }) => /\b(why\s+(did\s+you\s+use|is\s+this|a)\s+youtube|why\s+youtube|youtube\s+video\?|what'?s\s+with\s+the\s+youtube|youtube\s+instead)\b/i.test(message),
+  handle: async ({ session }) => {
+    const ytContext = session.lastSong ? `You just shared "${session.lastSong.title}" by ${session.lastSong.artist}.` : '';
+    const reply = await llm.generateConversationalResponse(
+      `Someone asked why you used a YouTube video. ${ytContext} Explain briefly — either the song isn't on streaming services, or you wanted to share a specific live performance. Keep it to 1-2 sentences.`,
+      session.lastSong
+    );
+    return { response: reply, song: null };
+  },
+});
 
-    // ---- Haiku reaction classifier ----
-    // Catches natural feedback ("love this song", "not really my thing", "obsessed")
-    // that the regex checks above miss.
-    // Conditions: message is short (≤8 words) AND last song exists AND doesn't look like a search.
+chatIntents.register({
+  name: 'off-script',
+  priority: 160,
+  match: ({ message }) => isOffScript(message),
+  handle: async ({ message, session }) => ({
+    response: await llm.generateConversationalResponse(message, session.lastSong),
+    song: null,
+  }),
+});
+
+// ---- Haiku reaction classifier ----
+// Catches natural feedback ("love this song", "not really my thing", "obsessed")
+// that the regex checks above miss.
+// Conditions: message is short (≤8 words) AND last song exists AND doesn't look like a search.
+chatIntents.register({
+  name: 'reaction-classifier',
+  priority: 170,
+  match: ({ message, session }) => {
     const wordCount = message.trim().split(/\s+/).length;
+    if (wordCount > 8 || !session.lastSong) return false;
     const looksLikeSearch = (
       // Contains a known genre or mood word
       [...GENRE_WORDS].some(w => new RegExp(`\\b${w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(message)) ||
       // Contains a trait alias of 5+ chars (catches "melancholic", "ethereal", "literate" etc.)
       Object.keys(TRAIT_ALIASES).some(a => a.length >= 5 && new RegExp(`\\b${a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(message)) ||
       // Explicit search signal words
-      /\b(something|anything|give me|play me|find me|another|more|different|instead|not\s+\w+|less\s+\w+|more\s+\w+)\b/i.test(message)
+      /\b(something|anything|give me|play me|find me|another|more|different|instead|not\s+\w+|less\s+\w+|more\s+\w+)\b/i.test(message) ||
+      // Follow-ups that steer the last request — "darker", "older", "same but Brazilian"
+      refinementClause(message) !== null ||
+      // "Nico meets Burial"
+      parseBlend(message, { knownName: isCollectionArtist }) !== null
     );
-
-    if (wordCount <= 8 && session.lastSong && !looksLikeSearch) {
-      const classification = await classifyShortMessage(message, session.lastSong);
-      if (classification === 'REACTION_POSITIVE') {
-        const s = session.lastSong;
-        const replies = [
-          `Yeah, ${s.title} is a good one. What are you in the mood for next?`,
-          `Right? ${s.artist} doesn't miss. What do you want to hear next?`,
-          `Glad that one landed. What else are you feeling?`,
-          `${s.title} holds up every time. What are you feeling next?`,
-        ];
-        return res.json({ response: replies[Math.floor(Math.random() * replies.length)], song: null });
-      }
-      if (classification === 'REACTION_NEGATIVE') {
-        const s = session.lastSong;
-        const replies = [
-          `Fair enough — ${s.artist} isn't for everyone. What are you in the mood for instead?`,
-          `No worries. What direction do you want to go?`,
-          `Got it. What would hit better right now?`,
-        ];
-        return res.json({ response: replies[Math.floor(Math.random() * replies.length)], song: null });
-      }
-      // SEARCH — fall through to keyword extraction
+    return !looksLikeSearch;
+  },
+  handle: async ({ message, session, event }) => {
+    const classification = await llm.classifyShortMessage(message, session.lastSong);
+    const s = session.lastSong;
+    if (classification === 'REACTION_POSITIVE') {
+      applyReaction(session.taste, s, true);
+      event('reaction', { songId: s.id, value: 'positive' });
+      const replies = [
+        `Yeah, ${s.title} is a good one. What are you in the mood for next?`,
+        `Right? ${s.artist} doesn't miss. What do you want to hear next?`,
+        `Glad that one landed. What else are you feeling?`,
+        `${s.title} holds up every time. What are you feeling next?`,
+      ];
+      return { response: replies[Math.floor(Math.random() * replies.length)], song: null };
     }
-
-    if (msgLower === 'more of that energy' && session.lastSongTraits) {
-      const traitKeywords = Object.keys(session.lastSongTraits);
-      const scored = scoreSongs(available(), traitKeywords).filter(s => s.score > 0);
-      const song = pickTopScoring(scored);
-      if (song) return res.json(buildSongResponse(song, session));
+    if (classification === 'REACTION_NEGATIVE') {
+      applyReaction(session.taste, s, false);
+      event('reaction', { songId: s.id, value: 'negative' });
+      const replies = [
+        `Fair enough — ${s.artist} isn't for everyone. What are you in the mood for instead?`,
+        `No worries. What direction do you want to go?`,
+        `Got it. What would hit better right now?`,
+      ];
+      return { response: replies[Math.floor(Math.random() * replies.length)], song: null };
     }
+    return null; // SEARCH — fall through to keyword extraction
+  },
+});
 
-    if (msgLower === 'something slower') {
-      const scored = scoreSongs(available(), ['energy:low', 'texture:sparse', 'mood:melancholic', 'char:intimate']).filter(s => s.score > 0);
-      if (scored.length) return res.json(buildSongResponse(scored[Math.floor(Math.random() * scored.length)], session));
-    }
+// ---- Option buttons ----
+
+chatIntents.register({
+  name: 'more-of-that-energy',
+  priority: 180,
+  match: ({ msgLower, session }) => msgLower === 'more of that energy' && session.lastSongTraits,
+  handle: ctx => {
+    if (ctx.session.lastSong) ctx.event('more-like-this', { songId: ctx.session.lastSong.id });
+    const traitKeywords = Object.keys(ctx.session.lastSongTraits);
+    const scored = ctx.score(ctx.available(), traitKeywords).filter(s => s.score > 0);
+    const song = pickTopScoring(scored, ctx.pick);
+    return song ? buildSongResponse(song, ctx.session) : null;
+  },
+});
 
-    if (msgLower === 'something weirder') {
-      const scored = scoreSongs(available(), ['char:outsider', 'char:weird', 'genre:experimental', 'texture:lo-fi']).filter(s => s.score > 0);
-      if (scored.length) return res.json(buildSongResponse(scored[Math.floor(Math.random() * scored.length)], session));
-    }
+chatIntents.register({
+  name: 'something-slower',
+  priority: 190,
+  match: ({ msgLower }) => msgLower === 'something slower',
+  handle: ctx => {
+    const scored = ctx.score(ctx.available(), ['energy:low', 'texture:sparse', 'mood:melancholic', 'char:intimate']).filter(s => s.score > 0);
+    return scored.length ? buildSongResponse(ctx.pick(scored), ctx.session) : null;
+  },
+});
 
-    // ---- Normal flow ----
+chatIntents.register({
+  name: 'something-weirder',
+  priority: 200,
+  match: ({ msgLower }) => msgLower === 'something weirder',
+  handle: ctx => {
+    const scored = ctx.score(ctx.available(), ['char:outsider', 'char:weird', 'genre:experimental', 'texture:lo-fi']).filter(s => s.score > 0);
+    return scored.length ? buildSongResponse(ctx.pick(scored), ctx.session) : null;
+  },
+});
 
-    if (isMoreRequest(message) && session.lastSongTraits) {
-      const traitKeywords = Object.keys(session.lastSongTraits);
-      const scored = scoreSongs(available(), traitKeywords).filter(s => s.score > 0);
-      const diff = scored.filter(s => s.artist !== session.lastSongArtist);
-      const song = pickTopScoring(diff.length ? diff : scored);
-      if (song) return res.json(buildSongResponse(song, session));
-    }
+// ---- Normal flow ----
+
+chatIntents.register({
+  name: 'more-like-this',
+  priority: 210,
+  // "more upbeat" is a refinement, not "more of the same"; "like that Kills track" names another song
+  match: ({ message, session }) => {
+    if (!isMoreRequest(message) || refinementClause(message) || !session.lastSongTraits) return null;
+    const likeSong = detectLikeSong(message, session);
+    return !(likeSong && !likeSong.last);
+  },
+  handle: ctx => {
+    const { session } = ctx;
+    if (session.lastSong) ctx.event('more-like-this', { songId: session.lastSong.id });
+    const traitKeywords = Object.keys(session.lastSongTraits);
+    const scored = ctx.score(ctx.available(), traitKeywords).filter(s => s.score > 0);
+    const diff = scored.filter(s => s.artist !== session.lastSongArtist);
+    const song = pickTopScoring(diff.length ? diff : scored, ctx.pick);
+    return song ? buildSongResponse(song, session) : null;
+  },
+});
 
-    // Direct title request
-    const playMeMatch = message.match(/^play(?:\s+me)?\s+(.+?)(?:\s+by\s+.+)?$/i);
-    if (playMeMatch) {
-      const requestedTitle = normalize(playMeMatch[1].trim());
-      const exactSong = songsData.songs.find(s =>
-        !session.playedSongs.includes(s.title) &&
-        normalize(s.title) === requestedTitle
-      );
-      if (exactSong) return res.json(buildSongResponse(exactSong, session));
-    }
+// Direct title request
+chatIntents.register({
+  name: 'play-title',
+  priority: 220,
+  match: ({ message, session }) => {
+    const playMeMatch = message.match(/^play(?:\s+me)?\s+(.+?)(?:\s+by\s+(.+))?$/i);
+    if (!playMeMatch) return null;
+    const requestedTitle = normalize(playMeMatch[1].trim());
+    // "by <artist>" picks between songs that share a title
+    const requestedArtist = playMeMatch[2] ? normalize(playMeMatch[2].trim()) : null;
+    return songsData.songs.find(s =>
+      !session.playedIds.includes(s.id) &&
+      normalize(s.title) === requestedTitle &&
+      (!requestedArtist || normalize(s.artist).includes(requestedArtist))
+    );
+  },
+  handle: ({ session }, exactSong) => buildSongResponse(exactSong, session),
+});
 
-    // "Like [artist]" detection — runs before artist lookup and keyword extraction.
-    // "something like Nico", "vibes like Portishead", "sounds like Chet Baker"
-    // Instead of looking up that artist in our collection, we extract their sonic traits
-    // and use those to score across the full collection. Works for any artist Haiku knows.
-    const likeArtistResult = detectLikeArtist(message);
-    if (likeArtistResult) {
-      const { artist: likeArtistName, negated } = likeArtistResult;
-      console.log('Like-artist detected:', likeArtistName, negated ? '(negated)' : '');
-      const artistKeywords = await extractArtistTraits(likeArtistName);
-      console.log('Artist traits:', artistKeywords);
-      if (artistKeywords.length > 0) {
-        // Exclude the reference artist from results — "like Portishead" should never return Portishead
-        const likeArtistNorm = normalize(likeArtistName);
-        const avSongs = available().filter(s => normalize(s.artist) !== likeArtistNorm);
-
-        if (negated) {
-          // "nothing like Nico" — score normally, then INVERT: lowest scorers win.
-          // This finds songs that share the fewest traits with the reference artist.
-          const avScored = scoreSongs(avSongs, artistKeywords, false, null);
-          const maxScore = Math.max(0, ...avScored.map(s => s.score));
-          // Invert scores and pick from the bottom — songs that scored 0 are most "unlike"
-          const inverted = avScored
-            .map(s => ({ ...s, score: maxScore - s.score }))
-            .filter(s => s.score >= 0); // all songs qualify, just reordered
-          inverted.sort((a, b) => b.score - a.score);
-          // Take a random pick from the top 20% most-unlike songs for variety
-          const topN = Math.max(5, Math.floor(inverted.length * 0.2));
-          const pool = inverted.slice(0, topN);
-          return res.json(buildSongResponse(pool[Math.floor(Math.random() * pool.length)], session));
-        } else {
-          const avScored = scoreSongs(avSongs, artistKeywords, false, null);
-          const avMatches = avScored.filter(s => s.score >= 0.4);
-          if (avMatches.length) {
-            const top = Math.max(...avMatches.map(s => s.score));
-            const topPicks = avMatches.filter(s => s.score >= top * 0.85);
-            return res.json(buildSongResponse(topPicks[Math.floor(Math.random() * topPicks.length)], session));
-          }
-        }
-      }
-      // Haiku didn't recognize the artist or nothing scored — fall through to regular flow
+// "Like [song]" — see detectLikeSong. The reference song's own weighted traits are
+// the query, compared whole (lib/similar) rather than as keywords, so there are no
+// genre/origin gates to narrow it down to the song itself. A track we don't have
+// goes to the model. The song and its artist never come back.
+const LIKE_SONG_MIN = 0.4; // similarity a match needs
+
+// Every available song that passes keep(), with relevance = similarity to the vector
+function similarityScores(ctx, traits, keep) {
+  const recency = recencyFor(ctx.session);
+  return ctx.available().filter(keep).map(s => {
+    const relevance = traitSimilarity(traits, s.traits || {});
+    return { ...s, relevance, score: relevance * tasteMultiplier(s, ctx.session.taste) * recency(s) };
+  });
+}
+
+chatIntents.register({
+  name: 'like-song',
+  priority: 225,
+  match: ({ message, session }) => detectLikeSong(message, session),
+  handle: async (ctx, { title, artist, songs, negated }) => {
+    const { session } = ctx;
+    let traits;
+    if (songs.length) traits = averageVector(songs);
+    else traits = toVector(title ? await llm.extractSongTraits(title, artist) : await llm.extractArtistTraits(artist));
+    ctx.note('likeSong', { title, artist, inCollection: songs.length, negated, traits: Object.keys(traits) });
+    if (!Object.keys(traits).length) return null; // unknown track — try it as an artist
+
+    const sourceIds = new Set(songs.map(s => s.id));
+    const scored = similarityScores(ctx, traits, s => !sourceIds.has(s.id) && !(artist && sameArtist(s.artist, artist)));
+
+    if (negated) {
+      // "nothing like Untrue" — the least similar fifth, like "nothing like Nico"
+      const unlike = [...scored].sort((a, b) => a.relevance - b.relevance);
+      const bottom = unlike.slice(0, Math.max(5, Math.floor(unlike.length * 0.2)));
+      return bottom.length ? buildSongResponse(ctx.pick(bottom), session) : null;
     }
 
-    // Artist lookup
-    const artistSongs = findSongsByArtist(message);
-    if (artistSongs) {
-      const av = artistSongs.filter(s => !session.playedSongs.includes(s.title));
-      if (av.length) return res.json(buildSongResponse(av[Math.floor(Math.random() * av.length)], session));
+    const matches = scored.filter(s => s.relevance >= LIKE_SONG_MIN);
+    if (!matches.length) return null;
+    const top = Math.max(...matches.map(s => s.score));
+    return buildSongResponse(ctx.pick(matches.filter(s => s.score >= top * 0.85)), session);
+  },
+});
+
+// Blends — see lib/blend. The weighted midpoint of the references' vectors is
+// scored like a like-song query. A song halfway between two far-apart artists sits
+// further from the midpoint than a song does from its own reference, hence the
+// lower bar. None of the references' artists come back, and a blend of nothing
+// but traits ("between chill and upbeat") is left to the keyword search.
+const BLEND_MIN = 0.3;
+
+chatIntents.register({
+  name: 'blend',
+  priority: 222,
+  match: ({ message }) => {
+    const refs = parseBlend(message, { knownName: isCollectionArtist });
+    return refs && { refs };
+  },
+  handle: async (ctx, { refs }) => {
+    const resolved = await Promise.all(refs.map(async ({ name, weight }) => ({ ...(await referenceVector(name)), weight })));
+    ctx.note('blend', resolved.map(({ name, source, weight, traits }) => ({ name, source, weight, traits: Object.keys(traits) })));
+    if (resolved.every(r => r.source === 'trait')) return null;
+    const known = resolved.filter(r => Object.keys(r.traits).length);
+    if (known.length < 2) return null; // nothing to blend — let the like-artist flow try
+
+    const traits = blendVectors(known);
+    const ids = new Set(known.flatMap(r => r.songIds));
+    const artists = known.map(r => r.artist).filter(Boolean);
+    const matches = similarityScores(ctx, traits, s => !ids.has(s.id) && !artists.some(a => sameArtist(s.artist, a)))
+      .filter(s => s.relevance >= BLEND_MIN);
+    if (!matches.length) return null;
+    const top = Math.max(...matches.map(s => s.score));
+    return buildSongResponse(ctx.pick(matches.filter(s => s.score >= top * 0.85)), ctx.session);
+  },
+});
+
+// "Like [artist]" — "something like Nico", "vibes like Portishead", "sounds like Chet Baker"
+// Instead of looking up that artist in our collection, we extract their sonic traits
+// and use those to score across the full collection. Works for any artist Haiku knows.
+chatIntents.register({
+  name: 'like-artist',
+  priority: 230,
+  match: ({ message }) => detectLikeArtist(message),
+  handle: async (ctx, { artist: likeArtistName, negated }) => {
+    console.log('Like-artist detected:', likeArtistName, negated ? '(negated)' : '');
+    const artistKeywords = await llm.extractArtistTraits(likeArtistName);
+    console.log('Artist traits:', artistKeywords);
+    ctx.note('likeArtist', { artist: likeArtistName, negated, traits: artistKeywords });
+    // Haiku didn't recognize the artist — fall through to regular flow
+    if (!artistKeywords.length) return null;
+
+    // Exclude the reference artist from results — "like Portishead" should never return Portishead
+    const likeArtistNorm = normalize(likeArtistName);
+    const avSongs = ctx.available().filter(s => normalize(s.artist) !== likeArtistNorm);
+    // The inverted "nothing like" ranking below would turn taste upside down too — skip it there
+    const avScored = negated ? scoreSongs(avSongs, artistKeywords) : ctx.score(avSongs, artistKeywords);
+
+    if (negated) {
+      // "nothing like Nico" — score normally, then INVERT: lowest scorers win.
+      // This finds songs that share the fewest traits with the reference artist.
+      const maxScore = Math.max(0, ...avScored.map(s => s.score));
+      // Invert scores and pick from the bottom — songs that scored 0 are most "unlike"
+      const inverted = avScored
+        .map(s => ({ ...s, score: maxScore - s.score }))
+        .filter(s => s.score >= 0); // all songs qualify, just reordered
+      inverted.sort((a, b) => b.score - a.score);
+      // Take a random pick from the top 20% most-unlike songs for variety
+      const topN = Math.max(5, Math.floor(inverted.length * 0.2));
+      const pool = inverted.slice(0, topN);
+      return pool.length ? buildSongResponse(ctx.pick(pool), ctx.session) : null;
     }
 
-    // Strip common filler prefixes before keyword extraction
-    // "something melancholic" → "melancholic", "give me something dark" → "dark"
-    const strippedMessage = message
-      .replace(/^(give\s+me\s+)?(something|anything|a\s+song|some\s+music|play\s+me\s+something)\s+(that'?s?\s+)?(kind\s+of\s+)?/i, '')
-      .replace(/^(i\s+want\s+)(something|a\s+song)\s+/i, '')
-      .trim() || message;
-
-    // Keyword extraction (API call)
-    const keywords = await extractKeywords(strippedMessage);
-    console.log('Keywords:', keywords);
-
-    const preferVideo = isVideoRequest(message);
-    const conversational = isConversational(message);
-    const bridge = conversational ? "Okay, let me find something else." : null;
-
-    // Generic continuation request — "another", "more of this", "keep going", etc.
-    // If a song was just played, use its traits to find something similar.
-    // Only truly random if nothing has been played yet.
-    const bareGeneric = /^(another|random|surprise me|something different|something else|anything|more|more like this|more of this|keep going|keep it going|next|next one|yes|yeah|sure|okay|ok|sounds good|love it|i like this|similar|something similar|same vibe|same energy)$/i.test(msgLower.trim());
-
-    if (bareGeneric) {
-      const avSongs = available();
-      if (!avSongs.length) return res.json({ response: "I've shared my entire collection with you! That's all I have for now.", song: null });
-
-      // If we have a last song, use its traits to find something in the same vein.
-      // Genre and origin traits get boosted — they should anchor the result,
-      // not get outvoted by a cluster of mood/texture matches.
-      if (session.lastSong) {
-        const lastTraits = session.lastSong.traits || {};
-        const traitKeywords = [];
-        for (const [trait, weight] of Object.entries(lastTraits)) {
-          if (weight < 0.7) continue;
-          // Push genre and origin twice so they count double in scoring
-          if (trait.startsWith('genre:') || trait.startsWith('origin:')) {
-            traitKeywords.push(trait, trait);
-          } else {
-            traitKeywords.push(trait);
-          }
+    const avMatches = avScored.filter(s => s.relevance >= MIN_SCORE);
+    if (!avMatches.length) return null; // nothing scored — fall through
+    const top = Math.max(...avMatches.map(s => s.score));
+    const topPicks = avMatches.filter(s => s.score >= top * 0.85);
+    return buildSongResponse(ctx.pick(topPicks), ctx.session);
+  },
+});
+
+chatIntents.register({
+  name: 'artist-lookup',
+  priority: 240,
+  match: ({ message }) => findSongsByArtist(message),
+  handle: ({ session, pick }, artistSongs) => {
+    const av = artistSongs.filter(s => !session.playedIds.includes(s.id));
+    return av.length ? buildSongResponse(pick(av), session) : null;
+  },
+});
+
+// Generic continuation request — "another", "more of this", "keep going", etc.
+// If a song was just played, use its traits to find something similar.
+// Only truly random if nothing has been played yet.
+chatIntents.register({
+  name: 'continue',
+  priority: 250,
+  match: ({ msgLower }) => /^(another|random|surprise me|something different|something else|anything|more|more like this|more of this|keep going|keep it going|next|next one|yes|yeah|sure|okay|ok|sounds good|love it|i like this|similar|something similar|same vibe|same energy)$/i.test(msgLower),
+  handle: ctx => {
+    const { session, bridge } = ctx;
+    const avSongs = ctx.available();
+    if (!avSongs.length) return { response: "I've shared my entire collection with you! That's all I have for now.", song: null };
+
+    // If we have a last song, use its traits to find something in the same vein.
+    // Genre and origin traits get boosted — they should anchor the result,
+    // not get outvoted by a cluster of mood/texture matches.
+    if (session.lastSong) {
+      const lastTraits = session.lastSong.traits || {};
+      const traitKeywords = [];
+      for (const [trait, weight] of Object.entries(lastTraits)) {
+        if (weight < 0.7) continue;
+        // Push genre and origin twice so they count double in scoring
+        if (isGateTrait(trait)) {
+          traitKeywords.push(trait, trait);
+        } else {
+          traitKeywords.push(trait);
         }
-        if (traitKeywords.length > 0) {
-          const scored = scoreSongs(avSongs, traitKeywords, false, null);
-          const viable = scored.filter(s => s.score > 0);
-          if (viable.length > 0) {
-            const top = Math.max(...viable.map(s => s.score));
-            const topPicks = viable.filter(s => s.score >= top * 0.85);
-            return res.json(buildSongResponse(topPicks[Math.floor(Math.random() * topPicks.length)], session, null, bridge));
-          }
+      }
+      if (traitKeywords.length > 0) {
+        const scored = ctx.score(avSongs, traitKeywords);
+        const viable = scored.filter(s => s.score > 0);
+        if (viable.length > 0) {
+          const top = Math.max(...viable.map(s => s.score));
+          const topPicks = viable.filter(s => s.score >= top * 0.85);
+          return buildSongResponse(ctx.pick(topPicks), session, null, bridge);
         }
       }
-
-      // No last song (or no traits matched) — fall back to random
-      return res.json(buildSongResponse(avSongs[Math.floor(Math.random() * avSongs.length)], session, null, bridge));
     }
 
-    // No keywords extracted — input was gibberish, typo, or unrecognizable
-    // Haiku is instructed to return [] for nonsense; this is the safety net for anything that slips through
-    if (keywords.length === 0) {
-      const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-      const trimmed = message.trim().slice(0, 40);
-      const interrupt = genreOptions.length >= 2
-        ? { type: 'genre_suggest', message: `I don't think I have anything related to "${trimmed}". Try one of these instead.`, options: genreOptions }
-        : null;
-      return res.json({
-        response: interrupt ? null : `I don't think I have anything related to "${trimmed}". What are you in the mood for?`,
-        song: null,
-        interrupt
-      });
-    }
+    // No last song (or no traits matched) — fall back to random, leaving out
+    // whatever the visitor's taste has turned against while anything else is left
+    const welcome = avSongs.filter(s => tasteMultiplier(s, session.taste) >= 1);
+    return buildSongResponse(ctx.pick(welcome.length ? welcome : avSongs), session, null, bridge);
+  },
+});
 
-    // "but" modifier — "soul but weirder", "punk but melodic"
-    // Detect before/after and pass weight overrides to scoreSongs
-    let butWeightOverrides = null;
-    const butMatch = strippedMessage.match(/^(.+?)\s+but\s+(.+)$/i);
-    if (butMatch) {
-      butWeightOverrides = { reduce: butMatch[1].trim().toLowerCase(), boost: butMatch[2].trim().toLowerCase() };
-      console.log('But-modifier:', butWeightOverrides);
-    }
+// ---- Keyword search: everything from here on uses ctx.search() ----
+
+// No keywords extracted — input was gibberish, typo, or unrecognizable
+// Haiku is instructed to return [] for nonsense; this is the safety net for anything that slips through
+chatIntents.register({
+  name: 'no-keywords',
+  priority: 260,
+  match: async ctx => {
+    const { keywords, shift, years } = await ctx.search();
+    return keywords.length === 0 && !shift && !years;
+  },
+  handle: ({ message, session }) => {
+    const trimmed = message.trim().slice(0, 40);
+    return genreSuggestion(session,
+      `I don't think I have anything related to "${trimmed}". Try one of these instead.`,
+      `I don't think I have anything related to "${trimmed}". What are you in the mood for?`);
+  },
+});
 
-    // Hardcoded genre no-match guards — genres we genuinely don't have
-    const HARD_NO_MATCH = [
-      [/\b(bluegrass|banjo|appalachian)\b/i, "No bluegrass in here — closest I have is some folk and country."],
-      [/\b(christmas|holiday|xmas|festive)\b/i, "No holiday music in this collection."],
-      [/\b(polka)\b/i, "No polka in here, sorry."],
-      [/\b(classical|orchestra|symphony|concerto|sonata)\b/i, "Not much classical in here — mostly contemporary stuff."],
-      [/\b(nursery|children's|kids\s+music|lullaby)\b/i, "Nothing for kids in here."],
-      [/\b(karaoke)\b/i, "This isn't a karaoke spot."],
-    ];
-    for (const [re, reply] of HARD_NO_MATCH) {
-      if (re.test(message)) {
-        const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-        const interrupt = genreOptions.length >= 2
-          ? { type: 'genre_suggest', message: `${reply} Try one of these instead.`, options: genreOptions }
-          : null;
-        return res.json({ response: interrupt ? null : reply, song: null, interrupt });
-      }
-    }
+// Hardcoded genre no-match guards — genres we genuinely don't have
+const HARD_NO_MATCH = [
+  [/\b(bluegrass|banjo|appalachian)\b/i, "No bluegrass in here — closest I have is some folk and country."],
+  [/\b(christmas|holiday|xmas|festive)\b/i, "No holiday music in this collection."],
+  [/\b(polka)\b/i, "No polka in here, sorry."],
+  [/\b(classical|orchestra|symphony|concerto|sonata)\b/i, "Not much classical in here — mostly contemporary stuff."],
+  [/\b(nursery|children's|kids\s+music|lullaby)\b/i, "Nothing for kids in here."],
+  [/\b(karaoke)\b/i, "This isn't a karaoke spot."],
+];
 
-    // Title keyword lookup (unchanged — proper names still useful)
-    const TITLE_MATCH_STOPWORDS = new Set([
-      'song', 'music', 'track', 'tune', 'play', 'hear', 'listen', 'find',
-      'give', 'want', 'need', 'show', 'another', 'more', 'that', 'this',
-      'like', 'love', 'good', 'great', 'nice', 'best', 'cool', 'bad',
-      'new', 'old', 'some', 'any', 'just', 'know', 'feel',
-      'something', 'anything', 'everything', 'nothing', 'someone', 'anyone',
-      'somewhere', 'sometime', 'somehow', 'somebody', 'nobody',
-      'pop', 'body', 'rock', 'soul', 'mind', 'life', 'time', 'day',
-      'girl', 'girls', 'boy', 'boys', 'man', 'woman', 'baby', 'home',
-      'fire', 'rain', 'sun', 'moon', 'star', 'night', 'dark', 'light',
-      'ride', 'walk', 'run', 'come', 'gone', 'lost', 'back', 'down',
-      'heart', 'eyes', 'hand', 'face', 'head', 'world', 'away',
-      'favorite', 'favourite',
-      'can', 'let', 'get', 'got', 'set', 'put', 'see', 'say', 'use',
-      'try', 'hit', 'big', 'low', 'high', 'hot', 'cold',
-      // Common words that are also artist/band names — never match these via raw keyword
-      // "love" → Love (band), "can" → CAN, "pop" → Iggy Pop / Pop Levi
-      'love', 'pop',
-    ]);
+chatIntents.register({
+  name: 'hard-no-match',
+  priority: 270,
+  match: ({ message }) => {
+    // "no christmas stuff please" isn't asking for Christmas music
+    const asked = message.replace(/\b(not|no|without|except|nothing|never)\s+(any\s+)?\S+/gi, ' ');
+    const hit = HARD_NO_MATCH.find(([re]) => re.test(asked));
+    return hit && hit[1];
+  },
+  handle: ({ session }, reply) => genreSuggestion(session, `${reply} Try one of these instead.`, reply),
+});
+
+// Title keyword lookup — proper names still useful
+const TITLE_MATCH_STOPWORDS = new Set([
+  'song', 'music', 'track', 'tune', 'play', 'hear', 'listen', 'find',
+  'give', 'want', 'need', 'show', 'another', 'more', 'that', 'this',
+  'like', 'love', 'good', 'great', 'nice', 'best', 'cool', 'bad',
+  'new', 'old', 'some', 'any', 'just', 'know', 'feel',
+  'something', 'anything', 'everything', 'nothing', 'someone', 'anyone',
+  'somewhere', 'sometime', 'somehow', 'somebody', 'nobody',
+  'pop', 'body', 'rock', 'soul', 'mind', 'life', 'time', 'day',
+  'girl', 'girls', 'boy', 'boys', 'man', 'woman', 'baby', 'home',
+  'fire', 'rain', 'sun', 'moon', 'star', 'night', 'dark', 'light',
+  'ride', 'walk', 'run', 'come', 'gone', 'lost', 'back', 'down',
+  'heart', 'eyes', 'hand', 'face', 'head', 'world', 'away',
+  'favorite', 'favourite',
+  'can', 'let', 'get', 'got', 'set', 'put', 'see', 'say', 'use',
+  'try', 'hit', 'big', 'low', 'high', 'hot', 'cold',
+  // Common words that are also artist/band names — never match these via raw keyword
+  // "love" → Love (band), "can" → CAN, "pop" → Iggy Pop / Pop Levi
+  'love', 'pop',
+]);
 
+chatIntents.register({
+  name: 'title-keyword',
+  priority: 280,
+  match: async ctx => {
+    const { keywords } = await ctx.search();
     const titleKeywords = keywords.filter(k => {
       const n = normalize(k);
       return k.length >= 4 && !TITLE_MATCH_STOPWORDS.has(n) && !GENRE_WORDS.has(n) && !n.includes(':');
     });
+    if (!titleKeywords.length) return null;
+    return songsData.songs.find(s =>
+      !ctx.session.playedIds.includes(s.id) &&
+      titleKeywords.some(k => {
+        const normTitle = normalize(s.title);
+        const normK = normalize(k);
+        if (normTitle === normK) return true;
+        const escaped = normK.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp('\\b' + escaped + '\\b').test(normTitle);
+      })
+    );
+  },
+  handle: ({ session }, specificSong) => buildSongResponse(specificSong, session),
+});
 
-    if (titleKeywords.length > 0) {
-      const specificSong = songsData.songs.find(s =>
-        !session.playedSongs.includes(s.title) &&
-        titleKeywords.some(k => {
-          const normTitle = normalize(s.title);
-          const normK = normalize(k);
-          if (normTitle === normK) return true;
-          const escaped = normK.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          return new RegExp('\\b' + escaped + '\\b').test(normTitle);
-        })
-      );
-      if (specificSong) return res.json(buildSongResponse(specificSong, session));
-    }
-
-    // Scored matching — confidence-gated
-    // MIN_SCORE: minimum to serve a song at all
-    // CONFIDENCE_FLOOR: below this, don't serve — offer genre buttons instead
-    const MIN_SCORE = 0.4;
-    const CONFIDENCE_FLOOR = 0.6; // below this score feels like a guess, not a match
-
-    // Genre/origin miss detection — if the user asked for a specific genre or country
-    // and NOTHING in the collection has it, be honest and offer alternatives.
-    // This runs before full scoring so we don't waste time and give the user a clear answer.
-    const requestedGenres = extractRequiredGenres(keywords);
-    if (requestedGenres.length > 0) {
-      const collectionHasAny = songsData.songs.some(s => {
-        const traits = s.traits || {};
-        return requestedGenres.some(t => traits[t] !== undefined && traits[t] >= 0.5);
-      });
-      if (!collectionHasAny) {
-        const labels = requestedGenres.map(genreLabel).join(' / ');
-        const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-        const interrupt = genreOptions.length >= 2
-          ? { type: 'genre_suggest', message: `I don't really have ${labels} in here. Try one of these instead.`, options: genreOptions }
-          : null;
-        return res.json({
-          response: interrupt ? null : `I don't really have ${labels} in here. What else are you looking for?`,
-          song: null, interrupt
-        });
-      }
-      // Collection has the genre — check if the full combo (e.g. "danceable hip-hop") exists.
-      // Use .some() with the genre gate logic instead of a full scoreSongs pass.
-      const comboExists = songsData.songs.some(s => {
-        const traits = s.traits || {};
-        const hasAllRequired = requestedGenres.every(t => {
-          if (traits[t] !== undefined && traits[t] >= 0.5) return true;
-          if (t === 'genre:dance' && traits['char:danceable'] >= 0.5) return true;
-          if (t === 'genre:k-pop' && traits['origin:korea'] >= 0.5) return true;
-          return false;
-        });
-        return hasAllRequired;
-      });
-      if (!comboExists) {
-        const labels = requestedGenres.map(genreLabel).join(' + ');
-        const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-        const interrupt = genreOptions.length >= 2
-          ? { type: 'genre_suggest', message: `I don't think I have anything that's ${labels} and everything else you're after. Try one of these instead.`, options: genreOptions }
-          : null;
-        return res.json({
-          response: interrupt ? null : `Can't think of anything that fits all of that. What would you like to try?`,
-          song: null, interrupt
-        });
-      }
+// Genre/origin miss detection — if the user asked for a specific genre or country
+// and NOTHING in the collection has it, be honest and offer alternatives.
+// Runs before full scoring so we don't waste time and give the user a clear answer.
+chatIntents.register({
+  name: 'genre-miss',
+  priority: 290,
+  match: async ctx => {
+    const requestedGenres = extractRequiredGenres((await ctx.search()).keywords);
+    if (!requestedGenres.length) return null;
+    const collectionHasAny = songsData.songs.some(s => {
+      const traits = s.traits || {};
+      return requestedGenres.some(t => traits[t] !== undefined && traits[t] >= 0.5);
+    });
+    if (!collectionHasAny) return { requestedGenres, missing: 'genre' };
+    // Collection has the genre — check if the full combo (e.g. "danceable hip-hop") exists.
+    // Use .some() with the genre gate logic instead of a full scoreSongs pass.
+    const comboExists = songsData.songs.some(s => requestedGenres.every(t => gateSatisfied(s.traits || {}, t)));
+    if (!comboExists) return { requestedGenres, missing: 'combo' };
+    return null;
+  },
+  handle: ({ session }, { requestedGenres, missing }) => {
+    if (missing === 'genre') {
+      const labels = requestedGenres.map(genreLabel).join(' / ');
+      return genreSuggestion(session,
+        `I don't really have ${labels} in here. Try one of these instead.`,
+        `I don't really have ${labels} in here. What else are you looking for?`);
     }
+    const labels = requestedGenres.map(genreLabel).join(' + ');
+    return genreSuggestion(session,
+      `I don't think I have anything that's ${labels} and everything else you're after. Try one of these instead.`,
+      `Can't think of anything that fits all of that. What would you like to try?`);
+  },
+});
 
-    const allScored = scoreSongs(songsData.songs, keywords, preferVideo, butWeightOverrides);
-    const bestScore = Math.max(0, ...allScored.map(s => s.score));
-    const hasAnyMatch = bestScore >= MIN_SCORE;
-
-    if (!hasAnyMatch) {
-      const noMatchText = generateNoMatchResponse(message);
-      const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-      const interrupt = genreOptions.length >= 2
-        ? { type: 'genre_suggest', message: `${noMatchText} Try one of these directions instead.`, options: genreOptions }
-        : null;
-      return res.json({ response: interrupt ? null : noMatchText, song: null, interrupt });
-    }
+// ---- Scored matching — confidence-gated ----
 
-    // Low confidence — best match exists but score is weak
-    // Better to offer choices than serve a song that won't land
-    if (bestScore < CONFIDENCE_FLOOR) {
-      const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedSongs);
-      if (genreOptions.length >= 2) {
-        return res.json({
-          response: null,
-          song: null,
-          interrupt: { type: 'genre_suggest', message: "I'm not sure I have anything like that in my collection. What would you like to explore?", options: genreOptions }
-        });
-      }
-      // Not enough options — fall through and serve best available
-    }
+chatIntents.register({
+  name: 'no-match',
+  priority: 300,
+  match: async ctx => (await ctx.bestScore()) < MIN_SCORE,
+  handle: ({ message, session }) => {
+    const noMatchText = generateNoMatchResponse(message);
+    return genreSuggestion(session, `${noMatchText} Try one of these directions instead.`, noMatchText);
+  },
+});
 
-    const avSongs = available();
-    const avScored = scoreSongs(avSongs, keywords, preferVideo, butWeightOverrides);
-    const avMatches = avScored.filter(s => s.score >= MIN_SCORE);
+// Low confidence — best match exists but score is weak.
+// Better to offer choices than serve a song that won't land; with fewer than two
+// options, fall through and serve the best available.
+chatIntents.register({
+  name: 'low-confidence',
+  priority: 310,
+  match: async ctx => (await ctx.bestScore()) < CONFIDENCE_FLOOR,
+  handle: ({ session }) => {
+    const genreOptions = getDynamicOptions(session.lastSong || songsData.songs[0], session.playedIds);
+    if (genreOptions.length < 2) return null;
+    return {
+      response: null,
+      song: null,
+      interrupt: { type: 'genre_suggest', message: "I'm not sure I have anything like that in my collection. What would you like to explore?", options: genreOptions },
+    };
+  },
+});
 
-    if (!avMatches.length) {
-      return res.json({ response: "Think I've played everything along those lines — is there another direction you want to go?", song: null });
-    }
+chatIntents.register({
+  name: 'search-exhausted',
+  priority: 320,
+  match: async ctx => (await ctx.matches()).length === 0,
+  handle: () => ({ response: "Think I've played everything along those lines — is there another direction you want to go?", song: null }),
+});
 
-    // ── Keystone force-return ────────────────────────────────────────────────
-    // After 3 plays from a cluster this session, the next song from that cluster
-    // that would have been returned instead triggers its keystone.
-    // This makes unlock deterministic — not dependent on scoring luck.
-    const topMatchForKeystone = avMatches.reduce((best, s) => s.score > best.score ? s : best, avMatches[0]);
-    if (topMatchForKeystone && topMatchForKeystone.cluster) {
-      const cl          = topMatchForKeystone.cluster;
-      const sessionCount = clusterCounts[cl] || 0;
-      const isUnlocked  = unlockedClusters.includes(cl);
-      const keystone    = GROOVE_KEYSTONES.find(k => k.cluster === cl);
-      if (!isUnlocked && sessionCount >= 3 && keystone) {
-        const keystoneSong = songsData.songs.find(s =>
-          normalize(s.title)  === normalize(keystone.title) &&
-          normalize(s.artist) === normalize(keystone.artist)
-        );
-        if (keystoneSong && !session.playedSongs.includes(keystoneSong.title)) {
-          return res.json(buildSongResponse(keystoneSong, session, null, bridge));
-        }
-      }
-    }
+// ── Keystone force-return ────────────────────────────────────────────────
+// After 3 plays from a cluster this session, the next song from that cluster
+// that would have been returned instead triggers its keystone.
+// This makes unlock deterministic — not dependent on scoring luck.
+chatIntents.register({
+  name: 'keystone-unlock',
+  priority: 330,
+  match: async ctx => {
+    const avMatches = await ctx.matches();
+    const topMatch = avMatches.reduce((best, s) => s.score > best.score ? s : best, avMatches[0]);
+    if (!topMatch || !topMatch.cluster) return null;
+    const cl = topMatch.cluster;
+    const plays = ctx.clusterCounts[cl] || 0;
+    const keystoneSong = keystoneSongFor(cl);
+    let reason;
+    if (!keystoneSong) reason = `${cl} has no keystone`;
+    else if (ctx.unlockedClusters.includes(cl)) reason = `${cl} already unlocked`;
+    else if (plays < KEYSTONE_THRESHOLD) reason = `${cl} has ${plays}/${KEYSTONE_THRESHOLD} plays`;
+    else if (ctx.session.playedIds.includes(keystoneSong.id)) reason = `${cl} keystone already played`;
+    ctx.note('keystoneUnlock', { topMatch: topMatch.title, cluster: cl, fired: !reason, reason: reason || `${cl} reached ${plays} plays` });
+    return reason ? null : keystoneSong;
+  },
+  handle: ({ session, bridge }, keystoneSong) => buildSongResponse(keystoneSong, session, null, bridge),
+});
 
-    // ── 6-song fallback unlock ───────────────────────────────────────────────
-    // If the user has received 6+ songs and still hasn't unlocked anything,
-    // surface the keystone for whichever cluster they've played the most songs
-    // from this session. Rewards actual listening behavior vs. random assignment.
-    // Only fires once (after first unlock, unlockedClusters.length > 0 so this is skipped).
-    if (session.songCount >= 6 && unlockedClusters.length === 0 && Object.keys(clusterCounts).length > 0) {
-      const mostPlayedCluster = Object.entries(clusterCounts).reduce(
-        (best, [cl, n]) => n > best[1] ? [cl, n] : best,
-        ['', 0]
-      )[0];
-      const fallbackKeystone = mostPlayedCluster && GROOVE_KEYSTONES.find(k => k.cluster === mostPlayedCluster);
-      if (fallbackKeystone) {
-        const fallbackSong = songsData.songs.find(s =>
-          normalize(s.title)  === normalize(fallbackKeystone.title) &&
-          normalize(s.artist) === normalize(fallbackKeystone.artist)
-        );
-        if (fallbackSong && !session.playedSongs.includes(fallbackSong.title)) {
-          return res.json(buildSongResponse(fallbackSong, session, null, bridge));
-        }
-      }
-    }
-    // ── End keystone logic ───────────────────────────────────────────────────
+// ── 6-song fallback unlock ───────────────────────────────────────────────
+// If the user has received 6+ songs and still hasn't unlocked anything,
+// surface the keystone for whichever cluster they've played the most songs
+// from this session. Rewards actual listening behavior vs. random assignment.
+// Only fires once (after first unlock, unlockedClusters.length > 0 so this is skipped).
+chatIntents.register({
+  name: 'keystone-fallback',
+  priority: 340,
+  match: ({ session, unlockedClusters, clusterCounts }) => {
+    if (session.songCount < 6 || unlockedClusters.length > 0 || !Object.keys(clusterCounts).length) return null;
+    const mostPlayedCluster = Object.entries(clusterCounts).reduce(
+      (best, [cl, n]) => n > best[1] ? [cl, n] : best,
+      ['', 0]
+    )[0];
+    const fallbackSong = mostPlayedCluster && keystoneSongFor(mostPlayedCluster);
+    return fallbackSong && !session.playedIds.includes(fallbackSong.id) ? fallbackSong : null;
+  },
+  handle: ({ session, bridge }, fallbackSong) => buildSongResponse(fallbackSong, session, null, bridge),
+});
 
+chatIntents.register({
+  name: 'scored-match',
+  priority: 350,
+  handle: async ctx => {
+    const avMatches = await ctx.matches();
     const top = Math.max(...avMatches.map(s => s.score));
     const topPicks = avMatches.filter(s => s.score >= top * 0.85); // top 15% range, not just exact top
-    return res.json(buildSongResponse(topPicks[Math.floor(Math.random() * topPicks.length)], session, null, bridge));
+    return buildSongResponse(ctx.pick(topPicks), ctx.session, null, ctx.bridge);
+  },
+});
 
+// =====================
+// CHAT ENDPOINT
+// =====================
+app.post('/api/chat', async (req, res) => {
+  try {
+    const ctx = createChatContext(req);
+    const keystones = ctx.trace && keystoneStatus(ctx); // as they stood before this reply counted
+    const { intent, payload, trace } = await chatIntents.run(ctx);
+    if (payload && payload.song) recordEvent(req.sessionId, 'served', { songId: ctx.session.lastSong.id, intent });
+    if (payload && payload.song && ctx.query) rememberQuery(ctx.session, ctx.query);
+    const body = payload || { response: "Can't think of anything like that. What else are you in the mood for?", song: null };
+    if (!ctx.trace) return res.json(body);
+    res.json({ ...body, debug: { intent, intents: trace, ...ctx.trace, keystones, taste: ctx.session.taste } });
   } catch (error) {
     console.error('Error:', error);
     const isOverloaded = error?.status === 529 || error?.message?.includes('overloaded');
@@ -1518,6 +2098,30 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// =====================
+// WELCOME BACK
+// The returning-visitor hello, from the visitor profile when there is one.
+// =====================
+app.post('/api/welcome-back', (req, res) => {
+  const profile = req.session.visitorId && visitors.get(req.session.visitorId);
+  res.json({ response: (profile && greeting(profile)) || "Thanks for coming back. What are you looking for?" });
+});
+
+// =====================
+// GROOVE RESET
+// The /groove-reset dev command. Clears this session's cluster plays and unlocks,
+// and the unlocks kept on the visitor profile — song history and taste stay.
+// =====================
+app.post('/api/groove-reset', (req, res) => {
+  const { session } = req;
+  session.clusterCounts = {};
+  session.unlockedClusters = [];
+  session.unloggedUnlocks = [];
+  const profile = session.visitorId && visitors.get(session.visitorId);
+  if (profile) profile.unlockedClusters = [];
+  res.json({ response: 'Groove state reset on the server: cluster plays and unlocked zones cleared for this visitor. Song history and taste kept.' });
+});
+
 // =====================
 // GROOVE GLOW KEYSTONES — public config for frontend
 // Returns title/artist/cluster/label/audio so the frontend can track cluster membership
@@ -1533,66 +2137,60 @@ app.get('/api/groove-keystones', (req, res) => {
 });
 
 // =====================
-// GROOVE GLOW LOG + EMAIL NOTIFICATION
+// GROOVE GLOW LOG + NOTIFICATION
 // Called by the frontend on each cluster unlock.
-// Logs to stdout and sends an email via Resend with unlock details.
+// Appends to the unlock log (UNLOCK_LOG, default data/unlocks.jsonl), logs to
+// stdout and hands the entry to the notifier (lib/notify — Resend, SMTP, webhook
+// or outbox, per unlock or as a digest).
+// Only an unlock the server recorded is logged: the sender's session has to have
+// unlocked that cluster itself (see GROOVE UNLOCK STATE), and each one is logged
+// once — anything else is refused before it reaches the log or the notifier. The
+// route shares the session routes' rate limit. Entries written before this check
+// carry `verified: false` and are left out of the stats.
 // =====================
-app.post('/api/log', async (req, res) => {
+const unlockLog = createJsonlLog({ file: process.env.UNLOCK_LOG || path.join(__dirname, 'data', 'unlocks.jsonl') });
+const notifier = createNotifierFromEnv();
+if (notifier.channels.length) {
+  console.log(`[NOTIFY] Channels: ${notifier.channels.join(', ')}${notifier.digest === 'off' ? '' : ` (${notifier.digest} digest)`}`);
+}
+
+app.post('/api/log', limiter, async (req, res) => {
   try {
-    const { visitorId, cluster, label, input, firstSessionStart, allUnlocks } = req.body;
+    const { sessionId, cluster, input, firstSessionStart, allUnlocks } = req.body;
+    const keystone = GROOVE_KEYSTONES.find(k => k.cluster === cluster);
+    if (!keystone) return res.status(400).json({ ok: false, error: 'Unknown cluster' });
+
+    const session = typeof sessionId === 'string' && sessions.has(sessionId) ? sessions.get(sessionId) : null;
+    if (!session || !session.unloggedUnlocks.includes(cluster)) {
+      return res.status(403).json({ ok: false, error: 'Not unlocked in this session' });
+    }
+    session.unloggedUnlocks = session.unloggedUnlocks.filter(cl => cl !== cluster);
+    const unlocks = Array.isArray(allUnlocks) ? allUnlocks.filter(cl => typeof cl === 'string').slice(0, GROOVE_KEYSTONES.length) : [];
+    const label = keystone.label;
     const unlockedAt = new Date().toISOString();
     const entry = {
-      visitorId:          visitorId || 'unknown',
+      visitorId:          session.visitorId || 'unknown',
       cluster,
       label,
-      inputThatTriggered: input || '',
+      inputThatTriggered: typeof input === 'string' ? input.slice(0, 500) : '',
       unlockedAt,
-      firstSessionStart:  firstSessionStart || null,
-      totalUnlocks:       allUnlocks ? allUnlocks.length : 0,
-      allUnlocks:         allUnlocks || [],
+      firstSessionStart:  typeof firstSessionStart === 'string' && !isNaN(Date.parse(firstSessionStart)) ? firstSessionStart : null,
+      totalUnlocks:       unlocks.length,
+      allUnlocks:         unlocks,
+      verified:           true,
     };
 
+    try {
+      unlockLog.append(entry);
+    } catch (e) {
+      console.error('[UNLOCKS] Could not write unlock log:', e.message);
+    }
+
     // Always log to stdout — visible in Render dashboard
     console.log('[GROOVE UNLOCK]', JSON.stringify(entry));
 
-    // Send email via Resend if configured
-    const resendKey   = process.env.RESEND_API_KEY;
-    const notifyEmail = process.env.NOTIFY_EMAIL;
-
-    if (resendKey && notifyEmail) {
-      const firstStart = firstSessionStart
-        ? new Date(firstSessionStart).toLocaleString('en-US', { timeZone: 'America/New_York' })
-        : 'unknown';
-      const unlockedTime = new Date(unlockedAt).toLocaleString('en-US', { timeZone: 'America/New_York' });
-      const allLabels = (allUnlocks || []).join(', ') || label;
-
-      const html = `
-        <p><strong>Visitor:</strong> ${entry.visitorId}</p>
-        <p><strong>Cluster unlocked:</strong> ${label} (${cluster})</p>
-        <p><strong>Triggered by:</strong> "${entry.inputThatTriggered}"</p>
-        <p><strong>Unlocked at:</strong> ${unlockedTime} ET</p>
-        <p><strong>First session start:</strong> ${firstStart} ET</p>
-        <p><strong>Total unlocked so far:</strong> ${entry.totalUnlocks} / 9</p>
-        <p><strong>All unlocked:</strong> ${allLabels}</p>
-      `;
-
-      fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${resendKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          from:    'efrain.fm <onboarding@resend.dev>',
-          to:      [notifyEmail],
-          subject: `// ${label} unlocked — efrain.fm`,
-          html,
-        }),
-      }).then(r => {
-        if (!r.ok) r.text().then(t => console.error('Resend error:', t));
-        else console.log('[RESEND] Email sent for', label);
-      }).catch(e => console.error('Resend fetch error:', e));
-    }
+    // Fire and forget — channels retry on their own time, the browser doesn't wait
+    notifier.notify(entry).catch(e => console.error('[NOTIFY] Notify error:', e));
 
     res.json({ ok: true });
   } catch (e) {
@@ -1601,6 +2199,51 @@ app.post('/api/log', async (req, res) => {
   }
 });
 
+// =====================
+// UNLOCK LOG QUERY (admin)
+// GET /api/admin/unlocks?visitor=&cluster=&from=&to=&limit=
+// Filters apply to both the entries and the stats; the stats skip old unverified
+// entries (see GROOVE GLOW LOG). Entries come back newest first, capped at `limit` (default 100, max 1000); `total` is the full match count.
+// =====================
+app.get('/api/admin/unlocks', requireAdmin, (req, res) => {
+  const { visitor, cluster, from, to } = req.query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) return res.status(400).json({ error: `"${name}" is not a date` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+  const { entries, skipped } = unlockLog.read();
+  const matched = filterUnlocks(entries, { visitor, cluster, from, to });
+  if (skipped) console.error(`[UNLOCKS] Skipped ${skipped} unreadable line${skipped === 1 ? '' : 's'} in ${path.basename(unlockLog.file)}`);
+
+  res.json({
+    total: matched.length,
+    entries: matched.slice(-limit).reverse(),
+    stats: unlockStats(matched.filter(e => e.verified !== false), GROOVE_KEYSTONES.map(k => k.cluster)),
+    skipped,
+  });
+});
+
+// =====================
+// LISTENING REPORT (admin)
+// GET /api/admin/listening?from=&to=&limit=
+// Most loved (positive reactions + "more like this" − negative), most skipped
+// (inferred skips + negative reactions) and every song never served in the range.
+// limit caps the two ranked lists (default 20, max 200).
+// =====================
+app.get('/api/admin/listening', requireAdmin, (req, res) => {
+  const { from, to } = req.query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) return res.status(400).json({ error: `"${name}" is not a date` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+  const { entries, skipped } = listeningLog.read();
+  if (skipped) console.error(`[LISTENING] Skipped ${skipped} unreadable line${skipped === 1 ? '' : 's'} in ${path.basename(listeningLog.file)}`);
+
+  res.json({ ...listeningReport(filterEvents(entries, { from, to }), songsData.songs, { limit }), skipped });
+});
+
 // =====================
 // INVOKE CLUSTER — zone selector direct cluster pick
 // Picks a random commented song from the given cluster, bypassing trait scoring.
@@ -1608,44 +2251,39 @@ app.post('/api/log', async (req, res) => {
 // =====================
 app.post('/api/invoke-cluster', async (req, res) => {
   try {
-    const { cluster, sessionId = 'default', clusterCounts = {}, unlockedClusters = [] } = req.body;
+    const { cluster } = req.body;
     if (!cluster) return res.json({ response: "No cluster specified.", song: null });
 
-    const session = getSession(sessionId);
+    const session = req.session;
 
     // ── Keystone threshold check ─────────────────────────────────────────────
-    // If this cluster has hit 3 plays and isn't unlocked yet, return the keystone.
-    const sessionCount = clusterCounts[cluster] || 0;
-    const isUnlocked   = unlockedClusters.includes(cluster);
-    const keystone     = GROOVE_KEYSTONES.find(k => k.cluster === cluster);
-    if (!isUnlocked && sessionCount >= 3 && keystone) {
-      const keystoneSong = songsData.songs.find(s =>
-        normalize(s.title)  === normalize(keystone.title) &&
-        normalize(s.artist) === normalize(keystone.artist)
-      );
-      if (keystoneSong && !session.playedSongs.includes(keystoneSong.title)) {
-        return res.json(buildSongResponse(keystoneSong, session));
-      }
+    // If this cluster has hit the threshold and isn't unlocked yet, return the keystone.
+    const sessionCount = session.clusterCounts[cluster] || 0;
+    const isUnlocked   = session.unlockedClusters.includes(cluster);
+    const keystoneSong = keystoneSongFor(cluster);
+    if (!isUnlocked && sessionCount >= KEYSTONE_THRESHOLD && keystoneSong && !session.playedIds.includes(keystoneSong.id)) {
+      recordEvent(req.sessionId, 'served', { songId: keystoneSong.id, intent: 'invoke-cluster' });
+      return res.json(buildSongResponse(keystoneSong, session));
     }
     // ── End keystone check ───────────────────────────────────────────────────
 
-    // Prefer songs with commentary; fall back to any in cluster
-    const withCommentary = songsData.songs.filter(s =>
+    // Prefer songs with commentary; fall back to any in cluster.
+    // A locked keystone never comes out of the random pool — it has to be earned.
+    const inCluster = songsData.songs.filter(s =>
       s.cluster === cluster &&
-      !session.playedSongs.includes(s.title) &&
-      s.commentary && s.commentary.trim() !== ''
-    );
-    const fallback = songsData.songs.filter(s =>
-      s.cluster === cluster &&
-      !session.playedSongs.includes(s.title)
+      !session.playedIds.includes(s.id) &&
+      !isLockedKeystone(s, session)
     );
+    const withCommentary = inCluster.filter(s => s.commentary && s.commentary.trim() !== '');
+    const fallback = inCluster;
 
     const pool = withCommentary.length ? withCommentary : fallback;
     if (!pool.length) {
       return res.json({ response: "I've played everything from that zone.", song: null });
     }
 
-    const song = pool[Math.floor(Math.random() * pool.length)];
+    const song = pickSong(pool, session);
+    recordEvent(req.sessionId, 'served', { songId: song.id, intent: 'invoke-cluster' });
     return res.json(buildSongResponse(song, session));
   } catch (e) {
     console.error('Invoke cluster error:', e);
@@ -1653,4 +2291,161 @@ app.post('/api/invoke-cluster', async (req, res) => {
   }
 });
 
-app.listen(port, () => console.log(`Server running at http://localhost:${port}`));
+// =====================
+// STARTUP VALIDATION
+// Checks songs.json against the trait vocabulary (data/traits.json), keystones
+// and URL shapes. SONGS_VALIDATION controls what happens:
+//   warn   (default) — print the report and boot anyway
+//   strict           — refuse to boot if there are any errors
+//   off              — skip validation
+// =====================
+const SONGS_VALIDATION = (process.env.SONGS_VALIDATION || 'warn').toLowerCase();
+
+function catalogReport(data) {
+  return validateSongs(data, {
+    knownTraits: KNOWN_TRAITS, traitAliases: TRAIT_ALIASES, keystones: GROOVE_KEYSTONES, offMapClusters: OFF_MAP_CLUSTERS,
+  });
+}
+
+// Returns the report, or null when validation is off. Prints it either way.
+function checkCatalog(data) {
+  if (SONGS_VALIDATION === 'off') return null;
+  const report = catalogReport(data);
+  const text = formatReport(report);
+  if (report.errors.length) console.error(text);
+  else console.log(text);
+  return report;
+}
+
+const startupReport = checkCatalog(songsData);
+if (startupReport && startupReport.errors.length && SONGS_VALIDATION === 'strict') {
+  console.error('[SONGS] Refusing to start — fix the errors above or set SONGS_VALIDATION=warn.');
+  process.exit(1);
+}
+// Sessions restored from disk may reference songs that were edited or removed since
+reconcileSessions();
+
+// =====================
+// CATALOG HOT RELOAD
+// Re-reads songs.json, validates it, and swaps the in-memory catalog in one assignment —
+// nothing ever sees a half-loaded catalog.
+// Triggered by POST /api/admin/reload, or automatically when SONGS_WATCH=1.
+// In strict mode a catalog with errors is rejected and the old one stays live.
+// =====================
+function reloadCatalog() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(songsPath, 'utf8'));
+  } catch (e) {
+    return { ok: false, error: `Could not read songs.json: ${e.message}` };
+  }
+  if (!data || !Array.isArray(data.songs)) return { ok: false, error: 'songs.json has no "songs" array' };
+
+  const report = checkCatalog(data);
+  if (report && report.errors.length && SONGS_VALIDATION === 'strict') {
+    return { ok: false, error: 'Validation failed — catalog not swapped', errors: report.errors };
+  }
+
+  const bridges = loadBridges(data).bridges;
+  const keystoneLookup = buildKeystoneLookup(data);
+  songsData = data;
+  BRIDGES = bridges;
+  KEYSTONE_LOOKUP = keystoneLookup;
+  const reconciled = reconcileSessions();
+
+  console.log(`[SONGS] Reloaded — ${data.songs.length} songs, ${reconciled} session${reconciled === 1 ? '' : 's'} reconciled`);
+  return {
+    ok: true,
+    songs: data.songs.length,
+    sessionsReconciled: reconciled,
+    warnings: report ? report.warnings.length : 0,
+    errors: report ? report.errors.length : 0,
+  };
+}
+
+// Drops references to songs that no longer exist and refreshes lastSong so
+// "more like this" uses the edited traits. Returns how many sessions changed.
+function reconcileSessions() {
+  const byId = new Map(songsData.songs.map(s => [s.id, s]));
+  let changed = 0;
+  for (const session of sessions.values()) {
+    let touched = false;
+    const kept = session.playedIds.filter(id => byId.has(id));
+    if (kept.length !== session.playedIds.length) { session.playedIds = kept; touched = true; }
+    if (session._pendingRelatedId && !byId.has(session._pendingRelatedId)) {
+      session._pendingRelatedId = null;
+      session._pendingBridge = null;
+      touched = true;
+    }
+    if (session.lastSong) {
+      const fresh = byId.get(session.lastSong.id);
+      if (fresh) {
+        session.lastSong = fresh;
+        session.lastSongTraits = fresh.traits || {};
+      }
+    }
+    if (touched) changed++;
+  }
+  return changed;
+}
+
+// =====================
+// ADMIN AUTH
+// Admin endpoints require ADMIN_TOKEN as a bearer token. With no ADMIN_TOKEN set
+// they are disabled entirely.
+// =====================
+function isAdminRequest(req) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return false;
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const a = Buffer.from(given);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) return res.status(404).json({ error: 'Not found' });
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
+app.post('/api/admin/reload', requireAdmin, (req, res) => {
+  const result = reloadCatalog();
+  res.status(result.ok ? 200 : 422).json(result);
+});
+
+if (process.env.SONGS_WATCH === '1') {
+  // Watch the directory, not the file — editors that save via rename would
+  // otherwise leave the watcher pointing at the old inode.
+  let reloadTimer = null;
+  fs.watch(path.dirname(songsPath), (event, filename) => {
+    if (filename !== path.basename(songsPath)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      const result = reloadCatalog();
+      if (!result.ok) console.error('[SONGS] Reload failed:', result.error);
+    }, 500);
+  });
+  console.log('[SONGS] Watching songs.json for changes');
+}
+
+// Only listen when run directly — the test suite requires the app and drives it with supertest
+if (require.main === module) {
+  // Save sessions one last time before a deploy replaces this process
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (sessions.flush) sessions.flush();
+      if (visitors.flush) visitors.flush();
+      if (llm.cache) llm.cache.flush();
+      // Send a pending digest, but don't let a slow channel hold up the shutdown
+      const timeout = new Promise(resolve => setTimeout(resolve, 5000));
+      Promise.race([notifier.flush(), timeout]).finally(() => process.exit(0));
+    });
+  }
+
+  app.listen(port, () => console.log(`Server running at http://localhost:${port}`));
+}
+
+module.exports = app;
+module.exports.chatIntents = chatIntents;
+module.exports.catalogReport = catalogReport;
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBlend } = require('../lib/blend');
+const { blendVectors, traitSimilarity } = require('../lib/similar');
+
+const names = refs => refs.map(r => r.name);
+
+test('"between", "meets" and "a mix of" split into equal parts', () => {
+  assert.deepEqual(parseBlend('somewhere between Nico and Burial'), [{ name: 'Nico', weight: 0.5 }, { name: 'Burial', weight: 0.5 }]);
+  assert.deepEqual(names(parseBlend('something like Nico meets Burial')), ['Nico', 'Burial']);
+  assert.deepEqual(names(parseBlend('a mix of Nico, Burial and Portishead')), ['Nico', 'Burial', 'Portishead']);
+});
+
+test('percentages become weights that add up to 1', () => {
+  assert.deepEqual(parseBlend('70% Portishead 30% Otis Redding'),
+    [{ name: 'Portishead', weight: 0.7 }, { name: 'Otis Redding', weight: 0.3 }]);
+  assert.deepEqual(parseBlend('60% Nico, 60% Burial').map(r => r.weight), [0.5, 0.5]);
+});
+
+test('band names with "and" in them stay whole when known', () => {
+  const knownName = name => name === 'Belle and Sebastian';
+  assert.deepEqual(names(parseBlend('between Belle and Sebastian and Burial', { knownName })), ['Belle and Sebastian', 'Burial']);
+});
+
+test('a single name or a year range is not a blend', () => {
+  assert.equal(parseBlend('something like Nico'), null);
+  assert.equal(parseBlend('jazz between 1955 and 1965'), null);
+});
+
+test('the midpoint leans toward the heavier side whatever the vector sizes', () => {
+  const a = { 'genre:jazz': 1 };
+  const b = { 'genre:punk': 3, 'energy:high': 3 };
+  const mid = blendVectors([{ traits: a, weight: 0.7 }, { traits: b, weight: 0.3 }]);
+  assert.ok(traitSimilarity(mid, a) > traitSimilarity(mid, b));
+});
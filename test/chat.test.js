@@ -0,0 +1,800 @@
+// =====================
+// /api/chat END-TO-END
+// Drives the real Express app through supertest, one request at a time, the way
+// the frontend does. The LLM is the offline local provider, sessions live in
+// memory, the rate limit is lifted so the exhaustion tests can run, and the
+// debug trace is on for everyone.
+// Each describe block follows the order of the cascade in server.js — if a
+// refactor moves a branch ahead of another, the tests for the later one break.
+// =====================
+const path = require('path');
+const fs = require('fs');
+const { serverEnv } = require('./helpers/server-env');
+
+const tmpDir = serverEnv({ ALLOW_DEBUG_TRACE: '1' });
+// The real catalog with the example bridges from test/fixtures
+const { songs } = require('../data/songs.json');
+const { bridges } = require('./fixtures/bridges.json');
+process.env.SONGS_FILE = path.join(tmpDir, 'songs.json');
+fs.writeFileSync(process.env.SONGS_FILE, JSON.stringify({ songs, bridges }));
+
+const { describe, test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createLocalProvider } = require('../lib/llm/local');
+const { traitSimilarity, averageVector } = require('../lib/similar');
+
+// The chat handlers log every keyword extraction — keep the test output readable
+mock.method(console, 'log', () => {});
+
+const app = require('../server');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const NIGHT_QUERY = 'late night melancholic lo-fi electronic from the UK'; // tops out in C2, whose keystone is Untrue
+
+const songById = id => songs.find(s => s.id === id);
+const sameSong = (a, b) => a && b && a.title === b.title && a.artist === b.artist;
+
+// One visitor: carries the server-issued session id from response to response.
+// chat.invoke(cluster) clicks an undiscovered zone on the groove map; chat.favorite(input)
+// answers "what's your favourite song?".
+// visitorId: the browser's permanent id, issued by the server — visitor(chat.visitorId())
+// is the same browser coming back for a new session
+function visitor(visitorId) {
+  let sessionId = null;
+  async function post(path, body, headers = {}) {
+    const res = await request(app).post(path).set(headers).send({ ...body, sessionId, visitorId }).expect(200);
+    ({ sessionId, visitorId } = res.body);
+    return res.body;
+  }
+  const chat = (message, extra = {}, headers = {}) => post('/api/chat', { message, ...extra }, headers);
+  chat.invoke = cluster => post('/api/invoke-cluster', { cluster });
+  chat.favorite = input => post('/api/favorite', { input });
+  chat.welcomeBack = () => post('/api/welcome-back', {});
+  chat.grooveReset = () => post('/api/groove-reset', {});
+  chat.visitorId = () => visitorId;
+  return chat;
+}
+
+
+let KEYSTONES = [];
+before(async () => {
+  KEYSTONES = (await request(app).get('/api/groove-keystones').expect(200)).body;
+});
+const isKeystone = song => KEYSTONES.some(k => sameSong(k, song));
+
+describe('intent order', () => {
+  // Routing precedence lives in the priorities — changing this list is a behaviour change
+  test('intents run in the documented order', () => {
+    assert.deepEqual(app.chatIntents.list().map(i => i.name), [
+      'empty-message', 'message-too-long', 'push-cluster', 'collection-complete',
+      'favorite-question', 'keep-this-vibe', 'accept-related', 'decline-related', 'unsure',
+      'negative-reaction', 'affirmation', 'full-playback-question', 'apple-music-question',
+      'switch-player', 'youtube-question', 'off-script', 'reaction-classifier',
+      'more-of-that-energy', 'something-slower', 'something-weirder', 'more-like-this',
+      'play-title', 'blend', 'like-song', 'like-artist', 'artist-lookup', 'continue', 'no-keywords', 'hard-no-match',
+      'title-keyword', 'genre-miss', 'no-match', 'low-confidence', 'search-exhausted',
+      'keystone-unlock', 'keystone-fallback', 'scored-match',
+    ]);
+  });
+
+  test('the reaction classifier only matches short, non-search messages after a song', () => {
+    const { match } = app.chatIntents.get('reaction-classifier');
+    const session = { lastSong: songById('0252') };
+    assert.ok(match({ message: 'obsessed', session }));
+    assert.ok(!match({ message: 'obsessed', session: { lastSong: null } }));
+    assert.ok(!match({ message: 'something melancholic', session }));
+    assert.ok(!match({ message: 'one two three four five six seven eight nine', session }));
+  });
+});
+
+describe('sessions', () => {
+  test('issues a session id and returns it in the body and header', async () => {
+    const res = await request(app).post('/api/chat').send({ message: 'who are you' }).expect(200);
+    assert.match(res.body.sessionId, UUID_RE);
+    assert.equal(res.get('X-Session-Id'), res.body.sessionId);
+  });
+
+  test('replaces an id the server never issued', async () => {
+    const res = await request(app).post('/api/chat').send({ message: 'who are you', sessionId: 'made-up' }).expect(200);
+    assert.match(res.body.sessionId, UUID_RE);
+  });
+
+  test('keeps history across requests with the same id', async () => {
+    const chat = visitor();
+    const song = songById('0252');
+    const first = await chat(`play me ${song.title}`);
+    assert.ok(sameSong(first.song, song));
+    const second = await chat(`play me ${song.title}`);
+    assert.ok(!sameSong(second.song, song), 'a played song is never served twice');
+  });
+});
+
+describe('input guards', () => {
+  test('empty message', async () => {
+    const body = await visitor()('   ');
+    assert.equal(body.song, null);
+    assert.match(body.response, /Say something/);
+  });
+
+  test('message over 500 characters', async () => {
+    const body = await visitor()('a'.repeat(501));
+    assert.equal(body.song, null);
+    assert.match(body.response, /Keep it short/);
+  });
+});
+
+describe('dev command: pushCluster', () => {
+  // Env flags are read per request, so each test sets and clears its own
+  function withEnv(vars, fn) {
+    return async () => {
+      const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+      Object.assign(process.env, vars);
+      try { await fn(); } finally {
+        for (const [k, v] of Object.entries(saved)) {
+          if (v === undefined) delete process.env[k];
+          else process.env[k] = v;
+        }
+      }
+    };
+  }
+
+  test('refused in production', async () => {
+    const body = await visitor()('/push C3', { pushCluster: 'C3' });
+    assert.equal(body.song, null);
+    assert.match(body.response, /long way/);
+  });
+
+  test('serves that cluster\'s keystone with ALLOW_PUSH_CLUSTER=1', withEnv({ ALLOW_PUSH_CLUSTER: '1' }, async () => {
+    const body = await visitor()('/push C3', { pushCluster: 'c3' });
+    const keystone = KEYSTONES.find(k => k.cluster === 'C3');
+    assert.ok(sameSong(body.song, keystone));
+    assert.equal(body.groove.cluster, 'C3');
+    assert.equal(body.response, null, 'keystones carry no commentary');
+  }));
+
+  test('serves it with the admin token', withEnv({ ADMIN_TOKEN: 'test-token' }, async () => {
+    const body = await visitor()('/push C3', { pushCluster: 'C3' }, { Authorization: 'Bearer test-token' });
+    assert.equal(body.groove.cluster, 'C3');
+    const wrong = await visitor()('/push C3', { pushCluster: 'C3' }, { Authorization: 'Bearer nope' });
+    assert.equal(wrong.song, null);
+  }));
+
+  test('replays a keystone this visitor already unlocked', withEnv({ ALLOW_PUSH_CLUSTER: '1' }, async () => {
+    const chat = visitor();
+    await chat('/push C3', { pushCluster: 'C3' });
+    delete process.env.ALLOW_PUSH_CLUSTER;
+    assert.equal((await chat('/push C3', { pushCluster: 'C3' })).groove.cluster, 'C3');
+    assert.equal((await chat('/push C4', { pushCluster: 'C4' })).song, null);
+  }));
+
+  test('unknown cluster', withEnv({ ALLOW_PUSH_CLUSTER: '1' }, async () => {
+    const body = await visitor()('/push C42', { pushCluster: 'C42' });
+    assert.equal(body.song, null);
+    assert.match(body.response, /No keystone found for cluster C42/);
+  }));
+});
+
+describe('fast paths', () => {
+  test('"your favorite" is redirected without a song', async () => {
+    const body = await visitor()("what's your favorite song?");
+    assert.equal(body.song, null);
+    assert.ok(body.response);
+  });
+
+  test('curated bridge: offered after the song, played on "okay"', async () => {
+    const chat = visitor();
+    const { from, to, line } = bridges[0];
+    const first = await chat(`play me ${songById(from).title}`);
+    assert.ok(sameSong(first.song, songById(from)));
+    assert.equal(first.interrupt.isBridge, true);
+
+    const second = await chat('okay');
+    assert.ok(sameSong(second.song, songById(to)));
+    assert.equal(second.bridgingResponse, line);
+  });
+
+  test('"no thank you" declines a pending bridge', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById(bridges[0].from).title}`);
+    const body = await chat('no thank you');
+    assert.equal(body.song, null);
+    assert.equal(body.response, 'No problem — keep exploring.');
+  });
+
+  test('negative reaction names the last artist', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById('0252').title}`);
+    mock.method(Math, 'random', () => 0);
+    try {
+      const body = await chat('meh');
+      assert.equal(body.song, null);
+      assert.match(body.response, /Nico isn't for everyone/);
+    } finally {
+      Math.random.mock.restore();
+    }
+  });
+
+  test('affirmation gets a reply, not a song', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById('0252').title}`);
+    const body = await chat('love it');
+    assert.equal(body.song, null);
+  });
+
+  test('player questions', async () => {
+    const chat = visitor();
+    assert.match((await chat('why can I only hear 30 seconds')).response, /player toggle/);
+    assert.match((await chat('do you have apple music')).response, /Apple Music is live/);
+  });
+
+  test('off-script questions go to the conversational reply', async () => {
+    const body = await visitor()('who are you');
+    assert.equal(body.song, null);
+    assert.match(body.response, /I'm Efrain/);
+  });
+});
+
+describe('reaction classifier', () => {
+  test('short reaction after a song is answered, not searched', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById('0252').title}`);
+    const body = await chat('obsessed');
+    assert.equal(body.song, null);
+    assert.ok(!/anything related/.test(body.response));
+  });
+
+  test('the same words with no song playing fall through to search', async () => {
+    const body = await visitor()('obsessed');
+    assert.equal(body.song, null);
+    assert.match(body.interrupt ? body.interrupt.message : body.response, /anything related to "obsessed"/);
+  });
+});
+
+describe('taste', () => {
+  const DEBUG = { 'X-Debug': '1' };
+
+  test('a disliked song pushes its traits and artist down for the rest of the session', async () => {
+    const chat = visitor();
+    const served = await chat('melancholic jazz');
+    const song = songs.find(s => sameSong(s, served.song));
+    const { debug } = await chat('nah', {}, DEBUG);
+    assert.ok(debug.taste.dislikedArtists.includes(song.artist));
+    for (const [trait, weight] of Object.entries(song.traits)) {
+      if (weight >= 0.1) assert.ok(debug.taste.traits[trait] < 0, trait);
+    }
+
+    const next = await chat('melancholic jazz', {}, DEBUG);
+    const multipliers = next.debug.candidates.map(c => c.breakdown['× taste']);
+    assert.ok(multipliers.every(m => m === undefined || m < 1));
+    assert.ok(next.debug.candidates.filter(c => c.artist === song.artist).every(c => c.breakdown['× taste'] <= 0.5));
+  });
+
+  test('a liked song lifts songs that share its traits', async () => {
+    const chat = visitor();
+    await chat('melancholic jazz');
+    await chat('love this');
+    const { debug } = await chat('melancholic jazz', {}, DEBUG);
+    assert.ok(debug.candidates.some(c => c.breakdown['× taste'] > 1));
+  });
+});
+
+describe('normal flow', () => {
+  test('"more" continues from the last song', async () => {
+    const chat = visitor();
+    const first = await chat(`play me ${songById('0252').title}`);
+    const body = await chat('more');
+    assert.ok(body.song);
+    assert.ok(!sameSong(body.song, first.song));
+  });
+
+  test('"play me X" returns that exact title', async () => {
+    const song = songById('0271');
+    const body = await visitor()(`play me ${song.title.toLowerCase()} by ${song.artist}`);
+    assert.ok(sameSong(body.song, song));
+    assert.equal(body.response, song.commentary);
+  });
+
+  test('"by <artist>" picks between songs that share a title', async () => {
+    const [drDog, phantomPlanet] = [songById('0121'), songById('0457')];
+    assert.equal(drDog.title, phantomPlanet.title);
+    assert.ok(sameSong((await visitor()(`play me ${phantomPlanet.title} by ${phantomPlanet.artist}`)).song, phantomPlanet));
+    assert.ok(sameSong((await visitor()(`play ${drDog.title} by dr. dog`)).song, drDog));
+  });
+
+  test('"something like Nico" never returns Nico', async () => {
+    const body = await visitor()('something like Nico');
+    assert.ok(body.song);
+    assert.notEqual(body.song.artist, 'Nico');
+  });
+
+  test('"nothing like Nico" inverts the scores', async () => {
+    const nicoTraits = await createLocalProvider({ getSongs: () => songs }).extractArtistTraits('Nico');
+    const overlap = picked => {
+      const s = songs.find(x => sameSong(x, picked));
+      return nicoTraits.reduce((sum, t) => sum + (s.traits[t] || 0), 0);
+    };
+
+    mock.method(Math, 'random', () => 0);
+    try {
+      const like = await visitor()('something like Nico');
+      const unlike = await visitor()('nothing like Nico');
+      assert.notEqual(unlike.song.artist, 'Nico');
+      assert.ok(overlap(unlike.song) < overlap(like.song),
+        `"${unlike.song.title}" should share less with Nico than "${like.song.title}"`);
+    } finally {
+      Math.random.mock.restore();
+    }
+  });
+
+  test('"something like Untrue" uses the song\'s own traits and never returns Burial', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'something like Untrue', debug: true })
+      .expect(200);
+    assert.equal(body.debug.intent, 'like-song');
+    assert.equal(body.debug.likeSong.inCollection, 1);
+    assert.notEqual(body.song.artist, 'Burial');
+  });
+
+  test('"like that Kills track" means the Kills song just served', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById('0252').title}`);
+    const served = songById('0252');
+    const { debug, song } = await chat(`something like that ${served.artist.replace(/^The /, '')} track`, {}, { 'X-Debug': '1' });
+    assert.equal(debug.intent, 'like-song');
+    assert.equal(debug.likeSong.artist, served.artist);
+    assert.equal(debug.likeSong.inCollection, 1);
+    assert.notEqual(song.artist, served.artist);
+  });
+
+  test('a track outside the collection is described by the model', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'something like Femme Fatale Demo by Nico', debug: true })
+      .expect(200);
+    assert.equal(body.debug.intent, 'like-song');
+    assert.equal(body.debug.likeSong.inCollection, 0);
+    assert.ok(body.debug.likeSong.traits.length);
+    assert.notEqual(body.song.artist, 'Nico');
+  });
+
+  test('"somewhere between Nico and Burial" blends both and returns neither', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'somewhere between Nico and Burial', debug: true })
+      .expect(200);
+    assert.equal(body.debug.intent, 'blend');
+    assert.deepEqual(body.debug.blend.map(r => [r.name, r.source, r.weight]), [['Nico', 'artist', 0.5], ['Burial', 'artist', 0.5]]);
+    assert.ok(!['Nico', 'Burial'].includes(body.song.artist));
+  });
+
+  test('percentages weight the blend toward one side', async () => {
+    const towards = (picked, artist) => {
+      const s = songs.find(x => sameSong(x, picked));
+      return traitSimilarity(s.traits, averageVector(songs.filter(x => x.artist === artist)));
+    };
+    mock.method(Math, 'random', () => 0);
+    try {
+      const mostlyPortishead = await visitor()('90% Portishead 10% Otis Redding', {}, { 'X-Debug': '1' });
+      const mostlyOtis = await visitor()('10% Portishead 90% Otis Redding');
+      assert.equal(mostlyPortishead.debug.intent, 'blend');
+      assert.deepEqual(mostlyPortishead.debug.blend.map(r => r.weight), [0.9, 0.1]);
+      assert.ok(towards(mostlyPortishead.song, 'Portishead') > towards(mostlyOtis.song, 'Portishead'));
+      assert.ok(towards(mostlyOtis.song, 'Otis Redding') > towards(mostlyPortishead.song, 'Otis Redding'));
+    } finally {
+      Math.random.mock.restore();
+    }
+  });
+
+  test('a blend of traits alone is an ordinary search', async () => {
+    const { debug } = await visitor()('something between chill and upbeat', {}, { 'X-Debug': '1' });
+    assert.notEqual(debug.intent, 'blend');
+  });
+
+  test('artist name returns one of their songs', async () => {
+    const body = await visitor()('portishead');
+    assert.equal(body.song.artist, 'Portishead');
+  });
+
+  test('gibberish offers genre suggestions', async () => {
+    const body = await visitor()('xqzvv blorp');
+    assert.equal(body.song, null);
+    assert.equal(body.interrupt.type, 'genre_suggest');
+    assert.match(body.interrupt.message, /anything related to "xqzvv blorp"/);
+  });
+
+  test('hard no-match genres are refused', async () => {
+    const body = await visitor()('christmas jazz');
+    assert.equal(body.song, null);
+    assert.match(body.interrupt.message, /No holiday music/);
+  });
+
+  test('"but" modifier still honours the genre gate', async () => {
+    const body = await visitor()('jazz but upbeat');
+    const song = songs.find(s => sameSong(s, body.song));
+    assert.ok(song.traits['genre:jazz'] >= 0.5);
+  });
+
+  test('"folk but not sad" leaves out melancholic songs', async () => {
+    for (let i = 0; i < 5; i++) {
+      const body = await visitor()('folk but not sad');
+      const song = songs.find(s => sameSong(s, body.song));
+      assert.ok(song.traits['genre:folk'] >= 0.5);
+      assert.ok(!(song.traits['mood:melancholic'] >= 0.5), `${song.title} is melancholic`);
+    }
+  });
+
+  test('"anything except electronic" serves something that isn\'t', async () => {
+    const body = await visitor()('anything except electronic');
+    const song = songs.find(s => sameSong(s, body.song));
+    assert.ok(!(song.traits['genre:electronic'] >= 0.5), `${song.title} is electronic`);
+  });
+
+  test('"no christmas stuff" is not a request for Christmas music', async () => {
+    const body = await visitor()('jazz, no christmas stuff');
+    assert.ok(body.song);
+  });
+
+  test('"but" shifts the anchor toward traits it didn\'t have', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'soul but weirder', debug: true })
+      .expect(200);
+    assert.deepEqual(body.debug.search.but, { anchor: 'soul', clause: 'weirder' });
+    assert.deepEqual(body.debug.search.shift, { 'mood:playful': 1 });
+    assert.deepEqual(body.debug.gates.required, ['genre:soul']);
+    const song = songs.find(s => sameSong(s, body.song));
+    assert.ok(song.traits['genre:soul'] >= 0.5);
+  });
+
+  test('"less polished" scores lush songs down', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'jazz but less polished', debug: true })
+      .expect(200);
+    assert.deepEqual(body.debug.search.shift, { 'texture:lush': -1 });
+    const lush = body.debug.candidates.filter(c => c.breakdown['texture:lush'] !== undefined);
+    assert.ok(lush.every(c => c.breakdown['texture:lush'] < 0));
+  });
+
+  test('a year range filters on the song\'s year, with the genre gate', async () => {
+    for (let i = 0; i < 3; i++) {
+      const body = await visitor()('jazz before 1960');
+      const song = songs.find(s => sameSong(s, body.song));
+      assert.ok(parseInt(song.year) < 1960, `${song.title} is from ${song.year}`);
+      assert.ok(song.traits['genre:jazz'] >= 0.5);
+    }
+  });
+
+  test('a year range on its own is enough to search on', async () => {
+    const body = await visitor()('something from the late 70s');
+    const song = songs.find(s => sameSong(s, body.song));
+    const year = parseInt(song.year); // a string in most of songs.json, a number in some
+    assert.ok(year >= 1977 && year <= 1979, `${song.title} is from ${song.year}`);
+  });
+
+  test('scored match respects the origin gate', async () => {
+    const body = await visitor()('k-pop');
+    const song = songs.find(s => sameSong(s, body.song));
+    assert.ok(song.traits['origin:korea'] >= 0.5 || song.traits['genre:k-pop'] >= 0.5);
+  });
+});
+
+describe('keystones', () => {
+  test('withheld until 3 songs from the cluster have been served', async () => {
+    for (const plays of [0, 1, 2]) {
+      const chat = visitor();
+      for (let i = 0; i < plays; i++) assert.equal((await chat.invoke('C2')).song.cluster, 'C2');
+      const body = await chat(NIGHT_QUERY);
+      assert.ok(body.song);
+      assert.ok(!isKeystone(body.song), `${plays} C2 plays served ${body.song.title}`);
+      assert.equal(body.groove, null);
+    }
+  });
+
+  test('returned once the server has counted 3 plays', async () => {
+    const chat = visitor();
+    for (let i = 0; i < 3; i++) await chat.invoke('C2');
+    const body = await chat(NIGHT_QUERY);
+    assert.ok(sameSong(body.song, KEYSTONES.find(k => k.cluster === 'C2')));
+    assert.equal(body.groove.cluster, 'C2');
+  });
+
+  test('a favourite from the collection counts as a play', async () => {
+    const chat = visitor();
+    const favorite = await chat.favorite('Andy Stott'); // Lost and Found, a C2 song
+    assert.ok(sameSong(favorite.song, songById('0006')));
+    await chat.invoke('C2');
+    await chat.invoke('C2');
+    const body = await chat(NIGHT_QUERY);
+    assert.ok(sameSong(body.song, KEYSTONES.find(k => k.cluster === 'C2')));
+  });
+
+  test('client-supplied counts and unlocks are ignored', async () => {
+    const body = await visitor()(NIGHT_QUERY, { clusterCounts: { C2: 99 }, unlockedClusters: ['C2'] });
+    assert.ok(!isKeystone(body.song));
+    assert.equal(body.groove, null);
+  });
+
+  test('invoking a zone never hands out its locked keystone', async () => {
+    const chat = visitor();
+    const c2 = songs.filter(s => s.cluster === 'C2').length;
+    for (let i = 0; i < c2; i++) {
+      const body = await chat.invoke('C2');
+      if (!body.song) break;
+      // Past the threshold the next invoke returns the keystone on purpose
+      if (i < 3) assert.equal(body.groove, null);
+    }
+  });
+});
+
+describe('debug trace', () => {
+  test('only sent when asked for', async () => {
+    const body = await visitor()(NIGHT_QUERY);
+    assert.equal(body.debug, undefined);
+  });
+
+  test('never sent to an anonymous visitor in production', async () => {
+    delete process.env.ALLOW_DEBUG_TRACE;
+    try {
+      const body = await visitor()(NIGHT_QUERY, { debug: true }, { 'X-Debug': '1' });
+      assert.ok(body.song);
+      assert.equal(body.debug, undefined);
+      process.env.ADMIN_TOKEN = 'test-token';
+      const admin = await visitor()(NIGHT_QUERY, {}, { 'X-Debug': '1', Authorization: 'Bearer test-token' });
+      assert.ok(admin.debug.intent);
+    } finally {
+      process.env.ALLOW_DEBUG_TRACE = '1';
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+
+  test('reports the intent, search, gates, candidates and withheld keystones', async () => {
+    const chat = visitor();
+    await chat.invoke('C2');
+    const body = await chat(NIGHT_QUERY, {}, { 'X-Debug': '1' });
+    const { debug } = body;
+    assert.equal(debug.intent, 'scored-match');
+    assert.equal(debug.intents.at(-1).intent, 'scored-match');
+    assert.ok(debug.intents.some(t => t.intent === 'play-title' && !t.matched));
+    assert.equal(debug.search.traitTargets['origin:uk'], 1);
+    assert.deepEqual(debug.gates.required.sort(), ['genre:electronic', 'origin:uk']);
+    assert.ok(debug.gates.passingAll > 0);
+
+    const top = debug.candidates[0];
+    const total = Object.values(top.breakdown).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(total - top.score) < 0.05, 'breakdown adds up to the score');
+    assert.ok(debug.candidates.some(c => sameSong(c, body.song)));
+
+    const untrue = debug.withheldKeystones.find(k => k.title === 'Untrue');
+    assert.match(untrue.reason, /1\/3 plays/);
+    assert.equal(debug.keystoneUnlock.fired, false);
+    assert.equal(debug.keystones.find(k => k.cluster === 'C2').status, 'locked (1/3)');
+  });
+
+  test('exclusions show up in the search, not as a "but" modifier', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'folk but not sad', debug: true })
+      .expect(200);
+    assert.deepEqual(body.debug.search.excludedTraits, ['mood:melancholic']);
+    assert.equal(body.debug.search.traitTargets['mood:melancholic'], undefined);
+    assert.equal(body.debug.search.shift, null);
+  });
+
+  test('gate results count the songs each gate lets through', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .send({ message: 'k-pop', debug: true })
+      .expect(200);
+    assert.equal(body.debug.intent, 'scored-match');
+    assert.ok(body.debug.gates.passingAll < body.debug.gates.pool);
+  });
+
+  test('fast paths trace without a search', async () => {
+    const { body } = await request(app)
+      .post('/api/chat')
+      .set('X-Debug', '1')
+      .send({ message: 'who are you' })
+      .expect(200);
+    assert.equal(body.debug.intent, 'off-script');
+    assert.equal(body.debug.search, undefined);
+  });
+});
+
+describe('refinements', () => {
+  const DEBUG = { 'X-Debug': '1' };
+  const traitsOf = picked => songs.find(s => sameSong(s, picked)).traits;
+
+  test('"more upbeat" steers the last search instead of repeating the last song', async () => {
+    const chat = visitor();
+    await chat('melancholic jazz');
+    const { debug, song } = await chat('more upbeat', {}, DEBUG);
+    assert.equal(debug.intent, 'scored-match');
+    assert.equal(debug.search.refined.clause, 'more upbeat');
+    assert.deepEqual(debug.search.shift, { 'mood:joyful': 1 });
+    assert.ok(traitsOf(song)['genre:jazz'] >= 0.5);
+  });
+
+  test('"same but Korean" swaps the origin and keeps the genre', async () => {
+    const chat = visitor();
+    await chat('hip-hop');
+    const { song } = await chat('same but Korean');
+    assert.ok(traitsOf(song)['genre:hip-hop'] >= 0.5);
+    assert.ok(traitsOf(song)['origin:korea'] >= 0.5);
+  });
+
+  test('"older" steps the era back, and a dead end isn\'t built on', async () => {
+    const chat = visitor();
+    await chat('70s jazz');
+    const older = await chat('older', {}, DEBUG);
+    assert.deepEqual(older.debug.search.keywords, ['genre:jazz', 'era:60s']);
+
+    const miss = await chat('same but Brazilian');
+    assert.equal(miss.song, null);
+    const next = await chat('darker', {}, DEBUG);
+    assert.deepEqual(next.debug.search.keywords, ['genre:jazz', 'era:60s']);
+  });
+
+  test('"older" on a year range moves the range back a decade', async () => {
+    const chat = visitor();
+    await chat('jazz from 1970-1979');
+    const { debug, song } = await chat('older', {}, DEBUG);
+    assert.equal(debug.search.years, '1960–1969');
+    const year = parseInt(songs.find(s => sameSong(s, song)).year);
+    assert.ok(year >= 1960 && year <= 1969);
+  });
+
+  test('a follow-up after a song picked by title is anchored on that song', async () => {
+    const chat = visitor();
+    await chat(`play me ${songById('0669').title}`);
+    const { debug } = await chat('darker', {}, DEBUG);
+    assert.ok(debug.search.keywords.includes('genre:jazz'));
+    assert.deepEqual(debug.search.shift, { 'mood:dark': 1 });
+  });
+});
+
+describe('diversity', () => {
+  test('the pick is weighted away from the artist just served', async () => {
+    const chat = visitor();
+    const first = await chat('play me ' + songById('0252').title);
+    const { debug } = await chat('surprise me', {}, { 'X-Debug': '1' });
+    assert.ok(debug.pick.length);
+    for (const p of debug.pick) {
+      if (p.artist === first.song.artist) assert.ok(p.diversity <= 0.4, `${p.title} ${p.diversity}`);
+    }
+    assert.ok(debug.pick.every(p => p.weight <= 1));
+  });
+
+  // The "same again" buttons pick from the songs within 15% of the best score, not
+  // just the exact top — so the diversity weighting has near-top songs to weigh
+  const sameAgain = [
+    ['more of that energy', ['0011']],
+    ['keep this vibe', ['0012', '0550']],      // the last artist is filtered out, the one before is weighed down
+    ['more like this', ['0012', '0550']],
+  ];
+  for (const [message, played] of sameAgain) {
+    test(`"${message}" weighs near-top songs by a recent artist down`, async () => {
+      const chat = visitor();
+      for (const id of played) await chat(`play me ${songById(id).title} by ${songById(id).artist}`);
+      const { debug } = await chat(message, {}, { 'X-Debug': '1' });
+      const top = Math.max(...debug.pick.map(p => p.score));
+      assert.ok(debug.pick.every(p => p.score >= top * 0.85 - 0.01));
+      assert.ok(debug.pick.some(p => p.score < top), 'near-top songs are in the pick, not only ties');
+      const repeats = debug.pick.filter(p => p.artist === songById(played[0]).artist);
+      assert.ok(repeats.length);
+      for (const p of repeats) assert.ok(p.diversity <= 0.4, `${p.title} ${p.diversity}`);
+    });
+  }
+});
+
+describe('visitor profiles', () => {
+  const DEBUG = { 'X-Debug': '1' };
+  // Profiles are written once the response has gone out
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  test('a return visit scores songs from the last one down', async () => {
+    const chat = visitor();
+    const first = await chat('melancholic jazz');
+    await settle();
+    const second = await visitor(chat.visitorId())('melancholic jazz', {}, DEBUG);
+    assert.ok(!sameSong(second.song, first.song));
+    const again = second.debug.candidates.find(c => sameSong(c, first.song));
+    if (again) assert.ok(again.breakdown['× recency'] < 0.2);
+  });
+
+  test('taste and unlocked zones carry over to the next visit', async () => {
+    const chat = visitor();
+    for (let i = 0; i < 3; i++) await chat.invoke('C2');
+    assert.equal((await chat(NIGHT_QUERY)).groove.cluster, 'C2');
+    await chat('love this');
+    await settle();
+
+    const { debug } = await visitor(chat.visitorId())('hello there', {}, DEBUG);
+    assert.ok(Object.keys(debug.taste.traits).length);
+    assert.equal(debug.keystones.find(k => k.cluster === 'C2').status, 'unlocked');
+  });
+
+  test('groove-reset clears unlocks for the visitor but keeps the id and taste', async () => {
+    const chat = visitor();
+    for (let i = 0; i < 3; i++) await chat.invoke('C2');
+    assert.equal((await chat(NIGHT_QUERY)).groove.cluster, 'C2');
+    await chat('love this');
+    await settle();
+    const id = chat.visitorId();
+
+    assert.match((await chat.grooveReset()).response, /unlocked zones cleared/);
+    assert.equal(chat.visitorId(), id);
+    await settle();
+
+    const next = visitor(id);
+    const { debug } = await next('hello there', {}, DEBUG);
+    assert.equal(next.visitorId(), id);
+    assert.match(debug.keystones.find(k => k.cluster === 'C2').status, /^locked \(0\/3\)/);
+    assert.ok(Object.keys(debug.taste.traits).length, 'taste survives the reset');
+  });
+
+  test('visitor ids are issued by the server — a made-up or guessed one starts fresh', async () => {
+    const chat = visitor();
+    for (let i = 0; i < 3; i++) await chat.invoke('C2');
+    assert.equal((await chat(NIGHT_QUERY)).groove.cluster, 'C2');
+    await settle();
+    assert.match(chat.visitorId(), UUID_RE);
+
+    const stranger = visitor('v_made_up');
+    const { debug } = await stranger('hello there', {}, DEBUG);
+    assert.notEqual(stranger.visitorId(), 'v_made_up');
+    assert.match(stranger.visitorId(), UUID_RE);
+    assert.match(debug.keystones.find(k => k.cluster === 'C2').status, /^locked/);
+  });
+
+  test('welcome-back greets with context only when there is some', async () => {
+    assert.equal((await visitor('v_new').welcomeBack()).response, 'Thanks for coming back. What are you looking for?');
+    assert.equal((await visitor().welcomeBack()).response, 'Thanks for coming back. What are you looking for?');
+
+    const chat = visitor();
+    await chat('melancholic jazz');
+    await chat('love this');
+    await settle();
+    const { response } = await visitor(chat.visitorId()).welcomeBack();
+    assert.match(response, /^(Back for more|You again)/);
+  });
+});
+
+describe('exhaustion', () => {
+  test('a narrow query runs out along those lines', async () => {
+    const chat = visitor();
+    const seen = new Set();
+    let body;
+    for (let i = 0; i < 50; i++) {
+      body = await chat('k-pop');
+      if (!body.song) break;
+      const key = `${body.song.title}|${body.song.artist}`;
+      assert.ok(!seen.has(key), `${key} served twice`);
+      seen.add(key);
+    }
+    assert.ok(seen.size > 1);
+    assert.equal(body.song, null);
+    assert.match(body.response, /played everything along those lines/);
+  });
+
+  test('every song gets played — keystones only after 3 from their cluster', async () => {
+    const chat = visitor();
+    const plays = {};
+    let served = 0;
+    let body;
+    for (let i = 0; i <= songs.length; i++) {
+      body = await chat('surprise me');
+      if (!body.song) break;
+      const { cluster } = body.song;
+      if (isKeystone(body.song)) {
+        assert.ok((plays[cluster] || 0) >= 3, `${body.song.title} served after ${plays[cluster] || 0} ${cluster} plays`);
+      }
+      if (cluster) plays[cluster] = (plays[cluster] || 0) + 1;
+      served++;
+    }
+    assert.equal(served, songs.length);
+    assert.match(body.response, /whole collection/);
+  });
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diversityWeight, similarity } = require('../lib/diversity');
+
+const song = (artist, cluster, year, origin) => ({
+  artist, cluster, year: String(year), traits: origin ? { [`origin:${origin}`]: 1 } : {},
+});
+
+const NICO = song('Nico', 'C6', 1967, 'germany');
+const VU = song('The Velvet Underground', 'C6', 1967, 'us');
+const BURIAL = song('Burial', 'C2', 2007, 'uk');
+
+test('similarity adds up shared artist, zone, decade and origin', () => {
+  assert.equal(similarity(NICO, NICO), 1);
+  assert.ok(Math.abs(similarity(NICO, VU) - 0.3) < 1e-9); // zone + decade
+  assert.equal(similarity(NICO, BURIAL), 0);
+});
+
+test('the most recent song weighs most, older ones fade', () => {
+  const another = song('Nico', 'C8', 1974);
+  assert.ok(diversityWeight(another, [NICO]) < diversityWeight(another, [BURIAL, NICO]));
+  assert.ok(diversityWeight(another, [BURIAL, NICO]) < diversityWeight(another, [BURIAL, BURIAL, BURIAL, NICO]));
+  assert.equal(diversityWeight(another, []), 1);
+});
+
+test('only the last five songs count, and the weight never reaches zero', () => {
+  assert.equal(diversityWeight(NICO, [BURIAL, BURIAL, BURIAL, BURIAL, BURIAL, NICO]), 1);
+  assert.equal(diversityWeight(NICO, [NICO]), 0.05);
+});
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// =====================
+// SERVER TEST ENVIRONMENT
+// Every test that requires ../server calls serverEnv() first. The offline local
+// provider, sessions and visitors in memory, no catalog report, the rate limit
+// lifted, no notification channels — and every file the app writes goes to a
+// fresh temp dir, never data/.
+//   const tmpDir = serverEnv({ CHAT_RATE_LIMIT: '3' }); // overrides win
+// The node test runner loads this file as a test too, so it does nothing until called.
+// =====================
+
+function serverEnv(overrides = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'efrain-test-'));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'local',
+    SESSION_STORE: 'memory',
+    SONGS_VALIDATION: 'off',
+    CHAT_RATE_LIMIT: '100000',
+    NOTIFY_CHANNELS: '',
+    LISTENING_LOG: path.join(tmpDir, 'listening.jsonl'),
+    UNLOCK_LOG: path.join(tmpDir, 'unlocks.jsonl'),
+    FAVORITES_FILE: path.join(tmpDir, 'favorites.json'),
+    NOTIFY_OUTBOX: path.join(tmpDir, 'outbox.jsonl'),
+  }, overrides);
+  process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  return tmpDir;
+}
+
+module.exports = { serverEnv };
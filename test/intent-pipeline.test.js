@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIntentPipeline } = require('../lib/intent-pipeline');
+
+const reply = text => () => ({ response: text, song: null });
+
+test('runs intents lowest priority first, whatever order they were registered in', async () => {
+  const pipeline = createIntentPipeline()
+    .register({ name: 'late', priority: 20, handle: reply('late') })
+    .register({ name: 'early', priority: 10, handle: reply('early') });
+  assert.deepEqual(pipeline.list().map(i => i.name), ['early', 'late']);
+  const { intent, payload } = await pipeline.run({});
+  assert.equal(intent, 'early');
+  assert.equal(payload.response, 'early');
+});
+
+test('equal priorities keep registration order', () => {
+  const pipeline = createIntentPipeline()
+    .register({ name: 'a', priority: 10, handle: reply('a') })
+    .register({ name: 'b', priority: 10, handle: reply('b') });
+  assert.deepEqual(pipeline.list().map(i => i.name), ['a', 'b']);
+});
+
+test('passes the match result to the handler', async () => {
+  const pipeline = createIntentPipeline().register({
+    name: 'echo',
+    priority: 10,
+    match: ctx => ctx.message.match(/^say (.+)$/),
+    handle: (ctx, m) => ({ response: m[1] }),
+  });
+  assert.equal((await pipeline.run({ message: 'say hi' })).payload.response, 'hi');
+  assert.equal((await pipeline.run({ message: 'hello' })).intent, null);
+});
+
+test('a handler returning null falls through, and the trace records it', async () => {
+  const pipeline = createIntentPipeline()
+    .register({ name: 'skipped', priority: 10, match: () => false, handle: reply('never') })
+    .register({ name: 'passes', priority: 20, match: async () => true, handle: async () => null })
+    .register({ name: 'answers', priority: 30, handle: reply('ok') })
+    .register({ name: 'unreached', priority: 40, handle: reply('nope') });
+  const { intent, trace } = await pipeline.run({});
+  assert.equal(intent, 'answers');
+  assert.deepEqual(trace.map(({ intent, matched, handled }) => [intent, matched, handled]), [
+    ['skipped', false, false],
+    ['passes', true, false],
+    ['answers', true, true],
+  ]);
+});
+
+test('unregister and get', async () => {
+  const pipeline = createIntentPipeline()
+    .register({ name: 'first', priority: 10, handle: reply('first') })
+    .register({ name: 'second', priority: 20, handle: reply('second') });
+  assert.equal(pipeline.get('second').priority, 20);
+  assert.equal(pipeline.unregister('first'), true);
+  assert.equal(pipeline.unregister('first'), false);
+  assert.equal(pipeline.get('first'), null);
+  assert.equal((await pipeline.run({})).intent, 'second');
+});
+
+test('rejects malformed intents', () => {
+  const pipeline = createIntentPipeline().register({ name: 'taken', priority: 10, handle: reply('x') });
+  assert.throws(() => pipeline.register({ priority: 10, handle: reply('x') }), /needs a name/);
+  assert.throws(() => pipeline.register({ name: 'taken', priority: 20, handle: reply('x') }), /already registered/);
+  assert.throws(() => pipeline.register({ name: 'x', handle: reply('x') }), /numeric priority/);
+  assert.throws(() => pipeline.register({ name: 'x', priority: 10, match: true, handle: reply('x') }), /match must be a function/);
+  assert.throws(() => pipeline.register({ name: 'x', priority: 10 }), /handle function/);
+});
@@ -0,0 +1,120 @@
+// =====================
+// EXTRACTION CACHE
+// lib/llm/cache around a provider that counts its calls, then the file store
+// and the artist seed against the local provider. Cache files go to a temp dir.
+// =====================
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withExtractionCache, seedArtistTraits, normalizeInput } = require('../lib/llm/cache');
+const { createCachedLLM } = require('../lib/llm');
+const { createTtlStore } = require('../lib/ttl-store');
+const { parseTraitArray } = require('../lib/llm/anthropic');
+const { songs } = require('../data/songs.json');
+
+mock.method(console, 'log', () => {});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'efrain-llm-cache-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function countingProvider() {
+  const calls = [];
+  return {
+    calls,
+    name: 'counting',
+    extractKeywords: async message => { calls.push(message); return ['mood:chill']; },
+    extractArtistTraits: async name => { calls.push(name); return name === 'Nobody' ? [] : ['genre:trip-hop']; },
+    classifyShortMessage: async () => 'SEARCH',
+  };
+}
+
+test('repeat phrases are answered from the cache, whatever their case and spacing', async () => {
+  const provider = countingProvider();
+  const llm = withExtractionCache(provider, { store: createTtlStore() });
+  assert.deepEqual(await llm.extractKeywords('something chill'), ['mood:chill']);
+  assert.deepEqual(await llm.extractKeywords('  Something   CHILL!'), ['mood:chill']);
+  await llm.extractArtistTraits('Portishead');
+  await llm.extractArtistTraits('portishead');
+  assert.deepEqual(await llm.extractArtistTraits('Nobody'), []);
+  await llm.extractArtistTraits('nobody');
+  assert.deepEqual(provider.calls, ['something chill', 'Portishead', 'Nobody']);
+  assert.deepEqual(llm.cache.stats(), { entries: 3, hits: 3, misses: 3 });
+  assert.equal(await llm.classifyShortMessage('ok'), 'SEARCH', 'everything else passes through');
+});
+
+test('changing a returned answer leaves the cached one alone', async () => {
+  const llm = withExtractionCache(countingProvider(), { store: createTtlStore() });
+  (await llm.extractKeywords('soul')).push('mystic');
+  const hit = await llm.extractKeywords('soul');
+  assert.deepEqual(hit, ['mood:chill']);
+  hit.push('mystic');
+  assert.deepEqual(await llm.extractKeywords('soul'), ['mood:chill']);
+});
+
+test('entries past the TTL are asked again, and the store stays bounded', async () => {
+  const provider = countingProvider();
+  let now = 0;
+  const llm = withExtractionCache(provider, { store: createTtlStore({ maxEntries: 2 }), ttlMs: 1000, now: () => now });
+  await llm.extractArtistTraits('Nico');
+  now = 999;
+  await llm.extractArtistTraits('Nico');
+  now = 1000;
+  await llm.extractArtistTraits('Nico');
+  assert.equal(provider.calls.length, 2);
+  await llm.extractArtistTraits('Burial');
+  await llm.extractArtistTraits('Portishead');
+  assert.equal(llm.cache.stats().entries, 2);
+});
+
+test('a failed call is not cached', async () => {
+  const provider = countingProvider();
+  provider.extractArtistTraits = async () => { throw new Error('overloaded'); };
+  const llm = withExtractionCache(provider, { store: createTtlStore() });
+  await assert.rejects(llm.extractArtistTraits('Nico'), /overloaded/);
+  assert.equal(llm.cache.has('artist', 'Nico'), false);
+});
+
+test('a reply that is not a list is a failed call, an empty list is an answer', async () => {
+  assert.deepEqual(parseTraitArray('Sure! ["Mood:Dark", "era:90s"]', 'Keyword'), ['mood:dark', 'era:90s']);
+  assert.deepEqual(parseTraitArray('[]', 'Artist trait'), []);
+  for (const garbage of ['I am not sure who that is.', '["mood:dark", era:90s]', '[1, 2]']) {
+    assert.throws(() => parseTraitArray(garbage, 'Artist trait'), /not a JSON array/, garbage);
+  }
+
+  let reply = 'Hmm, no idea.';
+  const provider = countingProvider();
+  provider.extractArtistTraits = async name => { provider.calls.push(name); return parseTraitArray(reply, 'Artist trait'); };
+  const llm = withExtractionCache(provider, { store: createTtlStore() });
+  await assert.rejects(llm.extractArtistTraits('Nico'), /not a JSON array/);
+  assert.equal(llm.cache.has('artist', 'Nico'), false);
+  reply = '[]';
+  assert.deepEqual(await llm.extractArtistTraits('Nico'), []);
+  assert.deepEqual(await llm.extractArtistTraits('Nico'), []);
+  assert.deepEqual(provider.calls, ['Nico', 'Nico'], 'the garbage reply was asked again, the [] was not');
+});
+
+test('the file cache survives a restart and the seed covers every catalog artist', async () => {
+  const file = path.join(tmpDir, 'llm-cache.json');
+  const options = { provider: 'local', getSongs: () => songs, mode: 'file', file };
+  const artists = new Set(songs.map(s => s.artist)).size;
+  // Names that differ only in case or accents share an entry
+  const keys = new Set(songs.map(s => normalizeInput(s.artist))).size;
+
+  const first = createCachedLLM(options);
+  assert.deepEqual(await seedArtistTraits(first, songs), { artists, asked: keys });
+  assert.ok(fs.existsSync(file));
+
+  const second = createCachedLLM(options);
+  assert.equal(second.cache.stats().entries, keys);
+  assert.deepEqual(await seedArtistTraits(second, songs), { artists, asked: 0 });
+  assert.deepEqual(await second.extractArtistTraits('Portishead'), await first.extractArtistTraits('Portishead'));
+  assert.equal(second.cache.stats().misses, 0);
+  assert.equal((await seedArtistTraits(second, songs.slice(0, 1), { force: true })).asked, 1);
+});
+
+test('the local provider is not cached unless asked to be', () => {
+  assert.equal(createCachedLLM({ provider: 'local', getSongs: () => songs }).cache, undefined);
+  assert.throws(() => createCachedLLM({ provider: 'local', mode: 'redis' }), /Unknown LLM_CACHE/);
+});
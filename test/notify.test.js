@@ -0,0 +1,173 @@
+const { describe, test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createNotifier, channelsFromEnv } = require('../lib/notify');
+const { createOutboxChannel } = require('../lib/notify/outbox');
+const { createSmtpChannel } = require('../lib/notify/smtp');
+const { createWebhookChannel } = require('../lib/notify/webhook');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'efrain-notify-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const entry = (visitorId, cluster = 'C2', label = 'Night') => ({
+  visitorId, cluster, label,
+  inputThatTriggered: '<b>late</b> night',
+  unlockedAt: '2025-01-01T05:00:00Z',
+  firstSessionStart: '2025-01-01T04:50:00Z',
+  totalUnlocks: 1,
+  allUnlocks: [label],
+});
+
+// A channel that fails the first `failures` sends
+function flaky(failures, { permanent = false } = {}) {
+  const sent = [];
+  return {
+    name: 'flaky',
+    sent,
+    async send(message) {
+      if (failures-- > 0) throw Object.assign(new Error('down'), { permanent });
+      sent.push(message);
+    },
+  };
+}
+
+describe('notifier', () => {
+  test('sends one message per unlock, with browser input escaped in html', async () => {
+    const file = path.join(tmpDir, 'immediate.jsonl');
+    const notifier = createNotifier({ channels: [createOutboxChannel({ file })] });
+    const [result] = await notifier.notify(entry('v1'));
+    assert.deepEqual(result, { channel: 'outbox', ok: true, attempts: 1 });
+
+    const [message] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.equal(message.kind, 'unlock');
+    assert.equal(message.subject, '// Night unlocked — efrain.fm');
+    assert.match(message.html, /&lt;b&gt;late&lt;\/b&gt; night/);
+    assert.doesNotMatch(message.html, /<b>late/);
+    assert.deepEqual(message.unlocks, [entry('v1')]);
+  });
+
+  test('retries with backoff, and stops at a permanent error', async () => {
+    const recovers = flaky(2);
+    assert.deepEqual(await createNotifier({ channels: [recovers], retryDelayMs: 0 }).notify(entry('v1')),
+      [{ channel: 'flaky', ok: true, attempts: 3 }]);
+    assert.equal(recovers.sent.length, 1);
+
+    const [givesUp] = await createNotifier({ channels: [flaky(10)], retries: 2, retryDelayMs: 0 }).notify(entry('v1'));
+    assert.equal(givesUp.ok, false);
+    assert.equal(givesUp.attempts, 3);
+
+    const [permanent] = await createNotifier({ channels: [flaky(10, { permanent: true })], retryDelayMs: 0 }).notify(entry('v1'));
+    assert.equal(permanent.attempts, 1);
+  });
+
+  test('one failing channel does not stop the others', async () => {
+    const ok = flaky(0);
+    const results = await createNotifier({ channels: [flaky(10, { permanent: true }), ok], retryDelayMs: 0 }).notify(entry('v1'));
+    assert.deepEqual(results.map(r => r.ok), [false, true]);
+    assert.equal(ok.sent.length, 1);
+  });
+
+  test('digest mode batches unlocks into one summary', async () => {
+    const channel = flaky(0);
+    const notifier = createNotifier({ channels: [channel], digest: 'hourly' });
+    await notifier.notify(entry('v1'));
+    await notifier.notify(entry('v2', 'C5', 'Soul'));
+    await notifier.notify(entry('v1', 'C1', 'Outsider'));
+    assert.equal(channel.sent.length, 0);
+    assert.equal(notifier.pending, 3);
+
+    await notifier.flush();
+    notifier.stop();
+    assert.equal(notifier.pending, 0);
+    const [digest] = channel.sent;
+    assert.equal(digest.kind, 'digest');
+    assert.equal(digest.subject, '// 3 unlocks from 2 visitors — efrain.fm hourly digest');
+    assert.equal(digest.unlocks.length, 3);
+    assert.deepEqual(await notifier.flush(), []);
+  });
+
+  test('a digest nobody received is kept for the next flush', async () => {
+    const channel = flaky(1, { permanent: true });
+    const notifier = createNotifier({ channels: [channel], digest: 'daily' });
+    await notifier.notify(entry('v1'));
+    await notifier.flush();
+    assert.equal(notifier.pending, 1);
+    await notifier.notify(entry('v2'));
+    await notifier.flush();
+    notifier.stop();
+    assert.equal(channel.sent[0].unlocks.length, 2);
+  });
+
+  test('a digest that keeps failing holds only the newest unlocks, and says how many it dropped', async () => {
+    const channel = flaky(3, { permanent: true });
+    const notifier = createNotifier({ channels: [channel], digest: 'daily', maxPending: 2 });
+    await notifier.notify(entry('v1'));
+    await notifier.notify(entry('v2'));
+    await notifier.notify(entry('v3'));
+    assert.equal(notifier.pending, 2);
+    await notifier.flush();
+    await notifier.notify(entry('v4'));
+    await notifier.flush();
+    assert.deepEqual([notifier.pending, notifier.dropped], [2, 2]);
+
+    await notifier.flush(); // third failure
+    await notifier.flush();
+    notifier.stop();
+    assert.deepEqual([notifier.pending, notifier.dropped], [0, 0]);
+    const digest = channel.sent.at(-1);
+    assert.deepEqual(digest.unlocks.map(e => e.visitorId), ['v3', 'v4']);
+    assert.equal(digest.dropped, 2);
+    assert.match(digest.text, /2 older unlocks not listed/);
+  });
+
+  test('rejects an unknown digest period', () => {
+    assert.throws(() => createNotifier({ digest: 'weekly' }), /Unknown NOTIFY_DIGEST/);
+  });
+});
+
+describe('channels', () => {
+  test('smtp hands nodemailer a complete email', async () => {
+    const smtp = createSmtpChannel({ to: 'owner@example.com', from: 'efrain.fm <fm@example.com>', transport: { jsonTransport: true } });
+    const info = await smtp.send({ subject: 'hi', text: 'plain', html: '<p>rich</p>' });
+    const mail = JSON.parse(info.message);
+    assert.equal(mail.subject, 'hi');
+    assert.deepEqual(mail.to.map(a => a.address), ['owner@example.com']);
+    assert.equal(mail.html, '<p>rich</p>');
+  });
+
+  test('webhook posts JSON, and a 4xx is permanent', async () => {
+    const received = [];
+    let status = 204;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => body += c);
+      req.on('end', () => { received.push(JSON.parse(body)); res.writeHead(status).end(); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const webhook = createWebhookChannel({ url: `http://127.0.0.1:${server.address().port}/hook` });
+      await webhook.send({ kind: 'unlock', subject: 's', text: 't', html: '<p>t</p>', unlocks: [entry('v1')] });
+      assert.deepEqual(Object.keys(received[0]), ['kind', 'subject', 'text', 'unlocks']);
+
+      status = 400;
+      await assert.rejects(webhook.send({ kind: 'unlock', unlocks: [] }), err => err.permanent === true);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('channelsFromEnv picks whatever is configured, or exactly what NOTIFY_CHANNELS names', () => {
+    const names = env => channelsFromEnv(env, { dataDir: tmpDir }).map(ch => ch.name);
+    assert.deepEqual(names({}), []);
+    assert.deepEqual(names({ RESEND_API_KEY: 'k', NOTIFY_EMAIL: 'a@b.c' }), ['resend']);
+    assert.deepEqual(names({ RESEND_API_KEY: 'k', NOTIFY_EMAIL: 'a@b.c', NOTIFY_WEBHOOK_URL: 'http://x', NOTIFY_CHANNELS: 'webhook, outbox' }), ['webhook', 'outbox']);
+    assert.throws(() => names({ NOTIFY_CHANNELS: 'pigeon' }), /Unknown notification channel "pigeon"/);
+    assert.throws(() => names({ NOTIFY_CHANNELS: 'smtp' }), /SMTP_HOST/);
+  });
+});
@@ -0,0 +1,25 @@
+// =====================
+// RATE LIMIT
+// Every route that can start a session shares the per-IP limit, so nobody can
+// fill the session store through the routes /api/chat doesn't cover.
+// =====================
+require('./helpers/server-env').serverEnv({ CHAT_RATE_LIMIT: '3' });
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+mock.method(console, 'log', () => {});
+
+const app = require('../server');
+
+test('the session routes share one limit', async () => {
+  await request(app).post('/api/invoke-cluster').send({ cluster: 'C2' }).expect(200);
+  await request(app).post('/api/welcome-back').send({}).expect(200);
+  await request(app).post('/api/chat').send({ message: 'who are you' }).expect(200);
+  const limited = await request(app).post('/api/invoke-cluster').send({ cluster: 'C2' }).expect(429);
+  assert.equal(limited.body.song, null);
+  assert.equal(limited.get('X-Session-Id'), undefined, 'no session is made for a refused request');
+  await request(app).post('/api/favorite').send({ input: 'Andy Stott' }).expect(429);
+  await request(app).post('/api/log').send({ cluster: 'C2' }).expect(429);
+});
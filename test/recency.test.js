@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { recencyWeight, weightedPick, DAY_MS, RECENCY_FLOOR } = require('../lib/recency');
+
+const NOW = Date.parse('2025-06-30T00:00:00Z');
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+
+test('weight climbs from the floor back to 1 across the window', () => {
+  const opts = { windowMs: 30 * DAY_MS, now: NOW };
+  assert.equal(recencyWeight(undefined, opts), 1);
+  assert.equal(recencyWeight(daysAgo(0), opts), RECENCY_FLOOR);
+  assert.ok(Math.abs(recencyWeight(daysAgo(15), opts) - 0.55) < 1e-9);
+  assert.equal(recencyWeight(daysAgo(30), opts), 1);
+  assert.equal(recencyWeight(daysAgo(400), opts), 1);
+  assert.equal(recencyWeight('not a date', opts), 1);
+});
+
+test('weightedPick draws in proportion to weight', () => {
+  const items = ['fresh', 'stale'];
+  const weight = item => (item === 'fresh' ? 0.9 : 0.1);
+  assert.equal(weightedPick(items, weight, () => 0.89), 'fresh');
+  assert.equal(weightedPick(items, weight, () => 0.91), 'stale');
+  assert.equal(weightedPick([], weight), null);
+  assert.equal(weightedPick(items, () => 0, () => 0.6), 'stale'); // all zero — plain random
+});
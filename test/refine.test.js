@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { refinementClause, refineQuery } = require('../lib/refine');
+
+test('picks out follow-ups and leaves fresh requests alone', () => {
+  assert.equal(refinementClause('Same but Brazilian'), 'brazilian');
+  assert.equal(refinementClause('slower than that'), 'slower');
+  assert.equal(refinementClause('and less polished please'), 'less polished');
+  assert.equal(refinementClause('darker'), 'darker');
+  assert.equal(refinementClause('a bit older'), 'a bit older');
+  assert.equal(refinementClause('more upbeat'), 'more upbeat');
+  assert.equal(refinementClause('make it a bit darker'), 'a bit darker');
+  assert.equal(refinementClause('now older'), 'older');
+  for (const fresh of ['jazz', 'older jazz', 'more', 'more like this', 'love this', 'not sad',
+    'now play some jazz', 'go wild', 'only the best', 'and what about Nico']) {
+    assert.equal(refinementClause(fresh), null, fresh);
+  }
+});
+
+test('a genre or origin replaces the anchor\'s, other traits pile up as shifts', () => {
+  const previous = { keywords: ['genre:hip-hop', 'korean', 'mood:dark'], shift: { 'energy:high': 1 } };
+  const next = refineQuery(previous, { keywords: ['origin:brazil', 'upbeat'], shift: { 'texture:lush': -1 } });
+  assert.deepEqual(next.keywords, ['genre:hip-hop', 'mood:dark', 'origin:brazil']);
+  assert.deepEqual(next.shift, { 'energy:high': 1, 'mood:joyful': 1, 'texture:lush': -1 });
+  assert.deepEqual(previous.keywords, ['genre:hip-hop', 'korean', 'mood:dark'], 'previous query untouched');
+});
+
+test('"older" and "newer" step through the eras from the anchor, or the last song', () => {
+  assert.deepEqual(refineQuery({ keywords: ['jazz', '70s'] }, { step: -1 }).keywords, ['jazz', 'era:60s']);
+  assert.deepEqual(refineQuery({ keywords: ['jazz'] }, { step: 1 }, { year: '1994' }).keywords, ['jazz', 'era:00s']);
+  assert.deepEqual(refineQuery({ keywords: ['jazz'] }, { step: -1 }, { year: '2021' }).keywords, ['jazz', 'era:10s']);
+  assert.deepEqual(refineQuery({ keywords: ['era:modern'] }, { step: 1 }).keywords, ['era:modern']);
+});
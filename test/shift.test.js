@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseShift, leadsWithShift } = require('../lib/shift');
+
+test('comparatives shift toward their trait', () => {
+  assert.deepEqual(parseShift('darker and a bit faster'), { shift: { 'mood:dark': 1, 'energy:high': 1 }, rest: '' });
+  assert.deepEqual(parseShift('slower').shift, { 'energy:low': 1 });
+});
+
+test('"more" and "less" take an alias or a comparative', () => {
+  assert.deepEqual(parseShift('less polished').shift, { 'texture:lush': -1 });
+  assert.deepEqual(parseShift('not as loud').shift, { 'energy:high': -1 });
+  assert.deepEqual(parseShift('less darker').shift, { 'mood:dark': -1 });
+  assert.deepEqual(parseShift('more upbeat').shift, { 'mood:joyful': 1 });
+});
+
+test('anything unrecognised is left for keyword extraction', () => {
+  assert.deepEqual(parseShift('melodic'), { shift: {}, rest: 'melodic' });
+  assert.deepEqual(parseShift('weirder with strings'), { shift: { 'mood:playful': 1 }, rest: 'strings' });
+});
+
+test('leadsWithShift: a shift at the start of the clause, not a request of its own', () => {
+  for (const clause of ['darker', 'a bit faster and louder', 'less polished', 'more upbeat', 'not as loud']) {
+    assert.ok(leadsWithShift(clause), clause);
+  }
+  for (const clause of ['play some jazz', 'wild', 'the best', 'what about nico', 'jazz but darker']) {
+    assert.ok(!leadsWithShift(clause), clause);
+  }
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { traitSimilarity, toVector, averageVector } = require('../lib/similar');
+
+test('similarity follows the shape of the traits, not how many there are', () => {
+  const a = { 'genre:jazz': 1, 'energy:low': 0.5 };
+  assert.ok(Math.abs(traitSimilarity(a, { 'genre:jazz': 0.5, 'energy:low': 0.25 }) - 1) < 1e-9);
+  assert.equal(traitSimilarity(a, { 'genre:punk': 1 }), 0);
+  assert.equal(traitSimilarity({}, a), 0);
+  assert.ok(traitSimilarity(a, { 'genre:jazz': 1 }) > traitSimilarity(a, { 'energy:low': 1 }));
+});
+
+test('model answers and several songs become one vector', () => {
+  assert.deepEqual(toVector(['genre:jazz', 'mood:dark']), { 'genre:jazz': 1, 'mood:dark': 1 });
+  assert.deepEqual(averageVector([{ traits: { 'genre:jazz': 1 } }, { traits: { 'genre:jazz': 0.5, 'mood:dark': 1 } }]),
+    { 'genre:jazz': 0.75, 'mood:dark': 0.5 });
+});
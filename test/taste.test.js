@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { newTaste, applyReaction, tasteMultiplier, isNeutral } = require('../lib/taste');
+
+const LIKED = { artist: 'Nico', traits: { 'mood:melancholic': 1, 'texture:sparse': 0.6 } };
+const DISLIKED = { artist: 'Ramones', traits: { 'energy:high': 1, 'genre:punk': 1 } };
+
+test('a new taste leaves every score alone', () => {
+  const taste = newTaste();
+  assert.ok(isNeutral(taste));
+  assert.equal(tasteMultiplier(LIKED, taste), 1);
+});
+
+test('reactions move trait values by the song\'s weights, within -1..1', () => {
+  const taste = applyReaction(newTaste(), LIKED, true);
+  assert.deepEqual(taste.traits, { 'mood:melancholic': 0.5, 'texture:sparse': 0.3 });
+  applyReaction(taste, LIKED, true);
+  applyReaction(taste, LIKED, true);
+  assert.equal(taste.traits['mood:melancholic'], 1);
+  applyReaction(taste, LIKED, false);
+  assert.equal(taste.traits['mood:melancholic'], 0.5);
+});
+
+test('multiplier favours liked traits and punishes a disliked artist', () => {
+  const taste = newTaste();
+  applyReaction(taste, LIKED, true);
+  applyReaction(taste, DISLIKED, false);
+  assert.ok(tasteMultiplier({ artist: 'Someone', traits: { 'mood:melancholic': 1 } }, taste) > 1);
+  assert.ok(tasteMultiplier({ artist: 'Someone', traits: { 'energy:high': 1 } }, taste) < 1);
+  assert.equal(tasteMultiplier({ artist: 'Someone', traits: { 'era:70s': 1 } }, taste), 1);
+  assert.equal(tasteMultiplier({ artist: 'Ramones', traits: {} }, taste), 0.5);
+
+  for (let i = 0; i < 5; i++) applyReaction(taste, LIKED, true);
+  const m = tasteMultiplier(LIKED, taste);
+  assert.ok(m > 1 && m <= 1.5);
+});
+
+test('liking an artist again takes them off the disliked list', () => {
+  const taste = applyReaction(newTaste(), DISLIKED, false);
+  assert.deepEqual(taste.dislikedArtists, ['Ramones']);
+  applyReaction(taste, DISLIKED, true);
+  assert.deepEqual(taste.dislikedArtists, []);
+  assert.ok(isNeutral(taste));
+});
@@ -0,0 +1,44 @@
+// =====================
+// TTL STORE
+// lib/ttl-store on its own, and the session store's reading of snapshots written
+// before it. Snapshot files go to a temp dir.
+// =====================
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTtlStore, createFileTtlStore } = require('../lib/ttl-store');
+const { createFileStore } = require('../lib/session-store');
+
+mock.method(console, 'log', () => {});
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'efrain-ttl-store-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('drops the least recently used entry past maxEntries, and expired ones', () => {
+  const store = createTtlStore({ ttlMs: 1000, maxEntries: 2 });
+  store.set('a', 1);
+  store.set('b', 2);
+  store.get('a');
+  store.set('c', 3);
+  assert.deepEqual(store.entries().map(e => e.key), ['a', 'c']);
+  store.set('old', 4, Date.now() - 2000);
+  assert.equal(store.get('old'), null);
+});
+
+test('a file store comes back after a restart', () => {
+  const file = path.join(tmpDir, 'store.json');
+  const first = createFileTtlStore({ file, label: 'TEST' });
+  first.set('k', { n: 1 });
+  first.flush();
+  const second = createFileTtlStore({ file, label: 'TEST', revive: v => ({ ...v, revived: true }) });
+  assert.deepEqual(second.get('k'), { n: 1, revived: true });
+});
+
+test('the session store still reads snapshots from before the ttl store', () => {
+  const file = path.join(tmpDir, 'sessions.json');
+  fs.writeFileSync(file, JSON.stringify({ sessions: [{ id: 's1', session: { songCount: 2 }, lastSeen: Date.now() }] }));
+  const store = createFileStore({ file });
+  assert.deepEqual(store.get('s1'), { songCount: 2 });
+});
@@ -0,0 +1,122 @@
+// =====================
+// UNLOCK LOG
+// lib/unlock-log on its own, then /api/log → GET /api/admin/unlocks through the
+// real app. The log is a fresh temp file per run.
+// =====================
+const fs = require('fs');
+const path = require('path');
+const { serverEnv } = require('./helpers/server-env');
+
+const tmpDir = serverEnv({ NOTIFY_CHANNELS: 'outbox' });
+
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createJsonlLog } = require('../lib/jsonl-log');
+const { filterUnlocks, unlockStats } = require('../lib/unlock-log');
+
+mock.method(console, 'log', () => {});
+
+const app = require('../server');
+
+
+const entry = (visitorId, cluster, unlockedAt, firstSessionStart = '2025-01-01T00:00:00Z') =>
+  ({ visitorId, cluster, unlockedAt, firstSessionStart });
+
+describe('lib/jsonl-log', () => {
+  test('appends lines and skips ones that do not parse', () => {
+    const log = createJsonlLog({ file: path.join(tmpDir, 'nested', 'log.jsonl') });
+    assert.deepEqual(log.read(), { entries: [], skipped: 0 });
+    log.append(entry('a', 'C1', '2025-01-01T00:10:00Z'));
+    fs.appendFileSync(log.file, '{"visitorId":"b","clu');
+    const { entries, skipped } = log.read();
+    assert.equal(entries.length, 1);
+    assert.equal(skipped, 1);
+  });
+});
+
+describe('lib/unlock-log', () => {
+  test('filters by visitor, cluster and an inclusive date range', () => {
+    const entries = [
+      entry('a', 'C1', '2025-01-01T00:10:00Z'),
+      entry('a', 'C2', '2025-01-02T00:00:00Z'),
+      entry('b', 'C1', '2025-01-03T00:00:00Z'),
+    ];
+    assert.equal(filterUnlocks(entries, { visitor: 'a' }).length, 2);
+    assert.equal(filterUnlocks(entries, { cluster: 'c1' }).length, 2);
+    assert.equal(filterUnlocks(entries, { from: '2025-01-02', to: '2025-01-03T00:00:00Z' }).length, 2);
+  });
+
+  test('stats: per cluster, median minutes to first unlock, complete visitors', () => {
+    const entries = [
+      entry('a', 'C1', '2025-01-01T00:10:00Z'),
+      entry('a', 'C2', '2025-01-01T00:20:00Z'),
+      entry('b', 'C1', '2025-01-01T00:30:00Z'),
+      entry('c', 'C2', '2025-01-01T01:00:00Z', null),
+    ];
+    const stats = unlockStats(entries, ['C1', 'C2']);
+    assert.equal(stats.unlocks, 4);
+    assert.equal(stats.visitors, 3);
+    assert.deepEqual(stats.perCluster, { C1: { unlocks: 2, visitors: 2 }, C2: { unlocks: 2, visitors: 2 } });
+    assert.equal(stats.medianMinutesToFirstUnlock, 20); // a: 10, b: 30 — c has no start
+    assert.equal(stats.visitorsComplete, 1);
+  });
+});
+
+describe('/api/log → /api/admin/unlocks', () => {
+  const ADMIN = { Authorization: 'Bearer unlock-test-token' };
+  process.env.ADMIN_TOKEN = 'unlock-test-token';
+
+  const log = body => request(app).post('/api/log').send({ firstSessionStart: new Date(Date.now() - 60000).toISOString(), ...body });
+
+  test('rejects clusters that have no keystone', async () => {
+    await log({ visitorId: 'v1', cluster: 'C10' }).expect(400);
+  });
+
+  test('needs the admin token', async () => {
+    await request(app).get('/api/admin/unlocks').expect(401);
+    await request(app).get('/api/admin/unlocks').set({ Authorization: 'Bearer wrong' }).expect(401);
+  });
+
+  test('records only unlocks the session earned, once each', async () => {
+    // Earn C2 for real: three plays from the cluster, then a query that lands on Untrue
+    let sessionId = null, visitorId = null;
+    const post = async (p, body) => {
+      const res = await request(app).post(p).send({ ...body, sessionId, visitorId }).expect(200);
+      ({ sessionId, visitorId } = res.body);
+      return res.body;
+    };
+    for (let i = 0; i < 3; i++) await post('/api/invoke-cluster', { cluster: 'C2' });
+    const body = await post('/api/chat', { message: 'late night melancholic lo-fi electronic from the UK' });
+    assert.equal(body.groove.cluster, 'C2');
+
+    await log({ visitorId: 'spoofed', sessionId, cluster: 'C2', label: 'spoofed', input: 'late night', allUnlocks: ['Night'] }).expect(200);
+    await log({ sessionId, cluster: 'C2', allUnlocks: ['Night'] }).expect(403); // already logged
+    await log({ sessionId, cluster: 'C1', allUnlocks: ['Outsider'] }).expect(403); // not earned
+    await log({ cluster: 'C1', allUnlocks: ['Outsider'] }).expect(403); // no session
+
+    // Notification is fire-and-forget — give the outbox write a tick
+    await new Promise(resolve => setImmediate(resolve));
+    const outbox = fs.readFileSync(process.env.NOTIFY_OUTBOX, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.deepEqual(outbox.map(m => m.subject), ['// Night unlocked — efrain.fm']);
+
+    // An entry from before the check: listed, but not counted
+    fs.appendFileSync(process.env.UNLOCK_LOG, JSON.stringify({ visitorId: 'v2', cluster: 'C1', unlockedAt: new Date().toISOString(), verified: false }) + '\n');
+
+    const all = (await request(app).get('/api/admin/unlocks').set(ADMIN).expect(200)).body;
+    assert.equal(all.total, 2);
+    assert.deepEqual(all.entries.map(e => [e.visitorId, e.cluster, e.verified]), [['v2', 'C1', false], [visitorId, 'C2', true]]);
+    assert.equal(all.entries[1].label, 'Night'); // label and visitor from the server, not the request
+    assert.equal(all.stats.visitors, 1);
+    assert.equal(all.stats.medianMinutesToFirstUnlock, 1);
+    assert.equal(all.stats.visitorsComplete, 0);
+
+    const v1 = (await request(app).get(`/api/admin/unlocks?visitor=${visitorId}&cluster=C2`).set(ADMIN).expect(200)).body;
+    assert.equal(v1.total, 1);
+    assert.deepEqual(v1.stats.perCluster, { C2: { unlocks: 1, visitors: 1 } });
+
+    const future = (await request(app).get('/api/admin/unlocks?from=2999-01-01').set(ADMIN).expect(200)).body;
+    assert.equal(future.total, 0);
+    await request(app).get('/api/admin/unlocks?to=someday').set(ADMIN).expect(400);
+  });
+});
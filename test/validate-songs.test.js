@@ -0,0 +1,46 @@
+// =====================
+// SONGS.JSON VALIDATION
+// lib/validate-songs on small catalogs, then the shipped data/songs.json with the
+// same options the server checks it with at startup.
+// =====================
+require('./helpers/server-env').serverEnv();
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateSongs } = require('../lib/validate-songs');
+
+mock.method(console, 'log', () => {});
+
+const song = (id, cluster, traits = { 'mood:dark': 0.8 }) => ({ id, title: `Song ${id}`, artist: `Artist ${id}`, cluster, traits });
+const keystones = [{ cluster: 'C1', title: 'Song 1', artist: 'Artist 1' }];
+
+test('a cluster without a keystone is a warning unless it is declared off the map', () => {
+  const songsData = { songs: [song('1', 'C1'), song('2', 'C10')] };
+  assert.match(validateSongs(songsData, { keystones }).warnings.join('\n'), /cluster "C10" has no keystone/);
+  assert.deepEqual(validateSongs(songsData, { keystones, offMapClusters: ['C10'] }).warnings, []);
+});
+
+test('unknown traits are warnings, with the closest known id', () => {
+  const songsData = { songs: [song('1', 'C1', { 'mood:darkk': 0.8 })] };
+  const { errors, warnings } = validateSongs(songsData, { knownTraits: new Set(['mood:dark']) });
+  assert.deepEqual(errors, []);
+  assert.match(warnings[0], /unknown trait "mood:darkk".*did you mean "mood:dark"/);
+});
+
+test('an unknown id whose name is an alias suggests that alias\'s trait', () => {
+  const songsData = { songs: [song('1', 'C1', { 'char:british': 1 })] };
+  const { warnings } = validateSongs(songsData, { knownTraits: new Set(['origin:uk']), traitAliases: { british: 'origin:uk' } });
+  assert.match(warnings[0], /unknown trait "char:british".*did you mean "origin:uk"/);
+});
+
+// Warnings are the curator's to resolve (catalog-warnings.txt) — the catalog
+// only has to load, unlock and play
+test('the shipped songs.json has no errors', () => {
+  const songsData = require(path.join(__dirname, '..', 'data', 'songs.json'));
+  const { catalogReport } = require('../server');
+  const { errors, warnings, songCount } = catalogReport(songsData);
+  assert.ok(songCount > 0);
+  assert.deepEqual(errors, []);
+  assert.ok(!warnings.some(w => /has no keystone/.test(w)), 'every cluster unlocks or is off the map');
+});
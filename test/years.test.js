@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYears, inRange, formatRange, eraOfYear } = require('../lib/years');
+
+const NOW = { now: 2026 };
+const range = text => {
+  const found = parseYears(text, NOW);
+  return found && [found.from, found.to, found.rest];
+};
+
+test('comparisons, ranges and parts of a decade', () => {
+  assert.deepEqual(range('jazz before 1975'), [null, 1974, 'jazz']);
+  assert.deepEqual(range('after 1990'), [1991, null, '']);
+  assert.deepEqual(range('since 2015'), [2015, null, '']);
+  assert.deepEqual(range('1988–1994 hip-hop'), [1988, 1994, 'hip-hop']);
+  assert.deepEqual(range('between 1988 and 1994'), [1988, 1994, '']);
+  assert.deepEqual(range('late 70s soul'), [1977, 1979, 'soul']);
+  assert.deepEqual(range('songs from the early 1980s'), [1980, 1983, 'songs']);
+  assert.deepEqual(range('mid-90s'), [1994, 1996, '']);
+  assert.deepEqual(range('late 40s'), [1947, 1949, '']);
+  assert.deepEqual(range('early 20s'), [2020, 2023, '']);
+});
+
+test('counted back from this year', () => {
+  assert.deepEqual(range('something from the last five years'), [2021, 2026, 'something']);
+  assert.deepEqual(range('the past decade'), [2016, 2026, '']);
+});
+
+test('plain decades and band names are left alone', () => {
+  assert.equal(parseYears('70s jazz', NOW), null);
+  assert.equal(parseYears('the 1975', NOW), null);
+});
+
+test('inRange and formatRange', () => {
+  assert.ok(inRange('1974', { from: null, to: 1974 }));
+  assert.ok(!inRange('1975', { from: null, to: 1974 }));
+  assert.ok(!inRange('', { from: 1990, to: null }));
+  assert.equal(formatRange({ from: null, to: 1974 }), 'before 1975');
+  assert.equal(formatRange({ from: 1988, to: 1994 }), '1988–1994');
+  assert.equal(formatRange({ from: 2015, to: null }), '2015 on');
+});
+
+test('eraOfYear reads two-digit decades the way the phrases do', () => {
+  assert.equal(eraOfYear('1939'), 'era:30s');
+  assert.equal(eraOfYear(1994), 'era:90s');
+  assert.equal(eraOfYear('2004'), 'era:00s');
+  assert.equal(eraOfYear('2021'), 'era:20s');
+  assert.equal(eraOfYear('1928'), null, 'era:20s is the 2020s, so the 1920s have no era');
+  assert.equal(eraOfYear(''), null);
+});